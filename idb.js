@@ -29,6 +29,8 @@ idb.openCostsDB = function(databaseName, databaseVersion) {
             try {
                 db.addCost = function(cost) { return idb.addCost(cost); };
                 db.getReport = function(year, month, currency) { return idb.getReport(year, month, currency); };
+                db.updateCost = function(id, patch) { return idb.updateCost(id, patch); };
+                db.deleteCost = function(id) { return idb.deleteCost(id); };
             } catch (e) {
                 // If the IDBDatabase is not extensible, ignore and just return the db
             }
@@ -56,9 +58,32 @@ idb.openCostsDB = function(databaseName, databaseVersion) {
 };
 // Database is initialized or upgraded lazily the first time it is accessed
 
+/**
+ * Resolves the optional date of a new cost item
+ * @param {Date|string|undefined} value - Date object, 'YYYY-MM-DD' string or ISO timestamp
+ * @returns {Date|null} Parsed date, today when no value is given, or null when invalid
+ */
+idb.resolveCostDate = function(value) {
+    if (value === undefined || value === null || value === '') {
+        return new Date();
+    }
+
+    // Plain calendar dates are read as local dates so they don't shift a day across time zones
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const parts = value.split('-').map(Number);
+        const date = new Date(parts[0], parts[1] - 1, parts[2], 12);
+        const matches = date.getFullYear() === parts[0] && date.getMonth() === parts[1] - 1 && date.getDate() === parts[2];
+        return matches ? date : null;
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+// Rejects impossible dates such as 2025-02-30 instead of rolling them over
+
 /**
  * Adds a new cost item to the database
- * @param {Object} cost - Cost object with sum, currency, category, description
+ * @param {Object} cost - Cost object with sum, currency, category, description and optional date
  * @returns {Promise} Promise that resolves to the added cost item
  */
 idb.addCost = function(cost) {
@@ -69,11 +94,15 @@ idb.addCost = function(cost) {
             return;
         }
         
-        // Get current date
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = now.getMonth() + 1; // JavaScript months are 0-based
-        const day = now.getDate();
+        // Use the given expense date, defaulting to today
+        const date = idb.resolveCostDate(cost.date);
+        if (!date) {
+            reject(new Error('Invalid cost date'));
+            return;
+        }
+        const year = date.getFullYear();
+        const month = date.getMonth() + 1; // JavaScript months are 0-based
+        const day = date.getDate();
         
         // Create cost item with date
         const costItem = {
@@ -84,7 +113,7 @@ idb.addCost = function(cost) {
             year: year,
             month: month,
             day: day,
-            dateAdded: now.toISOString()
+            dateAdded: date.toISOString()
         };
         
         // Open database and add cost
@@ -113,6 +142,105 @@ idb.addCost = function(cost) {
 };
 // Adds a record and returns a simplified object for UI confirmation
 
+/**
+ * Updates an existing cost item
+ * @param {number} id - Id of the cost record to update
+ * @param {Object} patch - Fields to change (sum, currency, category, description)
+ * @returns {Promise} Promise that resolves to the updated cost item
+ */
+idb.updateCost = function(id, patch) {
+    return new Promise((resolve, reject) => {
+        // Reject empty values for any field the caller is trying to change
+        const editable = ['sum', 'currency', 'category', 'description'];
+        const invalid = editable.some(field => field in patch && !patch[field]);
+        if (invalid) {
+            reject(new Error('Missing required cost properties'));
+            return;
+        }
+
+        idb.openCostsDB('costsdb', 1).then(db => {
+            const transaction = db.transaction(['costs'], 'readwrite');
+            const store = transaction.objectStore('costs');
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = function() {
+                const existing = getRequest.result;
+                if (!existing) {
+                    reject(new Error('Cost item not found'));
+                    return;
+                }
+
+                // Apply the patch with the same normalization addCost uses
+                const costItem = Object.assign({}, existing);
+                if ('sum' in patch) costItem.sum = Number(patch.sum);
+                if ('currency' in patch) costItem.currency = String(patch.currency);
+                if ('category' in patch) costItem.category = String(patch.category).toUpperCase();
+                if ('description' in patch) costItem.description = String(patch.description);
+
+                const putRequest = store.put(costItem);
+
+                putRequest.onsuccess = function() {
+                    resolve({
+                        id: costItem.id,
+                        sum: costItem.sum,
+                        currency: costItem.currency,
+                        category: costItem.category,
+                        description: costItem.description,
+                        Date: { day: costItem.day }
+                    });
+                };
+
+                putRequest.onerror = function() {
+                    reject(new Error('Failed to update cost item'));
+                };
+            };
+
+            getRequest.onerror = function() {
+                reject(new Error('Failed to update cost item'));
+            };
+        }).catch(reject);
+    });
+};
+// Date fields are kept as-is; only the descriptive fields can be edited
+
+/**
+ * Deletes a cost item from the database
+ * @param {number} id - Id of the cost record to delete
+ * @returns {Promise} Promise that resolves to the deleted record
+ */
+idb.deleteCost = function(id) {
+    return new Promise((resolve, reject) => {
+        idb.openCostsDB('costsdb', 1).then(db => {
+            const transaction = db.transaction(['costs'], 'readwrite');
+            const store = transaction.objectStore('costs');
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = function() {
+                const existing = getRequest.result;
+                if (!existing) {
+                    reject(new Error('Cost item not found'));
+                    return;
+                }
+
+                const deleteRequest = store.delete(id);
+
+                deleteRequest.onsuccess = function() {
+                    resolve(existing);
+                };
+
+                deleteRequest.onerror = function() {
+                    reject(new Error('Failed to delete cost item'));
+                };
+            };
+
+            getRequest.onerror = function() {
+                reject(new Error('Failed to delete cost item'));
+            };
+        }).catch(reject);
+    });
+};
+// Resolves with the removed record so it can be inspected or re-added
+
 /**
  * Gets a detailed report for a specific month and year in a specific currency
  * @param {number} year - Year to get report for
@@ -133,11 +261,16 @@ idb.getReport = function(year, month, currency) {
                 
                 // Convert costs to the specified currency
                 const convertedCosts = costs.map(cost => ({
+                    id: cost.id,
                     sum: cost.sum, // Note: Currency conversion would be handled by external service
-                    currency: currency,
+                    // No conversion happens here, so each line keeps the currency it was paid in
+                    // and has no rate; originalSum and originalCurrency match sum and currency
+                    currency: cost.currency,
                     category: cost.category,
                     description: cost.description,
-                    Date: { day: cost.day }
+                    Date: { day: cost.day },
+                    originalSum: cost.sum,
+                    originalCurrency: cost.currency
                 }));
                 
                 // Calculate total
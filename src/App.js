@@ -2,15 +2,25 @@
  * Application root component
  * Provides the main layout and tab navigation between features.
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import { AppBar, Toolbar, Typography, Container, Tabs, Tab, Box } from '@mui/material';
 import AddCostForm from './components/AddCostForm';
 import MonthlyReport from './components/MonthlyReport';
+import CostSearch from './components/CostSearch';
 import PieChart from './charts/PieChart';
 import BarChart from './charts/BarChart';
 import Settings from './components/Settings';
+import RecurringCosts from './components/RecurringCosts';
+import BudgetEditor from './components/BudgetEditor';
+import CategoryManager from './components/CategoryManager';
+import Household from './components/Household';
+import Accounts from './components/Accounts';
+import FeedbackSnackbar from './components/FeedbackSnackbar';
+import { fetchExchangeRates } from './services/currencyService';
+import { postDueRecurringCosts } from './utils/recurring';
+import { subscribeDatabaseEvents } from './utils/idb';
 // Create MUI theme
 
 const theme = createTheme({
@@ -57,12 +67,58 @@ function TabPanel({ children, value, index, ...other }) {
 function App() {
   // Track which tab is currently selected in the UI
   const [currentTab, setCurrentTab] = useState(0);
+  // Month, currency and category the Monthly Report opens with after a chart drill-down
+  const [reportQuery, setReportQuery] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  // Fetch rates once at startup so every currency dropdown lists all available codes
+  useEffect(() => {
+    fetchExchangeRates();
+  }, []);
+
+  // Post recurring costs that became due since the app was last opened
+  useEffect(() => {
+    postDueRecurringCosts().then((posted) => {
+      if (posted > 0) {
+        setSnackbar({
+          open: true,
+          message: `Added ${posted} recurring cost item(s) that came due`,
+          severity: 'info'
+        });
+      }
+    }).catch((error) => {
+      setSnackbar({
+        open: true,
+        message: `Error posting recurring costs: ${error.message}`,
+        severity: 'error'
+      });
+    });
+  }, []);
+
+  // Warn when another tab blocks a database upgrade or upgrades it under this one
+  useEffect(() => {
+    return subscribeDatabaseEvents(({ message }) => {
+      setSnackbar({ open: true, message, severity: 'warning' });
+    });
+  }, []);
+
+  /** Closes the startup feedback snackbar. */
+  const handleCloseSnackbar = () => {
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
 
   // Update selected tab when user clicks a different tab header
   const handleTabChange = (event, newValue) => {
+    setReportQuery(null);
     setCurrentTab(newValue);
   };
 
+  /** Opens the Monthly Report for the bar the user clicked in a chart. */
+  const handleDrillDown = (query) => {
+    setReportQuery(query);
+    setCurrentTab(1);
+  };
+
   return (
     // Provide the Material UI theme and normalize styles across browsers
     <ThemeProvider theme={theme}>
@@ -80,11 +136,23 @@ function App() {
         <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
           {/* Tabs control the active feature view */}
           <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
-            <Tabs value={currentTab} onChange={handleTabChange} aria-label="cost manager tabs">
+            <Tabs
+              value={currentTab}
+              onChange={handleTabChange}
+              variant="scrollable"
+              scrollButtons="auto"
+              aria-label="cost manager tabs"
+            >
               <Tab label="Add Cost" />
               <Tab label="Monthly Report" />
+              <Tab label="Search" />
               <Tab label="Pie Chart" />
               <Tab label="Bar Chart" />
+              <Tab label="Recurring" />
+              <Tab label="Budgets" />
+              <Tab label="Categories" />
+              <Tab label="Accounts" />
+              <Tab label="Household" />
               <Tab label="Settings" />
             </Tabs>
           </Box>
@@ -95,21 +163,53 @@ function App() {
           </TabPanel>
           
           <TabPanel value={currentTab} index={1}>
-            <MonthlyReport />
+            <MonthlyReport initialQuery={reportQuery} />
           </TabPanel>
           
           <TabPanel value={currentTab} index={2}>
-            <PieChart />
+            <CostSearch />
           </TabPanel>
           
           <TabPanel value={currentTab} index={3}>
-            <BarChart />
+            <PieChart />
           </TabPanel>
           
           <TabPanel value={currentTab} index={4}>
+            <BarChart onDrillDown={handleDrillDown} />
+          </TabPanel>
+          
+          <TabPanel value={currentTab} index={5}>
+            <RecurringCosts />
+          </TabPanel>
+          
+          <TabPanel value={currentTab} index={6}>
+            <BudgetEditor />
+          </TabPanel>
+          
+          <TabPanel value={currentTab} index={7}>
+            <CategoryManager />
+          </TabPanel>
+          
+          <TabPanel value={currentTab} index={8}>
+            <Accounts />
+          </TabPanel>
+          
+          <TabPanel value={currentTab} index={9}>
+            <Household />
+          </TabPanel>
+          
+          <TabPanel value={currentTab} index={10}>
             <Settings />
           </TabPanel>
         </Container>
+
+        {/* Reports results of background work done at startup */}
+        <FeedbackSnackbar
+          open={snackbar.open}
+          message={snackbar.message}
+          severity={snackbar.severity}
+          onClose={handleCloseSnackbar}
+        />
       </div>
     </ThemeProvider>
   );
@@ -1,6 +1,10 @@
 /**
  * BarChart component
- * Shows monthly totals for a selected year using a bar chart.
+ * Shows monthly totals for one or more years using a bar chart; with several years the
+ * bars are grouped or overlaid per month and a line shows the change between the last two.
+ * A date range can be charted instead, with one bar per day, week or month.
+ * Bars can be split by category, or set income against expenses with a net savings line,
+ * and clicking a bar opens the report of its period.
  */
 import React, { useState } from 'react';
 import {
@@ -14,27 +18,78 @@ import {
   Box,
   CircularProgress,
   Alert,
-  Snackbar
+  Snackbar,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 // Recharts primitives for responsive bar chart rendering
-import { BarChart as RechartsBarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { getReport } from '../utils/idb';
-import { convertCurrency } from '../services/currencyService';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { getMonthlyTotals, getRangeReport } from '../utils/idb';
+import { convertAmount, hasRate } from '../services/currencyService';
+import { formatAmount } from '../services/currencyRegistry';
+import { getBudgets, OVERALL_BUDGET } from '../utils/budgets';
+import { getCategories, getCategoryColors, CATEGORY_PALETTE } from '../utils/categories';
+import { getNetReport, getMonthlyNet } from '../utils/income';
 import FeedbackSnackbar from '../components/FeedbackSnackbar';
-// Utilities provide monthly reports and currency normalization for totals
+import MissingRatesAlert from '../components/MissingRatesAlert';
+import CurrencySelect from '../components/CurrencySelect';
+import CategorySelect from '../components/CategorySelect';
+import AccountSelect from '../components/AccountSelect';
+import ReportPeriodControls from '../components/ReportPeriodControls';
+import { resolveRange, formatPeriodLabel } from '../utils/dates';
+// getMonthlyTotals reads every selected year in one ranged query and converts the totals;
+// getRangeReport does the same for a date range grouped by day, week or month
 
-/** Renders a bar chart of monthly totals for the selected year. */
-function BarChart() {
+/**
+ * Renders a bar chart of monthly totals for the selected years.
+ * @param {object} props
+ * @param {function} [props.onDrillDown] - Called with the clicked bar's report query: its period
+ *   (a calendar month, or custom from/to dates in range mode), currency, category, accountId and rateMode
+ */
+function BarChart({ onDrillDown }) {
   // State holds user selections, built chart data, and UI flags
   const [formData, setFormData] = useState({
+    // 'years' charts the months of the selected years; 'range' charts a date range
+    mode: 'years',
+    years: [new Date().getFullYear()],
+    // Period and grouping of the 'range' mode (see ReportPeriodControls)
+    preset: 'year',
     year: new Date().getFullYear(),
-    currency: 'USD'
+    month: new Date().getMonth() + 1,
+    from: '',
+    to: '',
+    groupBy: 'month',
+    currency: 'USD',
+    // '*' charts all categories; otherwise only the chosen category
+    category: '*',
+    // '*' charts costs paid from any account (or none); otherwise only the chosen account's
+    accountId: '*',
+    // With several years: bars side by side ('grouped') or on top of each other ('overlaid')
+    layout: 'grouped',
+    // Change line between the last two years, in the chart currency or in percent
+    deltaMode: 'absolute',
+    // 'total' draws one bar per month and year; 'stacked' splits it by category; 'net' draws
+    // income and expense bars with a net savings line
+    view: 'total'
   });
   const [chartData, setChartData] = useState([]);
+  // Bar series of the current chart: the years oldest first, or the single 'range' series
+  const [chartSeries, setChartSeries] = useState([]);
+  // Categories stacked in the current chart with their colours (empty in the total view)
+  const [chartCategories, setChartCategories] = useState([]);
+  // Whether the current chart sets income against expenses
+  const [chartNet, setChartNet] = useState(false);
+  // Currency, category filter and grouping the current chart was built with, used for drill-down
+  const [chartQuery, setChartQuery] = useState(null);
+  // Monthly budget of the charted category (or overall) in the chart currency; null when none is set
+  const [monthlyBudget, setMonthlyBudget] = useState(null);
+  // Currencies without a rate, whose costs are in no bar and whose budget line is not drawn
+  const [missingRates, setMissingRates] = useState([]);
+  // Bar colour: the selected category's colour, or the default for all categories
+  const [barColor, setBarColor] = useState('#8884d8');
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
 
-  const currencies = ['USD', 'ILS', 'GBP', 'EURO'];
   const months = [
     { value: 1, label: 'Jan' },
     { value: 2, label: 'Feb' },
@@ -60,36 +115,124 @@ function BarChart() {
     }));
   };
 
-  /** Builds chart data by aggregating per-month totals. */
+  /** Switches the grouped/overlaid layout or the delta unit. */
+  const handleToggleChange = (name) => (event, value) => {
+    // Exclusive toggles report null when the active button is clicked again
+    if (value) {
+      setFormData(prev => ({ ...prev, [name]: value }));
+    }
+  };
+
+  /** Builds chart data from the monthly totals of every selected year, or from a date range. */
   const generateChart = async () => {
     // Enter loading to disable UI and show progress
     setLoading(true);
     
     try {
-      const monthlyData = [];
-      
-      // Get data for all 12 months
-      for (let month = 1; month <= 12; month++) {
-        try {
-          // Generate report per month and convert totals to selected currency
-          const report = await getReport(formData.year, month, formData.currency);
-          const convertedReport = await convertCurrency(report, formData.currency);
-          
-          monthlyData.push({
-            month: months[month - 1].label,
-            total: convertedReport.total.total
-          });
-        } catch (error) {
-          // If no data for this month, add 0
-          monthlyData.push({
-            month: months[month - 1].label,
-            total: 0
+      const net = formData.view === 'net';
+      // Categories are either expense or income ones, so the net view charts every category
+      const category = formData.category === OVERALL_BUDGET || net ? undefined : formData.category;
+      const accountId = formData.accountId === '*' ? undefined : formData.accountId;
+
+      // Each point is one bar slot on the x axis with the totals of every series
+      let series;
+      let points;
+      let unconverted;
+      if (net && formData.mode === 'range') {
+        const { from, to } = resolveRange(formData);
+        const report = await getNetReport(from, to, formData.currency, { groupBy: formData.groupBy, accountId });
+        series = ['range'];
+        unconverted = [...report.expenses.unconverted, ...report.income.unconverted];
+        points = report.groups.map(group => ({
+          label: formatPeriodLabel(group.key, report.expenses.groupBy),
+          period: { from: group.from, to: group.to },
+          totals: { range: group.expense },
+          income: { range: group.income },
+          net: { range: group.net },
+          byCategory: { range: {} }
+        }));
+      } else if (net) {
+        series = [...formData.years].sort((a, b) => a - b);
+        const totals = await getMonthlyNet(series, formData.currency, { accountId });
+        unconverted = totals.unconverted;
+        points = months.map((month, index) => ({
+          label: month.label,
+          totals: Object.fromEntries(series.map(year => [year, totals.expense[year][index]])),
+          income: Object.fromEntries(series.map(year => [year, totals.income[year][index]])),
+          net: Object.fromEntries(series.map(year => [year, totals.net[year][index]])),
+          byCategory: Object.fromEntries(series.map(year => [year, {}]))
+        }));
+      } else if (formData.mode === 'range') {
+        const { from, to } = resolveRange(formData);
+        const report = await getRangeReport(from, to, formData.currency, { groupBy: formData.groupBy, category, accountId });
+        series = ['range'];
+        unconverted = report.unconverted;
+        points = report.groups.map(group => ({
+          label: formatPeriodLabel(group.key, report.groupBy),
+          period: { from: group.from, to: group.to },
+          totals: { range: group.total },
+          byCategory: { range: group.byCategory }
+        }));
+      } else {
+        series = [...formData.years].sort((a, b) => a - b);
+        const { totals, byCategory, unconverted: missing } = await getMonthlyTotals(series, formData.currency, { category, accountId });
+        unconverted = missing;
+        points = months.map((month, index) => ({
+          label: month.label,
+          totals: Object.fromEntries(series.map(year => [year, totals[year][index]])),
+          byCategory: Object.fromEntries(series.map(year => [year, byCategory[year][index]]))
+        }));
+      }
+      const categoryColors = getCategoryColors(await getCategories({ includeArchived: true }));
+
+      // Every category with costs in any charted period, coloured like the pie chart
+      const stacked = formData.view === 'stacked';
+      const categoryNames = stacked
+        ? Array.from(new Set(points.flatMap(point => Object.values(point.byCategory).flatMap(Object.keys)))).sort()
+        : [];
+      const categories = categoryNames.map((name, index) => ({
+        name,
+        color: categoryColors[name] || CATEGORY_PALETTE[index % CATEGORY_PALETTE.length]
+      }));
+
+      // One entry per point with a total per series and the change between the last two years
+      const data = points.map(point => {
+        const entry = { label: point.label, period: point.period };
+        series.forEach(key => {
+          entry[key] = point.totals[key];
+          categoryNames.forEach(name => {
+            entry[`${key}|${name}`] = point.byCategory[key][name] || 0;
           });
+          if (net) {
+            entry[`${key}|income`] = point.income[key];
+            entry[`${key}|net`] = point.net[key];
+          }
+        });
+        if (series.length > 1 && !net) {
+          const latest = point.totals[series[series.length - 1]];
+          const previous = point.totals[series[series.length - 2]];
+          entry.delta = latest - previous;
+          entry.deltaPercent = previous ? ((latest - previous) / previous) * 100 : null;
         }
-      }
+        return entry;
+      });
       
-      // Update chart state with aggregated monthly totals
-      setChartData(monthlyData);
+      // Update chart state with aggregated totals
+      setChartData(data);
+      setChartSeries(series);
+      setChartCategories(categories);
+      setChartNet(net);
+      setChartQuery({ currency: formData.currency, category: formData.category, accountId: formData.accountId });
+
+      // Draw the matching budget as a reference line in the chart currency; budgets are monthly,
+      // so a range grouped by day or week has none, and they cover every account but no income
+      const monthly = (formData.mode === 'years' || formData.groupBy === 'month') && formData.accountId === '*' && !net;
+      const budget = monthly && (await getBudgets()).find(item => item.category === formData.category);
+      const budgetConvertible = budget && hasRate(budget.currency, formData.currency);
+      setMonthlyBudget(budgetConvertible ? convertAmount(budget.amount, budget.currency, formData.currency) : null);
+      setMissingRates([...new Set([...unconverted, ...(budget && !budgetConvertible ? [budget.currency] : [])])]);
+
+      setBarColor((!net && categoryColors[formData.category]) || '#8884d8');
       
       // Notify user that chart data is ready
       setSnackbar({
@@ -114,6 +257,37 @@ function BarChart() {
     setSnackbar(prev => ({ ...prev, open: false }));
   };
 
+  const comparing = chartSeries.length > 1;
+  // The change line compares expense totals, which the net view replaces with its own lines
+  const showDelta = comparing && !chartNet;
+  const overlaid = comparing && chartCategories.length === 0 && !chartNet && formData.layout === 'overlaid';
+  const overlaidBarSize = 28;
+
+  /** Formats tooltip values: totals in the chart currency, the change in its own unit. */
+  const formatTooltip = (value, name, item) => {
+    if (item.dataKey === 'deltaPercent') {
+      return [value === null ? 'n/a' : `${value.toFixed(1)}%`, name];
+    }
+    // Stacked segments of several years need the year to tell them apart (net series name it already)
+    const label = comparing && !chartNet && String(item.dataKey).includes('|')
+      ? `${name} (${String(item.dataKey).split('|')[0]})`
+      : name;
+    return [`${formatAmount(value, formData.currency)} ${formData.currency}`, label];
+  };
+
+  /** Opens the report of the clicked month or period, limited to the clicked category. */
+  const handleBarClick = (key, index, category) => {
+    if (!onDrillDown) {
+      return;
+    }
+    const { period } = chartData[index];
+    const query = period
+      ? { preset: 'custom', from: period.from, to: period.to }
+      : { preset: 'month', year: key, month: index + 1 };
+    // The chart converts with current rates, so the report does too and its total matches the bar
+    onDrillDown({ ...query, currency: chartQuery.currency, category, accountId: chartQuery.accountId, rateMode: 'current' });
+  };
+
   return (
     <Paper elevation={3} sx={{ p: 4 }}>
       <Typography variant="h4" component="h1" gutterBottom>
@@ -121,49 +295,118 @@ function BarChart() {
       </Typography>
       
       <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-        View your total spending for each month of a selected year.
+        View your total spending for each month of a year, or pick several years to compare them
+        month by month. Switch to a date range to chart any period by day, week or month. Split
+        the bars by category to see what drove a period, or set income against expenses to see
+        what you saved, and click a bar to open its report.
       </Typography>
 
-      {/* Controls row: year and currency selectors with action button */}
+      {/* Controls row: years or date range, currency selectors with action button */}
       <Box sx={{ display: 'flex', gap: 2, mb: 4, flexWrap: 'wrap' }}>
-        <FormControl sx={{ minWidth: 120 }}>
-          <InputLabel>Year</InputLabel>
-          <Select
-            name="year"
-            value={formData.year}
-            onChange={handleInputChange}
-            label="Year"
-          >
-            {/* Rolling 10-year range centered around current year */}
-            {Array.from({ length: 10 }, (_, i) => new Date().getFullYear() - 5 + i).map((year) => (
-              <MenuItem key={year} value={year}>
-                {year}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+        <ToggleButtonGroup
+          value={formData.mode}
+          exclusive
+          onChange={handleToggleChange('mode')}
+          aria-label="chart period"
+        >
+          <ToggleButton value="years">Years</ToggleButton>
+          <ToggleButton value="range">Date range</ToggleButton>
+        </ToggleButtonGroup>
+
+        {formData.mode === 'range' ? (
+          <ReportPeriodControls value={formData} onChange={handleInputChange} withGrouping />
+        ) : (
+          <FormControl sx={{ minWidth: 160 }}>
+            <InputLabel>Years</InputLabel>
+            <Select
+              multiple
+              name="years"
+              value={formData.years}
+              onChange={handleInputChange}
+              label="Years"
+              renderValue={(selected) => [...selected].sort((a, b) => a - b).join(', ')}
+            >
+              {/* Rolling 10-year range centered around current year */}
+              {Array.from({ length: 10 }, (_, i) => new Date().getFullYear() - 5 + i).map((year) => (
+                <MenuItem key={year} value={year}>
+                  {year}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
 
         {/* Currency picker controls the units shown in bars and tooltips */}
-        <FormControl sx={{ minWidth: 120 }}>
-          <InputLabel>Currency</InputLabel>
-          <Select
-            name="currency"
-            value={formData.currency}
-            onChange={handleInputChange}
-            label="Currency"
-          >
-            {currencies.map((currency) => (
-              <MenuItem key={currency} value={currency}>
-                {currency}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+        <CurrencySelect
+          sx={{ minWidth: 120 }}
+          label="Currency"
+          value={formData.currency}
+          onChange={handleInputChange}
+        />
+
+        {/* Category filter shares the '*' key with the overall budget; income vs expenses covers all */}
+        <CategorySelect
+          type="expense"
+          disabled={formData.view === 'net'}
+          sx={{ minWidth: 200 }}
+          label="Category"
+          value={formData.category}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: OVERALL_BUDGET, label: 'All categories' }]}
+        />
+
+        <AccountSelect
+          sx={{ minWidth: 180 }}
+          value={formData.accountId}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: '*', label: 'All accounts' }]}
+        />
+
+        <ToggleButtonGroup
+          value={formData.view}
+          exclusive
+          onChange={handleToggleChange('view')}
+          aria-label="bar view"
+        >
+          <ToggleButton value="total">Totals</ToggleButton>
+          <ToggleButton value="stacked">By category</ToggleButton>
+          <ToggleButton value="net">Income vs expenses</ToggleButton>
+        </ToggleButtonGroup>
+
+        {/* Comparison options only matter with more than one year */}
+        {formData.mode === 'years' && formData.years.length > 1 && (
+          <>
+            {/* Stacked bars are always grouped; overlaying them would hide the segments */}
+            {formData.view === 'total' && (
+              <ToggleButtonGroup
+                value={formData.layout}
+                exclusive
+                onChange={handleToggleChange('layout')}
+                aria-label="bar layout"
+              >
+                <ToggleButton value="grouped">Grouped</ToggleButton>
+                <ToggleButton value="overlaid">Overlaid</ToggleButton>
+              </ToggleButtonGroup>
+            )}
+
+            {formData.view !== 'net' && (
+              <ToggleButtonGroup
+                value={formData.deltaMode}
+                exclusive
+                onChange={handleToggleChange('deltaMode')}
+                aria-label="change unit"
+              >
+                <ToggleButton value="absolute">Change {formData.currency}</ToggleButton>
+                <ToggleButton value="percent">Change %</ToggleButton>
+              </ToggleButtonGroup>
+            )}
+          </>
+        )}
 
         <Button
           variant="contained"
           onClick={generateChart}
-          disabled={loading}
+          disabled={loading || (formData.mode === 'years' && formData.years.length === 0)}
           sx={{ minWidth: 150 }}
         >
           {/* Show spinner while generating to indicate progress */}
@@ -171,11 +414,16 @@ function BarChart() {
         </Button>
       </Box>
 
+      <MissingRatesAlert
+        currencies={missingRates}
+        consequence="amounts in those currencies are left out of the bars and the budget line"
+      />
+
       {chartData.length > 0 && (
         <Box sx={{ height: 400, width: '100%' }}>
           {/* Responsive container scales the chart to available width/height */}
           <ResponsiveContainer width="100%" height="100%">
-            <RechartsBarChart
+            <ComposedChart
               data={chartData}
               margin={{
                 top: 5,
@@ -183,15 +431,102 @@ function BarChart() {
                 left: 20,
                 bottom: 5,
               }}
+              // Overlaid bars share one slot: a fixed width and a gap of minus that width
+              barGap={overlaid ? -overlaidBarSize : 4}
             >
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="month" />
+              <XAxis dataKey="label" />
               <YAxis />
+              {showDelta && (
+                <YAxis
+                  yAxisId="delta"
+                  orientation="right"
+                  tickFormatter={(value) => (formData.deltaMode === 'percent' ? `${Math.round(value)}%` : value)}
+                />
+              )}
               {/* Tooltip shows value with currency and label */}
-              <Tooltip formatter={(value) => [`${value.toFixed(2)} ${formData.currency}`, 'Total']} />
+              <Tooltip formatter={formatTooltip} />
               <Legend />
-              <Bar dataKey="total" fill="#8884d8" />
-            </RechartsBarChart>
+              {chartNet && chartSeries.flatMap((key, index) => {
+                // With several years the latest is drawn solid and older ones fainter
+                const suffix = comparing ? ` (${key})` : '';
+                const opacity = (index + 1) / chartSeries.length;
+                return [
+                  <Bar
+                    key={`${key}|income`}
+                    dataKey={`${key}|income`}
+                    name={`Income${suffix}`}
+                    fill="#00C49F"
+                    fillOpacity={opacity}
+                    cursor="pointer"
+                    onClick={(data, pointIndex) => handleBarClick(key, pointIndex, OVERALL_BUDGET)}
+                  />,
+                  <Bar
+                    key={key}
+                    dataKey={String(key)}
+                    name={`Expenses${suffix}`}
+                    fill="#FF8042"
+                    fillOpacity={opacity}
+                    cursor="pointer"
+                    onClick={(data, pointIndex) => handleBarClick(key, pointIndex, OVERALL_BUDGET)}
+                  />,
+                  <Line
+                    key={`${key}|net`}
+                    type="monotone"
+                    dataKey={`${key}|net`}
+                    name={`Net savings${suffix}`}
+                    stroke="#333333"
+                    strokeOpacity={opacity}
+                    strokeWidth={2}
+                  />
+                ];
+              })}
+              {!chartNet && (chartCategories.length > 0
+                ? chartSeries.flatMap((key, seriesIndex) => chartCategories.map((category) => (
+                  <Bar
+                    key={`${key}|${category.name}`}
+                    dataKey={`${key}|${category.name}`}
+                    name={category.name}
+                    stackId={String(key)}
+                    fill={category.color}
+                    // Categories are listed in the legend once, not once per year
+                    legendType={seriesIndex === 0 ? 'square' : 'none'}
+                    cursor="pointer"
+                    onClick={(data, index) => handleBarClick(key, index, category.name)}
+                  />
+                )))
+                : chartSeries.map((key, index) => (
+                  <Bar
+                    key={key}
+                    dataKey={String(key)}
+                    name={comparing ? String(key) : 'Total'}
+                    fill={comparing ? CATEGORY_PALETTE[index % CATEGORY_PALETTE.length] : barColor}
+                    fillOpacity={overlaid ? 0.6 : 1}
+                    barSize={overlaid ? overlaidBarSize : undefined}
+                    cursor="pointer"
+                    onClick={(data, pointIndex) => handleBarClick(key, pointIndex, chartQuery.category)}
+                  />
+                )))}
+              {showDelta && (
+                <Line
+                  yAxisId="delta"
+                  type="monotone"
+                  dataKey={formData.deltaMode === 'percent' ? 'deltaPercent' : 'delta'}
+                  name={`Change ${chartSeries[chartSeries.length - 1]} vs ${chartSeries[chartSeries.length - 2]}`}
+                  stroke="#333333"
+                  strokeWidth={2}
+                  connectNulls
+                />
+              )}
+              {monthlyBudget !== null && (
+                <ReferenceLine
+                  y={monthlyBudget}
+                  stroke="#d32f2f"
+                  strokeDasharray="6 3"
+                  label={{ value: `Budget ${formatAmount(monthlyBudget, formData.currency)}`, position: 'insideTopRight', fill: '#d32f2f' }}
+                />
+              )}
+            </ComposedChart>
           </ResponsiveContainer>
         </Box>
       )}
@@ -199,7 +534,7 @@ function BarChart() {
       {chartData.length === 0 && !loading && (
         <Box sx={{ textAlign: 'center', py: 4 }}>
           <Typography variant="body1" color="text.secondary">
-            No data available for the selected year. Add some cost items or try a different year.
+            No data available for the selected period. Add some cost items or try a different period.
           </Typography>
         </Box>
       )}
@@ -1,60 +1,85 @@
 /**
  * PieChart component
- * Displays category breakdown for a selected month using a pie chart.
+ * Displays the breakdown by category or by tag for a selected month or date range using a pie chart.
  */
 import React, { useState, useEffect } from 'react';
 import {
   Paper,
   Typography,
-  FormControl,
-  InputLabel,
-  Select,
-  MenuItem,
   Button,
   Box,
   CircularProgress,
   Alert,
-  Snackbar
+  Snackbar,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem
 } from '@mui/material';
 // Recharts primitives used to render a responsive pie chart
 import { PieChart as RechartsPieChart, Pie, Cell, ResponsiveContainer, Legend, Tooltip } from 'recharts';
-import { getReport } from '../utils/idb';
-import { convertCurrency } from '../services/currencyService';
+import { getRangeReport } from '../utils/idb';
+import { formatAmount } from '../services/currencyRegistry';
+import { getBudgets, compareWithBudgets, getBudgetLabel } from '../utils/budgets';
+import { getCategories, getCategoryColors, CATEGORY_PALETTE } from '../utils/categories';
 import FeedbackSnackbar from '../components/FeedbackSnackbar';
-// getReport reads monthly costs; convertCurrency normalizes values for charting
+import MissingRatesAlert from '../components/MissingRatesAlert';
+import CurrencySelect from '../components/CurrencySelect';
+import AccountSelect from '../components/AccountSelect';
+import ReportPeriodControls from '../components/ReportPeriodControls';
+import { resolveRange } from '../utils/dates';
+// getRangeReport reads the chosen dates and converts values for charting
+
+// Slice label for costs without tags when the chart is grouped by tag
+const UNTAGGED = '(untagged)';
 
-/** Renders a pie chart of costs grouped by category. */
+/**
+ * Sums converted costs per slice key.
+ * @param {Array} costs - Converted report lines
+ * @param {string} groupBy - 'category', or 'tag' to add each cost to every one of its tags
+ * @returns {object} Total per category or tag
+ */
+const sumSlices = (costs, groupBy) => {
+  const totals = {};
+  costs.forEach(cost => {
+    const keys = groupBy === 'tag'
+      ? (cost.tags && cost.tags.length > 0 ? cost.tags : [UNTAGGED])
+      : [cost.category];
+    keys.forEach(key => {
+      totals[key] = (totals[key] || 0) + cost.sum;
+    });
+  });
+  return totals;
+};
+
+/** Renders a pie chart of costs grouped by category or tag. */
 function PieChart() {
   // State holds user selections, generated chart data, and UI flags
   const [formData, setFormData] = useState({
+    // Calendar month by default; see RANGE_PRESETS for the others
+    preset: 'month',
     year: new Date().getFullYear(),
     month: new Date().getMonth() + 1,
-    currency: 'USD'
+    from: '',
+    to: '',
+    currency: 'USD',
+    // '*' charts costs paid from any account; otherwise only the chosen account's
+    accountId: '*',
+    // 'category' or 'tag'
+    groupBy: 'category'
   });
   const [chartData, setChartData] = useState([]);
+  // Grouping of the chart on screen, which may differ from the not yet applied selection
+  const [chartGroupBy, setChartGroupBy] = useState('category');
+  // Budget markers shown under the chart for the selected month (none for other periods)
+  const [budgetComparisons, setBudgetComparisons] = useState([]);
+  // Currencies without a rate, whose costs are in no slice and whose budgets are not compared
+  const [missingRates, setMissingRates] = useState([]);
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
 
-  const currencies = ['USD', 'ILS', 'GBP', 'EURO'];
-  const months = [
-    { value: 1, label: 'January' },
-    { value: 2, label: 'February' },
-    { value: 3, label: 'March' },
-    { value: 4, label: 'April' },
-    { value: 5, label: 'May' },
-    { value: 6, label: 'June' },
-    { value: 7, label: 'July' },
-    { value: 8, label: 'August' },
-    { value: 9, label: 'September' },
-    { value: 10, label: 'October' },
-    { value: 11, label: 'November' },
-    { value: 12, label: 'December' }
-  ];
-  // Months list powers the month dropdown labels/values
-
-  // Colors for pie chart segments
-  const colors = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#FFC658', '#FF7C7C'];
-  // Fixed palette cycles through categories deterministically
+  // Segments use each category's chosen colour; the shared palette covers unknown categories
 
   /** Updates control state for chart inputs. */
   const handleInputChange = (event) => {
@@ -65,33 +90,40 @@ function PieChart() {
     }));
   };
 
-  /** Builds pie data by grouping costs by category. */
+  /** Builds pie data by grouping costs by category or tag. */
   const generateChart = async () => {
     setLoading(true);
     
     try {
-      // Build report and aggregate sums per category
-      const report = await getReport(formData.year, formData.month, formData.currency);
-      const convertedReport = await convertCurrency(report, formData.currency);
-      
-      // Group costs by category
-      const categoryTotals = {};
-      convertedReport.costs.forEach(cost => {
-        if (categoryTotals[cost.category]) {
-          categoryTotals[cost.category] += cost.sum;
-        } else {
-          categoryTotals[cost.category] = cost.sum;
-        }
+      // Build report and aggregate sums per category or tag
+      const { from, to } = resolveRange(formData);
+      const convertedReport = await getRangeReport(from, to, formData.currency, {
+        accountId: formData.accountId === '*' ? undefined : formData.accountId
       });
+      const totals = sumSlices(convertedReport.costs, formData.groupBy);
       
-      // Convert to chart data format
-      const data = Object.entries(categoryTotals).map(([category, value], index) => ({
-        name: category,
-        value: parseFloat(value.toFixed(2)),
-        fill: colors[index % colors.length]
+      // Convert to chart data format; tags have no colour of their own and use the palette
+      const categoryColors = formData.groupBy === 'category'
+        ? getCategoryColors(await getCategories({ includeArchived: true }))
+        : {};
+      const data = Object.entries(totals).map(([name, value], index) => ({
+        name,
+        value: parseFloat(formatAmount(value, formData.currency)),
+        fill: categoryColors[name] || CATEGORY_PALETTE[index % CATEGORY_PALETTE.length]
       }));
       
       setChartData(data);
+      setChartGroupBy(formData.groupBy);
+      // Budgets are monthly limits over every account, so only a calendar month of all accounts
+      // is compared with them
+      const comparisons = formData.preset === 'month' && formData.accountId === '*'
+        ? await compareWithBudgets(convertedReport, await getBudgets())
+        : [];
+      setBudgetComparisons(comparisons);
+      setMissingRates([...new Set([
+        ...convertedReport.unconverted,
+        ...comparisons.filter(comparison => comparison.unconverted).map(comparison => comparison.originalCurrency)
+      ])]);
       
       // Notify user chart is ready
       setSnackbar({
@@ -119,63 +151,37 @@ function PieChart() {
   return (
     <Paper elevation={3} sx={{ p: 4 }}>
       <Typography variant="h4" component="h1" gutterBottom>
-        Pie Chart - Costs by Category
+        Pie Chart - Costs by Category or Tag
       </Typography>
       
       <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-        View your spending breakdown by category for a specific month and year.
+        View your spending breakdown by category or by tag for a month, a rolling period or any range of dates.
       </Typography>
 
-      {/* Controls row: year, month, currency selectors and action button */}
+      {/* Controls row: period, currency, account and grouping selectors and action button */}
       <Box sx={{ display: 'flex', gap: 2, mb: 4, flexWrap: 'wrap' }}>
-        <FormControl sx={{ minWidth: 120 }}>
-          <InputLabel>Year</InputLabel>
-          <Select
-            name="year"
-            value={formData.year}
-            onChange={handleInputChange}
-            label="Year"
-          >
-            {/* Rolling 10-year range centered around current year */}
-            {Array.from({ length: 10 }, (_, i) => new Date().getFullYear() - 5 + i).map((year) => (
-              <MenuItem key={year} value={year}>
-                {year}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
-
-        {/* Month picker bound to controlled state */}
-        <FormControl sx={{ minWidth: 150 }}>
-          <InputLabel>Month</InputLabel>
-          <Select
-            name="month"
-            value={formData.month}
-            onChange={handleInputChange}
-            label="Month"
-          >
-            {months.map((month) => (
-              <MenuItem key={month.value} value={month.value}>
-                {month.label}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+        <ReportPeriodControls value={formData} onChange={handleInputChange} />
 
         {/* Currency picker controls units displayed in the chart */}
-        <FormControl sx={{ minWidth: 120 }}>
-          <InputLabel>Currency</InputLabel>
-          <Select
-            name="currency"
-            value={formData.currency}
-            onChange={handleInputChange}
-            label="Currency"
-          >
-            {currencies.map((currency) => (
-              <MenuItem key={currency} value={currency}>
-                {currency}
-              </MenuItem>
-            ))}
+        <CurrencySelect
+          sx={{ minWidth: 120 }}
+          label="Currency"
+          value={formData.currency}
+          onChange={handleInputChange}
+        />
+
+        <AccountSelect
+          sx={{ minWidth: 180 }}
+          value={formData.accountId}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: '*', label: 'All accounts' }]}
+        />
+
+        <FormControl sx={{ minWidth: 140 }}>
+          <InputLabel>Group by</InputLabel>
+          <Select name="groupBy" value={formData.groupBy} onChange={handleInputChange} label="Group by">
+            <MenuItem value="category">Category</MenuItem>
+            <MenuItem value="tag">Tag</MenuItem>
           </Select>
         </FormControl>
 
@@ -190,6 +196,11 @@ function PieChart() {
         </Button>
       </Box>
 
+      <MissingRatesAlert
+        currencies={missingRates}
+        consequence="amounts in those currencies are left out of the chart and budget comparisons"
+      />
+
       {chartData.length > 0 && (
         <Box sx={{ height: 400, width: '100%' }}>
           {/* Responsive container ensures the chart adapts to parent size */}
@@ -220,11 +231,34 @@ function PieChart() {
         </Box>
       )}
 
+      {/* A cost with several tags is in several slices, so the slices can add up to more than was spent */}
+      {chartData.length > 0 && chartGroupBy === 'tag' && (
+        <Typography variant="body2" color="text.secondary" align="center" sx={{ mt: 1 }}>
+          Costs with several tags count toward each of them; costs without tags are shown as {UNTAGGED}.
+        </Typography>
+      )}
+
+      {/* Budget markers: spent vs. limit per budget, highlighted when over */}
+      {chartData.length > 0 && budgetComparisons.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, justifyContent: 'center', mt: 2 }}>
+          {budgetComparisons.map((comparison) => (
+            <Chip
+              key={comparison.category}
+              label={comparison.unconverted
+                ? `${getBudgetLabel(comparison.category)}: ${formatAmount(comparison.originalBudget, comparison.originalCurrency)} ${comparison.originalCurrency} (no rate)`
+                : `${getBudgetLabel(comparison.category)}: ${formatAmount(comparison.actual, comparison.currency)} / ${formatAmount(comparison.budget, comparison.currency)} ${comparison.currency}`}
+              color={comparison.over ? 'error' : 'default'}
+              variant={comparison.over ? 'filled' : 'outlined'}
+            />
+          ))}
+        </Box>
+      )}
+
       {/* Empty state when there's no data for the selected period */}
       {chartData.length === 0 && !loading && (
         <Box sx={{ textAlign: 'center', py: 4 }}>
           <Typography variant="body1" color="text.secondary">
-            No data available for the selected period. Add some cost items or try a different month/year.
+            No data available for the selected period. Add some cost items or try a different period.
           </Typography>
         </Box>
       )}
@@ -0,0 +1,88 @@
+/**
+ * AccountSelect component
+ * Account dropdown backed by the accounts store, showing each account's type and currency.
+ */
+import React, { useState, useEffect } from 'react';
+import { FormControl, InputLabel, Select, MenuItem, ListItemText } from '@mui/material';
+import { getAccounts, subscribeAccounts, ACCOUNT_TYPES } from '../utils/accounts';
+
+/**
+ * Dropdown listing the payment accounts.
+ * @param {object} props
+ * @param {number|string} props.value - Selected account id, or the value of a leading option
+ * @param {function} props.onChange - Change handler receiving the Select event and the chosen
+ *   account record (undefined for leading options)
+ * @param {string} [props.name] - Input name used by the parent's change handler
+ * @param {string} [props.label] - Field label
+ * @param {Array<{value: string, label: string}>} [props.leadingOptions] - Extra options listed first
+ * Remaining props are passed to the wrapping FormControl (sx, fullWidth, margin...).
+ */
+function AccountSelect({
+  value,
+  onChange,
+  name = 'accountId',
+  label = 'Account',
+  leadingOptions = [],
+  ...formControlProps
+}) {
+  const [accounts, setAccounts] = useState([]);
+
+  // Load accounts and reload whenever they are added, changed or deleted
+  useEffect(() => {
+    let active = true;
+    const load = () => {
+      getAccounts()
+        .then((result) => {
+          if (active) {
+            setAccounts(result);
+          }
+        })
+        .catch(() => {});
+    };
+    load();
+    const unsubscribe = subscribeAccounts(load);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  // An id the store does not know (e.g. before the accounts load) renders blank instead of warning
+  const isKnown = leadingOptions.some(option => option.value === value)
+    || accounts.some(account => account.id === value);
+
+  return (
+    <FormControl {...formControlProps}>
+      <InputLabel>{label}</InputLabel>
+      <Select
+        name={name}
+        value={isKnown ? value : ''}
+        onChange={(event) => onChange(event, accounts.find(account => account.id === event.target.value))}
+        label={label}
+        // The closed field shows just the name; the type and currency are only listed in the menu
+        renderValue={(selected) => {
+          const option = leadingOptions.find(item => item.value === selected);
+          const account = accounts.find(item => item.id === selected);
+          return option ? option.label : (account ? account.name : '');
+        }}
+      >
+        {leadingOptions.map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.label}
+          </MenuItem>
+        ))}
+        {accounts.map((account) => (
+          <MenuItem key={account.id} value={account.id}>
+            <ListItemText
+              primary={account.name}
+              secondary={`${ACCOUNT_TYPES[account.type]}, ${account.currency}`}
+              sx={{ my: 0 }}
+            />
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+}
+
+export default AccountSelect;
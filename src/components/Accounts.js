@@ -0,0 +1,400 @@
+/**
+ * Accounts component
+ * Cash wallets, cards and bank accounts with their running balances, and the statement
+ * of an account for a period.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  ACCOUNT_TYPES,
+  addAccount,
+  updateAccount,
+  deleteAccount,
+  subscribeAccounts,
+  getAccountBalances,
+  getAccountStatement
+} from '../utils/accounts';
+import { resolveRange } from '../utils/dates';
+import { formatAmount } from '../services/currencyRegistry';
+import FeedbackSnackbar from './FeedbackSnackbar';
+import CurrencySelect from './CurrencySelect';
+import AccountSelect from './AccountSelect';
+import ReportPeriodControls from './ReportPeriodControls';
+
+// Form value of a new account
+const EMPTY_ACCOUNT = { name: '', type: 'card', currency: 'USD', openingBalance: '' };
+
+/**
+ * Name, type, currency and opening balance fields shared by the add form and the edit dialog.
+ * @param {object} props
+ * @param {object} props.value - { name, type, currency, openingBalance }
+ * @param {function} props.onChange - Change handler for the inputs
+ */
+function AccountFields({ value, onChange }) {
+  return (
+    <>
+      <TextField
+        label="Name"
+        name="name"
+        value={value.name}
+        onChange={onChange}
+        sx={{ minWidth: 200 }}
+      />
+
+      <FormControl sx={{ minWidth: 160 }}>
+        <InputLabel>Type</InputLabel>
+        <Select name="type" value={value.type} onChange={onChange} label="Type">
+          {Object.entries(ACCOUNT_TYPES).map(([type, label]) => (
+            <MenuItem key={type} value={type}>{label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <CurrencySelect
+        sx={{ minWidth: 120 }}
+        label="Currency"
+        value={value.currency}
+        onChange={onChange}
+      />
+
+      <TextField
+        label="Opening balance"
+        name="openingBalance"
+        type="number"
+        value={value.openingBalance}
+        onChange={onChange}
+        inputProps={{ step: 'any' }}
+        sx={{ width: 160 }}
+      />
+    </>
+  );
+}
+
+/** Accounts screen: add and edit accounts, see their balances and print a statement. */
+function Accounts() {
+  const [accounts, setAccounts] = useState([]);
+  const [newAccount, setNewAccount] = useState(EMPTY_ACCOUNT);
+  // Account open in the edit dialog (null when closed)
+  const [editing, setEditing] = useState(null);
+  // Account, period of the statement and the last statement shown
+  const [query, setQuery] = useState({
+    accountId: '',
+    preset: 'month',
+    year: new Date().getFullYear(),
+    month: new Date().getMonth() + 1,
+    from: '',
+    to: ''
+  });
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  // Load balances and reload whenever accounts are added, changed or deleted
+  useEffect(() => {
+    let active = true;
+    const load = () => {
+      getAccountBalances()
+        .then((records) => {
+          if (active) {
+            setAccounts(records);
+          }
+        })
+        .catch(() => {});
+    };
+    load();
+    const unsubscribe = subscribeAccounts(load);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  /** Updates the new account fields. */
+  const handleNewAccountChange = (event) => {
+    const { name, value } = event.target;
+    setNewAccount(prev => ({ ...prev, [name]: value }));
+  };
+
+  /** Updates the fields of the account being edited. */
+  const handleEditingChange = (event) => {
+    const { name, value } = event.target;
+    setEditing(prev => ({ ...prev, [name]: value }));
+  };
+
+  /** Updates the statement account and period. */
+  const handleQueryChange = (event) => {
+    const { name, value } = event.target;
+    setQuery(prev => ({ ...prev, [name]: value }));
+  };
+
+  /** Shows an error in the snackbar. */
+  const showError = (prefix, error) => {
+    setSnackbar({ open: true, message: `${prefix}: ${error.message}`, severity: 'error' });
+  };
+
+  /** Adds the account typed in the form. */
+  const handleAddAccount = async (event) => {
+    event.preventDefault();
+    try {
+      const account = await addAccount(newAccount);
+      setNewAccount(EMPTY_ACCOUNT);
+      setSnackbar({ open: true, message: `${account.name} added`, severity: 'success' });
+    } catch (error) {
+      showError('Error adding account', error);
+    }
+  };
+
+  /** Saves the edited account. */
+  const handleSaveEdit = async () => {
+    try {
+      const { id, name, type, currency, openingBalance } = editing;
+      await updateAccount(id, { name, type, currency, openingBalance });
+      setEditing(null);
+      // The shown statement may be of the changed account
+      setStatement(null);
+    } catch (error) {
+      showError('Error updating account', error);
+    }
+  };
+
+  /** Deletes an account no cost is paid from. */
+  const handleDeleteAccount = async (account) => {
+    try {
+      await deleteAccount(account.id);
+      if (query.accountId === account.id) {
+        setQuery(prev => ({ ...prev, accountId: '' }));
+        setStatement(null);
+      }
+      setSnackbar({ open: true, message: `${account.name} deleted`, severity: 'success' });
+    } catch (error) {
+      showError('Error deleting account', error);
+    }
+  };
+
+  /** Builds the statement of the selected account and period. */
+  const handleShowStatement = async () => {
+    setLoading(true);
+    try {
+      const { from, to } = resolveRange(query);
+      setStatement(await getAccountStatement(query.accountId, from, to));
+    } catch (error) {
+      showError('Error building statement', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /** Closes the feedback snackbar. */
+  const handleCloseSnackbar = () => {
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  const statementCurrency = statement && statement.account.currency;
+
+  return (
+    <Paper elevation={3} sx={{ p: 4 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Accounts
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Keep track of the cash, cards and bank accounts you pay from and get paid into. Choose the
+        account when adding a cost or income; balances convert foreign-currency entries at the rate of
+        each entry's date.
+      </Typography>
+
+      <Box component="form" onSubmit={handleAddAccount} sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <AccountFields value={newAccount} onChange={handleNewAccountChange} />
+        <Button type="submit" variant="contained" disabled={!newAccount.name.trim()}>
+          Add Account
+        </Button>
+      </Box>
+
+      {accounts.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 4 }}>
+          No accounts yet.
+        </Typography>
+      ) : (
+        <TableContainer sx={{ mb: 4 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Account</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell align="right">Opening balance</TableCell>
+                <TableCell align="right">Spent</TableCell>
+                <TableCell align="right">Received</TableCell>
+                <TableCell align="right">Balance</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {accounts.map((account) => (
+                <TableRow key={account.id}>
+                  <TableCell>{account.name}</TableCell>
+                  <TableCell>{ACCOUNT_TYPES[account.type]}</TableCell>
+                  <TableCell align="right">
+                    {formatAmount(account.openingBalance, account.currency)} {account.currency}
+                  </TableCell>
+                  <TableCell align="right">
+                    {formatAmount(account.spent, account.currency)} {account.currency}
+                  </TableCell>
+                  <TableCell align="right">
+                    {formatAmount(account.received, account.currency)} {account.currency}
+                  </TableCell>
+                  <TableCell
+                    align="right"
+                    sx={{ color: account.balance < 0 ? 'error.main' : 'inherit', fontWeight: 'bold' }}
+                  >
+                    {formatAmount(account.balance, account.currency)} {account.currency}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => setEditing({ ...account, openingBalance: String(account.openingBalance) })}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    {/* Accounts that costs are paid from cannot be deleted */}
+                    <Tooltip title="Delete">
+                      <IconButton size="small" onClick={() => handleDeleteAccount(account)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Statement of one account for a period */}
+      <Typography variant="h6" gutterBottom>
+        Statement
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <AccountSelect
+          sx={{ minWidth: 200 }}
+          value={query.accountId}
+          onChange={handleQueryChange}
+        />
+
+        <ReportPeriodControls value={query} onChange={handleQueryChange} />
+
+        <Button
+          variant="contained"
+          onClick={handleShowStatement}
+          disabled={loading || !query.accountId}
+          sx={{ minWidth: 160 }}
+        >
+          {loading ? <CircularProgress size={24} /> : 'Show Statement'}
+        </Button>
+      </Box>
+
+      {statement && (
+        <TableContainer>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {statement.account.name}, {statement.from} to {statement.to}, in {statementCurrency}
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Date</TableCell>
+                <TableCell>Description</TableCell>
+                <TableCell>Category</TableCell>
+                <TableCell align="right">Amount</TableCell>
+                <TableCell align="right">Balance</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              <TableRow>
+                <TableCell colSpan={4}><strong>Opening balance</strong></TableCell>
+                <TableCell align="right">
+                  <strong>{formatAmount(statement.openingBalance, statementCurrency)}</strong>
+                </TableCell>
+              </TableRow>
+              {statement.lines.map((line) => (
+                <TableRow key={line.id}>
+                  <TableCell>{line.date}</TableCell>
+                  <TableCell>{line.description}</TableCell>
+                  <TableCell>{line.category}</TableCell>
+                  {/* Expenses show as negative amounts and income as positive ones */}
+                  <TableCell align="right" sx={{ color: line.change > 0 ? 'success.main' : 'inherit' }}>
+                    {line.unconverted ? 'No rate' : formatAmount(line.change, statementCurrency)}
+                    {/* Foreign-currency costs also show what was charged */}
+                    {line.originalCurrency !== statementCurrency && (
+                      <Typography variant="caption" color="text.secondary" component="div">
+                        {formatAmount(line.originalSum, line.originalCurrency)} {line.originalCurrency}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell
+                    align="right"
+                    sx={{ color: line.balance < 0 ? 'error.main' : 'inherit' }}
+                  >
+                    {formatAmount(line.balance, statementCurrency)}
+                  </TableCell>
+                </TableRow>
+              ))}
+              <TableRow>
+                <TableCell colSpan={4}><strong>Closing balance</strong></TableCell>
+                <TableCell align="right">
+                  <strong>{formatAmount(statement.closingBalance, statementCurrency)}</strong>
+                </TableCell>
+              </TableRow>
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="md">
+        <DialogTitle>Edit Account</DialogTitle>
+        <DialogContent>
+          {editing && (
+            <Box sx={{ display: 'flex', gap: 2, pt: 1, flexWrap: 'wrap' }}>
+              <AccountFields value={editing} onChange={handleEditingChange} />
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveEdit}>Save</Button>
+        </DialogActions>
+      </Dialog>
+
+      <FeedbackSnackbar
+        open={snackbar.open}
+        message={snackbar.message}
+        severity={snackbar.severity}
+        onClose={handleCloseSnackbar}
+      />
+    </Paper>
+  );
+}
+
+export default Accounts;
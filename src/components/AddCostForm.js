@@ -8,44 +8,67 @@ import {
   Typography,
   TextField,
   Button,
-  FormControl,
-  InputLabel,
-  Select,
-  MenuItem,
   Box,
   Alert,
-  Snackbar
+  Snackbar,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import PhotoCameraIcon from '@mui/icons-material/PhotoCamera';
 import { addCost } from '../utils/idb';
+import { getExceededBudgets, getBudgetLabel } from '../utils/budgets';
+import { fromDateKey } from '../utils/dates';
+import { addAttachments, validateAttachment, ATTACHMENT_TYPES } from '../utils/attachments';
+import { ENTRY_TYPES } from '../utils/income';
+import { formatAmount } from '../services/currencyRegistry';
 import FeedbackSnackbar from './FeedbackSnackbar';
+import CurrencySelect from './CurrencySelect';
+import CategorySelect from './CategorySelect';
+import TagInput from './TagInput';
+import AccountSelect from './AccountSelect';
+import SplitEditor, { EMPTY_SHARING, toCostSharing } from './SplitEditor';
 // addCost persists a new cost item into local IndexedDB storage
 
+/**
+ * Returns today's local date in the 'YYYY-MM-DD' format used by date inputs.
+ */
+const getTodayString = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
 /**
  * Form for creating a new cost entry.
  */
 function AddCostForm() {
   // Form input state and UI feedback flags
   const [formData, setFormData] = useState({
+    // 'expense' or 'income'; each has its own categories
+    type: 'expense',
     sum: '',
     currency: 'USD',
     category: '',
-    description: ''
+    description: '',
+    date: getTodayString(),
+    tags: [],
+    // Account the entry is paid from (or into); '' for none
+    accountId: '',
+    // Who paid and how the cost is split when it is shared with the household
+    sharing: EMPTY_SHARING
   });
+  // Receipt files picked for the new cost; they are stored once the cost is saved
+  const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  // Currencies and categories come from their registries so entries use a controlled vocabulary
 
-  const currencies = ['USD', 'ILS', 'GBP', 'EURO'];
-  const categories = [
-    'FOOD',
-    'TRANSPORTATION',
-    'ENTERTAINMENT',
-    'EDUCATION',
-    'HEALTHCARE',
-    'SHOPPING',
-    'UTILITIES',
-    'OTHER'
-  ];
-  // Currencies and categories define controlled vocabularies for data integrity
+  // Wording of the feedback and the submit button follows the entry type
+  const isIncome = formData.type === 'income';
+  const entryLabel = isIncome ? 'Income' : 'Cost item';
 
   /** Updates form state for controlled inputs. */
   const handleInputChange = (event) => {
@@ -56,6 +79,45 @@ function AddCostForm() {
     }));
   };
 
+  /** Switches between expense and income, clearing the fields that only fit the other type. */
+  const handleTypeChange = (event, value) => {
+    // Exclusive toggle reports null when the active button is clicked again
+    if (value) {
+      setFormData(prev => ({ ...prev, type: value, category: '', sharing: EMPTY_SHARING }));
+    }
+  };
+
+  /** Sets the account and switches the currency to the account's own. */
+  const handleAccountChange = (event, account) => {
+    setFormData(prev => ({
+      ...prev,
+      accountId: event.target.value,
+      currency: account ? account.currency : prev.currency
+    }));
+  };
+
+  /** Adds picked receipt files, rejecting any that cannot be attached. */
+  const handleFilesPicked = (event) => {
+    const picked = Array.from(event.target.files);
+    // Clear the input so picking the same file again still fires a change
+    event.target.value = '';
+    try {
+      picked.forEach(validateAttachment);
+      setFiles(prev => [...prev, ...picked]);
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: error.message,
+        severity: 'error'
+      });
+    }
+  };
+
+  /** Removes a picked file before the cost is saved. */
+  const handleRemoveFile = (index) => {
+    setFiles(prev => prev.filter((file, fileIndex) => fileIndex !== index));
+  };
+
   /** Handles form submission, validation, and saving. */
   const handleSubmit = async (event) => {
     event.preventDefault();
@@ -80,41 +142,99 @@ function AddCostForm() {
       return;
     }
 
+    if (!formData.date) {
+      setSnackbar({
+        open: true,
+        message: 'Please pick the date of the expense',
+        severity: 'error'
+      });
+      return;
+    }
+
     // Enter loading state to prevent duplicate submissions
     setLoading(true);
     
     try {
       // Normalize and sanitize values before persisting
       const costData = {
+        type: formData.type,
         sum: parseFloat(formData.sum),
         currency: formData.currency,
         category: formData.category,
-        description: formData.description
+        description: formData.description,
+        date: formData.date,
+        tags: formData.tags,
+        accountId: formData.accountId,
+        ...toCostSharing(formData.sharing)
       };
 
       // Persist the new cost item to IndexedDB (async side effect)
       const result = await addCost(costData);
+
+      // The cost is saved either way; a failed upload is reported instead of undoing it
+      let attachmentError = null;
+      if (files.length > 0) {
+        try {
+          await addAttachments(result.id, files);
+        } catch (uploadError) {
+          attachmentError = uploadError;
+        }
+      }
       
+      // Warn when the new cost is the one that takes its category (or the month's total) over budget
+      const costDate = fromDateKey(formData.date);
+      let exceeded = [];
+      try {
+        if (formData.type === 'expense') {
+          exceeded = await getExceededBudgets(costDate.getFullYear(), costDate.getMonth() + 1, result);
+        }
+      } catch (budgetError) {
+        // The cost is saved; a failed budget check should not turn that into an error
+      }
+
       // Provide user feedback and reset inputs on success
-      setSnackbar({
-        open: true,
-        message: 'Cost item added successfully!',
-        severity: 'success'
-      });
+      if (attachmentError) {
+        setSnackbar({
+          open: true,
+          message: `${entryLabel} added, but the receipts could not be saved: ${attachmentError.message}`,
+          severity: 'warning'
+        });
+      } else if (exceeded.length > 0) {
+        const details = exceeded.map(comparison =>
+          `${getBudgetLabel(comparison.category)} ${formatAmount(comparison.actual, comparison.currency)} of ${formatAmount(comparison.budget, comparison.currency)} ${comparison.currency}`
+        ).join('; ');
+        setSnackbar({
+          open: true,
+          message: `Cost item added, but you are over budget: ${details}`,
+          severity: 'warning'
+        });
+      } else {
+        setSnackbar({
+          open: true,
+          message: `${entryLabel} added successfully!`,
+          severity: 'success'
+        });
+      }
 
-      // Reset form
+      // Reset form, staying on the same entry type for the next one
       setFormData({
+        type: formData.type,
         sum: '',
         currency: 'USD',
         category: '',
-        description: ''
+        description: '',
+        date: getTodayString(),
+        tags: [],
+        accountId: '',
+        sharing: EMPTY_SHARING
       });
+      setFiles([]);
       
     } catch (error) {
       // Show an error message if persistence fails
       setSnackbar({
         open: true,
-        message: `Error adding cost item: ${error.message}`,
+        message: `Error adding ${entryLabel.toLowerCase()}: ${error.message}`,
         severity: 'error'
       });
     } finally {
@@ -134,11 +254,25 @@ function AddCostForm() {
       </Typography>
       
       <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-        Add a new expense to your cost manager. The date will be automatically set to today.
+        Add a new expense, or switch to Income for salary, freelance pay or refunds. The date defaults to
+        today; change it for receipts entered later.
       </Typography>
 
-      {/* Form elements for sum, currency, category, and description */}
+      {/* Form elements for sum, currency, account, category, date, description, tags, sharing and receipts */}
       <Box component="form" onSubmit={handleSubmit} sx={{ maxWidth: 600 }}>
+        {/* Entry type; income uses its own categories and is never shared */}
+        <ToggleButtonGroup
+          value={formData.type}
+          exclusive
+          onChange={handleTypeChange}
+          aria-label="entry type"
+          sx={{ mt: 1 }}
+        >
+          {Object.entries(ENTRY_TYPES).map(([type, label]) => (
+            <ToggleButton key={type} value={type}>{label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+
         <TextField
           fullWidth
           label="Sum *"
@@ -152,40 +286,47 @@ function AddCostForm() {
           inputProps={{ min: 0, step: 0.01 }}
         />
 
-        {/* Required currency picker sourced from predefined list */}
-        <FormControl fullWidth margin="normal">
-          <InputLabel>Currency *</InputLabel>
-          <Select
-            name="currency"
-            value={formData.currency}
-            onChange={handleInputChange}
-            label="Currency *"
-          >
-            {currencies.map((currency) => (
-              <MenuItem key={currency} value={currency}>
-                {currency}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
-
-        {/* Required category picker to enforce allowed categories */}
-        <FormControl fullWidth margin="normal">
-          <InputLabel>Category *</InputLabel>
-          <Select
-            name="category"
-            value={formData.category}
-            onChange={handleInputChange}
-            label="Category *"
-            required
-          >
-            {categories.map((category) => (
-              <MenuItem key={category} value={category}>
-                {category}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+        {/* Required currency picker sourced from the currency registry */}
+        <CurrencySelect
+          fullWidth
+          margin="normal"
+          label="Currency *"
+          value={formData.currency}
+          onChange={handleInputChange}
+        />
+
+        {/* Optional payment account; picking one fills in its currency, which can still be changed */}
+        <AccountSelect
+          fullWidth
+          margin="normal"
+          value={formData.accountId}
+          onChange={handleAccountChange}
+          leadingOptions={[{ value: '', label: 'No account' }]}
+        />
+
+        {/* Required category picker listing the active user-defined categories */}
+        <CategorySelect
+          fullWidth
+          margin="normal"
+          label="Category *"
+          type={formData.type}
+          value={formData.category}
+          onChange={handleInputChange}
+          required
+        />
+
+        {/* Expense date; defaults to today so late receipts land in the right month */}
+        <TextField
+          fullWidth
+          label="Date *"
+          name="date"
+          type="date"
+          value={formData.date}
+          onChange={handleInputChange}
+          margin="normal"
+          required
+          InputLabelProps={{ shrink: true }}
+        />
 
         {/* Required description; multiline for better readability */}
         <TextField
@@ -200,6 +341,49 @@ function AddCostForm() {
           rows={3}
         />
 
+        {/* Optional free-form tags such as a trip or a client, suggested from earlier costs */}
+        <TagInput
+          fullWidth
+          margin="normal"
+          value={formData.tags}
+          onChange={handleInputChange}
+          helperText="Press Enter after each tag"
+        />
+
+        {/* Optional household sharing: who paid and how the cost is divided */}
+        {!isIncome && (
+          <SplitEditor
+            value={formData.sharing}
+            onChange={handleInputChange}
+            sum={formData.sum}
+            currency={formData.currency}
+          />
+        )}
+
+        {/* Receipts: pick images or PDFs, or take a photo with the camera on mobile */}
+        <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+          <Button variant="outlined" component="label" startIcon={<AttachFileIcon />}>
+            Attach Receipts
+            <input hidden type="file" multiple accept={ATTACHMENT_TYPES.join(',')} onChange={handleFilesPicked} />
+          </Button>
+          <Button variant="outlined" component="label" startIcon={<PhotoCameraIcon />}>
+            Take Photo
+            <input hidden type="file" accept="image/*" capture="environment" onChange={handleFilesPicked} />
+          </Button>
+        </Box>
+        {files.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+            {files.map((file, index) => (
+              <Chip
+                key={`${file.name}-${index}`}
+                label={file.name}
+                size="small"
+                onDelete={() => handleRemoveFile(index)}
+              />
+            ))}
+          </Box>
+        )}
+
         {/* Submit triggers validation and persistence */}
         <Button
           type="submit"
@@ -208,7 +392,7 @@ function AddCostForm() {
           disabled={loading}
           sx={{ mt: 3 }}
         >
-          {loading ? 'Adding...' : 'Add Cost Item'}
+          {loading ? 'Adding...' : `Add ${entryLabel}`}
         </Button>
       </Box>
 
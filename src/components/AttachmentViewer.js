@@ -0,0 +1,146 @@
+/**
+ * AttachmentViewer component
+ * Dialog showing the receipts attached to a cost: the selected image or PDF at full size,
+ * thumbnails to switch between them and a download button.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  ButtonBase,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import ImageIcon from '@mui/icons-material/Image';
+import DownloadIcon from '@mui/icons-material/Download';
+import { getAttachments } from '../utils/attachments';
+
+/**
+ * Receipt viewer.
+ * @param {object} props
+ * @param {number|null} props.costId - Cost whose attachments are shown (null when closed)
+ * @param {function} props.onClose - Called when the dialog is dismissed
+ */
+function AttachmentViewer({ costId, onClose }) {
+  // Attachments with object URLs for the file and its thumbnail
+  const [items, setItems] = useState([]);
+  const [selected, setSelected] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load the files of the opened cost; the object URLs are released when it closes
+  useEffect(() => {
+    if (costId === null) {
+      return undefined;
+    }
+    let active = true;
+    const urls = [];
+    const toUrl = (blob) => {
+      const url = URL.createObjectURL(blob);
+      urls.push(url);
+      return url;
+    };
+
+    setItems([]);
+    setSelected(0);
+    setError('');
+    setLoading(true);
+    getAttachments(costId)
+      .then((attachments) => {
+        if (active) {
+          setItems(attachments.map((attachment) => ({
+            id: attachment.id,
+            name: attachment.name,
+            type: attachment.type,
+            url: toUrl(attachment.blob),
+            thumbnailUrl: attachment.thumbnail ? toUrl(attachment.thumbnail) : null
+          })));
+        }
+      })
+      .catch((loadError) => {
+        if (active) {
+          setError(`Error loading attachments: ${loadError.message}`);
+        }
+      })
+      .finally(() => {
+        if (active) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      active = false;
+      urls.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [costId]);
+
+  const current = items[selected];
+
+  return (
+    <Dialog open={costId !== null} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Receipts</DialogTitle>
+      <DialogContent>
+        {loading && (
+          <Box sx={{ textAlign: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {current && (
+          <Box sx={{ textAlign: 'center', mb: 2 }}>
+            {current.type === 'application/pdf' ? (
+              <Box component="iframe" src={current.url} title={current.name} sx={{ width: '100%', height: '60vh', border: 0 }} />
+            ) : (
+              <Box component="img" src={current.url} alt={current.name} sx={{ maxWidth: '100%', maxHeight: '60vh' }} />
+            )}
+            <Typography variant="body2" color="text.secondary">
+              {current.name}
+            </Typography>
+          </Box>
+        )}
+
+        {/* Thumbnails switch the file shown above; PDFs and undecodable images show an icon */}
+        {items.length > 1 && (
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: 'center' }}>
+            {items.map((item, index) => (
+              <ButtonBase
+                key={item.id}
+                onClick={() => setSelected(index)}
+                title={item.name}
+                sx={{
+                  width: 72,
+                  height: 72,
+                  border: 2,
+                  borderColor: index === selected ? 'primary.main' : 'divider',
+                  borderRadius: 1,
+                  overflow: 'hidden'
+                }}
+              >
+                {item.thumbnailUrl
+                  ? <Box component="img" src={item.thumbnailUrl} alt={item.name} sx={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+                  : (item.type === 'application/pdf' ? <PictureAsPdfIcon color="action" /> : <ImageIcon color="action" />)}
+              </ButtonBase>
+            ))}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {current && (
+          <Button component="a" href={current.url} download={current.name} startIcon={<DownloadIcon />}>
+            Download
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AttachmentViewer;
@@ -0,0 +1,182 @@
+/**
+ * BackupRestore component
+ * Downloads a full backup and restores one after showing what it will change.
+ */
+import React, { useState } from 'react';
+import {
+  Typography,
+  Button,
+  Box,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Alert
+} from '@mui/material';
+import BackupIcon from '@mui/icons-material/Backup';
+import RestoreIcon from '@mui/icons-material/Restore';
+import { downloadBackup, readBackup, planRestore, restoreBackup } from '../utils/backup';
+
+/**
+ * Backup download plus a two-step restore (choose file and mode, then confirm).
+ * @param {object} props
+ * @param {function} props.onResult - Called with (message, severity) to show feedback
+ */
+function BackupRestore({ onResult }) {
+  // Backup being restored, its file name, the chosen mode and the resulting plan
+  const [backup, setBackup] = useState(null);
+  const [filename, setFilename] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  /** Downloads a backup of every store and the settings. */
+  const handleBackup = async () => {
+    setBusy(true);
+    try {
+      const counts = await downloadBackup();
+      onResult(`Backup saved with ${counts.costs || 0} cost item(s)`, 'success');
+    } catch (error) {
+      onResult(`Error creating backup: ${error.message}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /** Works out the changes a backup would make in the given mode. */
+  const loadPlan = async (nextBackup, nextMode) => {
+    setPlan(await planRestore(nextBackup, nextMode));
+  };
+
+  /** Reads and validates the chosen backup file, migrating it if it is older. */
+  const handleFileChange = async (event) => {
+    const chosen = event.target.files[0];
+    event.target.value = '';
+    if (!chosen) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const parsed = await readBackup(await chosen.text());
+      await loadPlan(parsed, mode);
+      setBackup(parsed);
+      setFilename(chosen.name);
+    } catch (error) {
+      onResult(`Error reading ${chosen.name}: ${error.message}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /** Switches between replace and merge and refreshes the preview. */
+  const handleModeChange = async (event) => {
+    const nextMode = event.target.value;
+    setMode(nextMode);
+    try {
+      await loadPlan(backup, nextMode);
+    } catch (error) {
+      onResult(`Error preparing restore: ${error.message}`, 'error');
+    }
+  };
+
+  /** Drops the loaded backup without restoring it. */
+  const handleCancel = () => {
+    setBackup(null);
+    setPlan(null);
+    setFilename('');
+  };
+
+  /** Restores the loaded backup. */
+  const handleRestore = async () => {
+    setBusy(true);
+    try {
+      await restoreBackup(backup, mode);
+      onResult(`Backup ${filename} restored`, 'success');
+      handleCancel();
+    } catch (error) {
+      onResult(`Error restoring backup: ${error.message}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <Button variant="outlined" startIcon={<BackupIcon />} onClick={handleBackup} disabled={busy}>
+          Download Backup
+        </Button>
+        <Button variant="outlined" component="label" startIcon={<RestoreIcon />} disabled={busy}>
+          Restore from Backup
+          <input hidden type="file" accept=".json,application/json" onChange={handleFileChange} />
+        </Button>
+      </Box>
+
+      {/* Restore preview: per-store changes for the chosen mode */}
+      {backup && plan && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            {filename}, created {new Date(backup.createdAt).toLocaleString()}
+          </Typography>
+
+          <RadioGroup row value={mode} onChange={handleModeChange}>
+            <FormControlLabel value="merge" control={<Radio />} label="Merge with current data" />
+            <FormControlLabel value="replace" control={<Radio />} label="Replace all data" />
+          </RadioGroup>
+
+          {mode === 'replace' && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              Everything stored in this browser is deleted and replaced by the backup.
+            </Alert>
+          )}
+
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Data</TableCell>
+                  <TableCell align="right">Added</TableCell>
+                  <TableCell align="right">Updated</TableCell>
+                  <TableCell align="right">Removed</TableCell>
+                  <TableCell align="right">Unchanged</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {Object.entries(plan.stores).map(([name, entry]) => (
+                  <TableRow key={name}>
+                    <TableCell>{name}</TableCell>
+                    <TableCell align="right">{entry.add.length}</TableCell>
+                    <TableCell align="right">{entry.update.length}</TableCell>
+                    <TableCell align="right">{entry.remove.length}</TableCell>
+                    <TableCell align="right">{entry.unchanged}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {plan.settings.length > 0
+              ? `Settings restored: ${plan.settings.join(', ')}`
+              : 'Settings stay as they are.'}
+          </Typography>
+
+          <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+            <Button variant="outlined" onClick={handleCancel} disabled={busy}>Cancel</Button>
+            <Button variant="contained" color={mode === 'replace' ? 'warning' : 'primary'} onClick={handleRestore} disabled={busy}>
+              {busy ? 'Restoring...' : 'Restore'}
+            </Button>
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default BackupRestore;
@@ -0,0 +1,225 @@
+/**
+ * BudgetEditor component
+ * Lets users set monthly budgets per category and for the overall total.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getBudgets, setBudget, deleteBudget, getBudgetLabel, OVERALL_BUDGET } from '../utils/budgets';
+import { formatAmount } from '../services/currencyRegistry';
+import FeedbackSnackbar from './FeedbackSnackbar';
+import CurrencySelect from './CurrencySelect';
+import CategorySelect from './CategorySelect';
+// budgets.js stores one monthly limit per category, each in its own currency
+
+/**
+ * Editor for monthly budgets.
+ */
+function BudgetEditor() {
+  // Form state, stored budgets, and UI feedback flags
+  const [formData, setFormData] = useState({
+    category: OVERALL_BUDGET,
+    amount: '',
+    currency: 'USD'
+  });
+  const [budgets, setBudgets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  /** Reloads the budgets from IndexedDB. */
+  const loadBudgets = async () => {
+    try {
+      setBudgets(await getBudgets());
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Error loading budgets: ${error.message}`,
+        severity: 'error'
+      });
+    }
+  };
+
+  // Load existing budgets on mount
+  useEffect(() => {
+    loadBudgets();
+  }, []);
+
+  /** Updates form state for controlled inputs. */
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /** Saves (creates or replaces) the budget for the selected category. */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+
+    try {
+      await setBudget(formData.category, formData.amount, formData.currency);
+      setSnackbar({
+        open: true,
+        message: `Budget saved for ${getBudgetLabel(formData.category)}`,
+        severity: 'success'
+      });
+      setFormData(prev => ({ ...prev, amount: '' }));
+      await loadBudgets();
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Error saving budget: ${error.message}`,
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /** Loads an existing budget into the form. */
+  const handleEditClick = (budget) => {
+    setFormData({
+      category: budget.category,
+      amount: String(budget.amount),
+      currency: budget.currency
+    });
+  };
+
+  /** Removes a budget. */
+  const handleDeleteClick = async (category) => {
+    try {
+      await deleteBudget(category);
+      await loadBudgets();
+      setSnackbar({
+        open: true,
+        message: `Budget removed for ${getBudgetLabel(category)}`,
+        severity: 'success'
+      });
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Error removing budget: ${error.message}`,
+        severity: 'error'
+      });
+    }
+  };
+
+  /** Closes the feedback snackbar. */
+  const handleCloseSnackbar = () => {
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 4 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Budgets
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Set a monthly spending limit per category and for your total spending. Reports and charts
+        compare each month against these limits, and you are warned when a new cost goes over.
+      </Typography>
+
+      {/* Budget form: category (or overall), monthly amount and its currency */}
+      <Box component="form" onSubmit={handleSubmit} sx={{ maxWidth: 600, mb: 4 }}>
+        <CategorySelect
+          type="expense"
+          fullWidth
+          margin="normal"
+          label="Category *"
+          value={formData.category}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: OVERALL_BUDGET, label: getBudgetLabel(OVERALL_BUDGET) }]}
+        />
+
+        <TextField
+          fullWidth
+          label="Monthly Budget *"
+          name="amount"
+          type="number"
+          value={formData.amount}
+          onChange={handleInputChange}
+          margin="normal"
+          required
+          inputProps={{ min: 0, step: 0.01 }}
+        />
+
+        <CurrencySelect
+          fullWidth
+          margin="normal"
+          label="Currency *"
+          value={formData.currency}
+          onChange={handleInputChange}
+        />
+
+        <Button type="submit" variant="contained" disabled={loading} sx={{ mt: 3 }}>
+          {loading ? 'Saving...' : 'Save Budget'}
+        </Button>
+      </Box>
+
+      {budgets.length > 0 ? (
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Category</TableCell>
+                <TableCell>Monthly Budget</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {budgets.map((budget) => (
+                <TableRow key={budget.category}>
+                  <TableCell>{getBudgetLabel(budget.category)}</TableCell>
+                  <TableCell>{formatAmount(budget.amount, budget.currency)} {budget.currency}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleEditClick(budget)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" onClick={() => handleDeleteClick(budget.category)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      ) : (
+        <Typography variant="body1" color="text.secondary">
+          No budgets set yet.
+        </Typography>
+      )}
+
+      <FeedbackSnackbar
+        open={snackbar.open}
+        message={snackbar.message}
+        severity={snackbar.severity}
+        onClose={handleCloseSnackbar}
+      />
+    </Paper>
+  );
+}
+
+export default BudgetEditor;
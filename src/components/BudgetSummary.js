@@ -0,0 +1,81 @@
+/**
+ * BudgetSummary component
+ * Shows budget-vs-actual progress for one month.
+ */
+import React from 'react';
+import {
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  LinearProgress
+} from '@mui/material';
+import { getBudgetLabel } from '../utils/budgets';
+import { formatAmount } from '../services/currencyRegistry';
+
+/**
+ * Table of budget comparisons with a progress bar per budget.
+ * @param {object} props
+ * @param {Array} props.comparisons - Output of compareWithBudgets
+ */
+function BudgetSummary({ comparisons }) {
+  if (!comparisons || comparisons.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Budget vs. Actual
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Budget</TableCell>
+              <TableCell>Spent</TableCell>
+              <TableCell>Limit</TableCell>
+              <TableCell>Remaining</TableCell>
+              <TableCell sx={{ width: '30%' }}>Progress</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {comparisons.map((comparison) => (
+              <TableRow key={comparison.category}>
+                <TableCell>{getBudgetLabel(comparison.category)}</TableCell>
+                <TableCell>{formatAmount(comparison.actual, comparison.currency)}</TableCell>
+                {/* A limit without a rate to the report currency is shown as set, with nothing to compare */}
+                <TableCell>
+                  {comparison.unconverted
+                    ? `${formatAmount(comparison.originalBudget, comparison.originalCurrency)} ${comparison.originalCurrency} (no rate)`
+                    : formatAmount(comparison.budget, comparison.currency)}
+                </TableCell>
+                <TableCell sx={{ color: comparison.over ? 'error.main' : 'inherit' }}>
+                  {comparison.unconverted
+                    ? 'n/a'
+                    : `${formatAmount(comparison.remaining, comparison.currency)} ${comparison.currency}`}
+                </TableCell>
+                <TableCell>
+                  {/* Bar is capped at 100%; colour switches to error once over budget */}
+                  {!comparison.unconverted && (
+                    <LinearProgress
+                      variant="determinate"
+                      value={Math.min(100, (comparison.actual / comparison.budget) * 100)}
+                      color={comparison.over ? 'error' : 'primary'}
+                    />
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default BudgetSummary;
@@ -0,0 +1,54 @@
+// Maps the icon names stored on categories to MUI icon components
+import React from 'react';
+import RestaurantIcon from '@mui/icons-material/Restaurant';
+import DirectionsCarIcon from '@mui/icons-material/DirectionsCar';
+import MovieIcon from '@mui/icons-material/Movie';
+import SchoolIcon from '@mui/icons-material/School';
+import LocalHospitalIcon from '@mui/icons-material/LocalHospital';
+import ShoppingCartIcon from '@mui/icons-material/ShoppingCart';
+import BoltIcon from '@mui/icons-material/Bolt';
+import CategoryIconGlyph from '@mui/icons-material/Category';
+import HomeIcon from '@mui/icons-material/Home';
+import FlightIcon from '@mui/icons-material/Flight';
+import PetsIcon from '@mui/icons-material/Pets';
+import FitnessCenterIcon from '@mui/icons-material/FitnessCenter';
+import LocalCafeIcon from '@mui/icons-material/LocalCafe';
+import WorkIcon from '@mui/icons-material/Work';
+import CardGiftcardIcon from '@mui/icons-material/CardGiftcard';
+import PhoneIphoneIcon from '@mui/icons-material/PhoneIphone';
+import ChildCareIcon from '@mui/icons-material/ChildCare';
+import LocalGasStationIcon from '@mui/icons-material/LocalGasStation';
+import LaptopIcon from '@mui/icons-material/Laptop';
+import ReplayIcon from '@mui/icons-material/Replay';
+
+// Curated set of icons users can pick for a category, keyed by stored name
+export const CATEGORY_ICONS = {
+  Restaurant: RestaurantIcon,
+  DirectionsCar: DirectionsCarIcon,
+  LocalGasStation: LocalGasStationIcon,
+  Movie: MovieIcon,
+  School: SchoolIcon,
+  LocalHospital: LocalHospitalIcon,
+  ShoppingCart: ShoppingCartIcon,
+  Bolt: BoltIcon,
+  Home: HomeIcon,
+  Flight: FlightIcon,
+  Pets: PetsIcon,
+  FitnessCenter: FitnessCenterIcon,
+  LocalCafe: LocalCafeIcon,
+  Work: WorkIcon,
+  CardGiftcard: CardGiftcardIcon,
+  PhoneIphone: PhoneIphoneIcon,
+  ChildCare: ChildCareIcon,
+  Laptop: LaptopIcon,
+  Replay: ReplayIcon,
+  Category: CategoryIconGlyph
+};
+
+// Renders a category's icon in its colour; unknown names fall back to the generic icon
+function CategoryIcon({ icon, color, ...iconProps }) {
+  const Icon = CATEGORY_ICONS[icon] || CategoryIconGlyph;
+  return <Icon sx={{ color }} {...iconProps} />;
+}
+
+export default CategoryIcon;
@@ -0,0 +1,366 @@
+/**
+ * CategoryManager component
+ * Lets users create, rename, merge and archive expense and income categories and pick their
+ * colour and icon.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Chip
+} from '@mui/material';
+import DriveFileRenameOutlineIcon from '@mui/icons-material/DriveFileRenameOutline';
+import MergeTypeIcon from '@mui/icons-material/MergeType';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import UnarchiveIcon from '@mui/icons-material/Unarchive';
+import {
+  getCategories,
+  addCategory,
+  updateCategory,
+  archiveCategory,
+  renameCategory,
+  mergeCategories,
+  subscribeCategories,
+  CATEGORY_PALETTE
+} from '../utils/categories';
+import { ENTRY_TYPES } from '../utils/income';
+import FeedbackSnackbar from './FeedbackSnackbar';
+import CategoryIcon, { CATEGORY_ICONS } from './CategoryIcon';
+// categories.js rewrites stored costs, budgets and recurring costs on rename/merge
+
+/**
+ * Select listing the curated category icons.
+ * @param {object} props
+ * @param {string} props.value - Selected icon name
+ * @param {function} props.onChange - Change handler receiving the Select event
+ * @param {string} [props.color] - Colour used to preview the icons
+ */
+function IconSelect({ value, onChange, color, ...formControlProps }) {
+  return (
+    <FormControl {...formControlProps}>
+      <InputLabel>Icon</InputLabel>
+      <Select name="icon" value={value} onChange={onChange} label="Icon">
+        {Object.keys(CATEGORY_ICONS).map((icon) => (
+          <MenuItem key={icon} value={icon}>
+            <CategoryIcon icon={icon} color={color} fontSize="small" />
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+}
+
+/**
+ * Management screen for user-defined categories.
+ */
+function CategoryManager() {
+  // New category form, stored categories, open rename/merge dialog and feedback
+  const [formData, setFormData] = useState({ name: '', type: 'expense', color: CATEGORY_PALETTE[0], icon: 'Category' });
+  const [categories, setCategories] = useState([]);
+  const [dialog, setDialog] = useState({ mode: null, category: null, value: '' });
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  /** Shows an error in the snackbar. */
+  const showError = (prefix, error) => {
+    setSnackbar({
+      open: true,
+      message: `${prefix}: ${error.message}`,
+      severity: 'error'
+    });
+  };
+
+  // Load categories and keep them in sync with changes made elsewhere
+  useEffect(() => {
+    const load = () => {
+      getCategories({ includeArchived: true })
+        .then(setCategories)
+        .catch(error => showError('Error loading categories', error));
+    };
+    load();
+    return subscribeCategories(load);
+  }, []);
+
+  /** Updates the new-category form for controlled inputs. */
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /** Creates a new category. */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      const created = await addCategory(formData);
+      setSnackbar({
+        open: true,
+        message: `Category ${created.name} created`,
+        severity: 'success'
+      });
+      // Suggest the next palette colour for the following category
+      setFormData({
+        name: '',
+        type: formData.type,
+        color: CATEGORY_PALETTE[(categories.length + 1) % CATEGORY_PALETTE.length],
+        icon: 'Category'
+      });
+    } catch (error) {
+      showError('Error creating category', error);
+    }
+  };
+
+  /** Saves a colour or icon change straight from the table. */
+  const handleAppearanceChange = async (name, patch) => {
+    try {
+      await updateCategory(name, patch);
+    } catch (error) {
+      showError('Error updating category', error);
+    }
+  };
+
+  /** Archives or restores a category. */
+  const handleArchiveToggle = async (category) => {
+    try {
+      await archiveCategory(category.name, !category.archived);
+      setSnackbar({
+        open: true,
+        message: category.archived
+          ? `Category ${category.name} restored`
+          : `Category ${category.name} archived; existing costs keep it`,
+        severity: 'success'
+      });
+    } catch (error) {
+      showError('Error archiving category', error);
+    }
+  };
+
+  /** Opens the rename or merge dialog for a category. */
+  const openDialog = (mode, category) => {
+    setDialog({ mode, category, value: mode === 'rename' ? category.name : '' });
+  };
+
+  /** Closes the rename/merge dialog. */
+  const closeDialog = () => {
+    setDialog({ mode: null, category: null, value: '' });
+  };
+
+  /** Applies the rename or merge chosen in the dialog. */
+  const handleDialogConfirm = async () => {
+    const { mode, category, value } = dialog;
+    try {
+      const rewritten = mode === 'rename'
+        ? await renameCategory(category.name, value)
+        : await mergeCategories(category.name, value);
+      closeDialog();
+      setSnackbar({
+        open: true,
+        message: mode === 'rename'
+          ? `Category renamed; ${rewritten} cost item(s) updated`
+          : `Categories merged; ${rewritten} cost item(s) moved`,
+        severity: 'success'
+      });
+    } catch (error) {
+      showError(mode === 'rename' ? 'Error renaming category' : 'Error merging categories', error);
+    }
+  };
+
+  /** Closes the feedback snackbar. */
+  const handleCloseSnackbar = () => {
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 4 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Categories
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Manage the categories offered when adding costs and income. Renaming or merging a category
+        also updates every cost, budget and recurring cost that uses it; a category can only be merged
+        into one of the same type. Archived categories are hidden from new entries but kept on
+        existing costs.
+      </Typography>
+
+      {/* New category form: name, type, colour and icon */}
+      <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', gap: 2, mb: 4, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          label="New Category *"
+          name="name"
+          value={formData.name}
+          onChange={handleInputChange}
+          required
+        />
+        <FormControl sx={{ minWidth: 120 }}>
+          <InputLabel>Type</InputLabel>
+          <Select name="type" value={formData.type} onChange={handleInputChange} label="Type">
+            {Object.entries(ENTRY_TYPES).map(([type, label]) => (
+              <MenuItem key={type} value={type}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          label="Colour"
+          name="color"
+          type="color"
+          value={formData.color}
+          onChange={handleInputChange}
+          sx={{ width: 100 }}
+        />
+        <IconSelect
+          sx={{ minWidth: 100 }}
+          value={formData.icon}
+          onChange={handleInputChange}
+          color={formData.color}
+        />
+        <Button type="submit" variant="contained">
+          Add Category
+        </Button>
+      </Box>
+
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Category</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>Colour</TableCell>
+              <TableCell>Icon</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {categories.map((category) => (
+              <TableRow key={category.name}>
+                <TableCell>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <CategoryIcon icon={category.icon} color={category.color} />
+                    {category.name}
+                  </Box>
+                </TableCell>
+                <TableCell>{ENTRY_TYPES[category.type]}</TableCell>
+                <TableCell>
+                  {/* Native colour input; each change is saved immediately */}
+                  <input
+                    type="color"
+                    value={category.color}
+                    aria-label={`${category.name} colour`}
+                    onChange={(event) => handleAppearanceChange(category.name, { color: event.target.value })}
+                  />
+                </TableCell>
+                <TableCell>
+                  <IconSelect
+                    size="small"
+                    value={category.icon}
+                    color={category.color}
+                    onChange={(event) => handleAppearanceChange(category.name, { icon: event.target.value })}
+                  />
+                </TableCell>
+                <TableCell>
+                  {category.archived && <Chip size="small" label="Archived" />}
+                </TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Rename">
+                    <IconButton size="small" onClick={() => openDialog('rename', category)}>
+                      <DriveFileRenameOutlineIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Merge into another category">
+                    <IconButton size="small" onClick={() => openDialog('merge', category)}>
+                      <MergeTypeIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={category.archived ? 'Restore' : 'Archive'}>
+                    <IconButton size="small" onClick={() => handleArchiveToggle(category)}>
+                      {category.archived ? <UnarchiveIcon fontSize="small" /> : <ArchiveIcon fontSize="small" />}
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Rename asks for a new name; merge asks for the category that absorbs this one */}
+      <Dialog open={Boolean(dialog.mode)} onClose={closeDialog} fullWidth maxWidth="xs">
+        <DialogTitle>
+          {dialog.mode === 'rename' ? 'Rename Category' : 'Merge Category'}
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 1 }}>
+            {dialog.mode === 'rename'
+              ? 'All costs, budgets and recurring costs in this category will use the new name.'
+              : `All costs in ${dialog.category ? dialog.category.name : ''} move to the chosen category, which keeps its own budget. ${dialog.category ? dialog.category.name : ''} is then removed.`}
+          </DialogContentText>
+          {dialog.mode === 'rename' ? (
+            <TextField
+              fullWidth
+              autoFocus
+              label="New Name"
+              value={dialog.value}
+              onChange={(event) => setDialog(prev => ({ ...prev, value: event.target.value }))}
+              margin="normal"
+            />
+          ) : (
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Merge Into</InputLabel>
+              <Select
+                value={dialog.value}
+                onChange={(event) => setDialog(prev => ({ ...prev, value: event.target.value }))}
+                label="Merge Into"
+              >
+                {categories
+                  .filter(category => dialog.category && category.name !== dialog.category.name
+                    && category.type === dialog.category.type)
+                  .map((category) => (
+                    <MenuItem key={category.name} value={category.name}>
+                      {category.name}
+                    </MenuItem>
+                  ))}
+              </Select>
+            </FormControl>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button variant="contained" onClick={handleDialogConfirm} disabled={!dialog.value}>
+            {dialog.mode === 'rename' ? 'Rename' : 'Merge'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <FeedbackSnackbar
+        open={snackbar.open}
+        message={snackbar.message}
+        severity={snackbar.severity}
+        onClose={handleCloseSnackbar}
+      />
+    </Paper>
+  );
+}
+
+export default CategoryManager;
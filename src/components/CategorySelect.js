@@ -0,0 +1,93 @@
+/**
+ * CategorySelect component
+ * Category dropdown backed by the categories store, showing each category's icon.
+ */
+import React, { useState, useEffect } from 'react';
+import { FormControl, InputLabel, Select, MenuItem, ListItemIcon, ListItemText } from '@mui/material';
+import { getCategories, subscribeCategories } from '../utils/categories';
+import CategoryIcon from './CategoryIcon';
+
+/**
+ * Dropdown listing the active (non-archived) categories.
+ * @param {object} props
+ * @param {string} props.value - Selected category name
+ * @param {function} props.onChange - Change handler receiving the Select event
+ * @param {string} [props.name] - Input name used by the parent's change handler
+ * @param {string} [props.label] - Field label
+ * @param {boolean} [props.required] - Marks the Select as required
+ * @param {string} [props.type] - Only list categories of this entry type ('expense' or 'income');
+ *   every category when omitted
+ * @param {Array<{value: string, label: string}>} [props.leadingOptions] - Extra options listed first
+ * Remaining props are passed to the wrapping FormControl (sx, fullWidth, margin...).
+ */
+function CategorySelect({
+  value,
+  onChange,
+  name = 'category',
+  label = 'Category',
+  required = false,
+  type,
+  leadingOptions = [],
+  ...formControlProps
+}) {
+  const [categories, setCategories] = useState([]);
+
+  // Load categories and reload whenever they are created, renamed or archived
+  useEffect(() => {
+    let active = true;
+    const load = () => {
+      getCategories({ includeArchived: true })
+        .then((result) => {
+          if (active) {
+            setCategories(result);
+          }
+        })
+        .catch(() => {});
+    };
+    load();
+    const unsubscribe = subscribeCategories(load);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  // Archived categories are hidden unless they are the current value (e.g. when editing an old cost)
+  const options = categories.filter(category =>
+    (!category.archived || category.name === value) && (!type || category.type === type)
+  );
+  const isKnown = !value
+    || leadingOptions.some(option => option.value === value)
+    || options.some(category => category.name === value);
+  // Keep a value the store does not know yet selectable instead of rendering blank
+  const extra = isKnown ? [] : [{ name: value, color: undefined, icon: 'Category' }];
+
+  return (
+    <FormControl {...formControlProps}>
+      <InputLabel>{label}</InputLabel>
+      <Select
+        name={name}
+        value={value}
+        onChange={onChange}
+        label={label}
+        required={required}
+      >
+        {leadingOptions.map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.label}
+          </MenuItem>
+        ))}
+        {[...options, ...extra].map((category) => (
+          <MenuItem key={category.name} value={category.name}>
+            <ListItemIcon sx={{ minWidth: 36 }}>
+              <CategoryIcon icon={category.icon} color={category.color} fontSize="small" />
+            </ListItemIcon>
+            <ListItemText primary={category.name} sx={{ my: 0 }} />
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+}
+
+export default CategorySelect;
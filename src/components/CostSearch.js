@@ -0,0 +1,349 @@
+/**
+ * CostSearch component
+ * Finds cost items and income across every month by type, text, category, currency, amount
+ * and date, with sortable, paginated results and the same edit/delete actions as the report table.
+ */
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TableSortLabel,
+  TablePagination,
+  CircularProgress,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { searchCosts } from '../utils/idb';
+import { formatAmount } from '../services/currencyRegistry';
+import { ENTRY_TYPES } from '../utils/income';
+import FeedbackSnackbar from './FeedbackSnackbar';
+import CurrencySelect from './CurrencySelect';
+import CategorySelect from './CategorySelect';
+import EditCostDialog from './EditCostDialog';
+import useCostActions from '../hooks/useCostActions';
+
+// Result columns; every one except the actions can be sorted
+const columns = [
+  { field: 'date', label: 'Date' },
+  { field: 'sum', label: 'Sum' },
+  { field: 'currency', label: 'Currency' },
+  { field: 'category', label: 'Category' },
+  { field: 'description', label: 'Description' }
+];
+
+/**
+ * Turns the filter form into searchCosts criteria, leaving out empty and 'any' fields.
+ * @param {object} filters - Filter form state
+ * @returns {object} Search criteria
+ */
+const toCriteria = (filters) => ({
+  type: filters.type === '*' ? undefined : filters.type,
+  text: filters.text || undefined,
+  category: filters.category === '*' ? undefined : filters.category,
+  currency: filters.currency === '*' ? undefined : filters.currency,
+  minSum: filters.minSum === '' ? undefined : Number(filters.minSum),
+  maxSum: filters.maxSum === '' ? undefined : Number(filters.maxSum),
+  from: filters.from || undefined,
+  to: filters.to || undefined
+});
+
+/** Search screen listing matching cost items in their own currencies. */
+function CostSearch() {
+  // Filter form; '*' means any type, category or currency and empty fields are not filtered on
+  const [filters, setFilters] = useState({
+    type: '*',
+    text: '',
+    category: '*',
+    currency: '*',
+    minSum: '',
+    maxSum: '',
+    from: '',
+    to: ''
+  });
+  // Criteria of the last search, so sorting and paging do not pick up unsubmitted edits
+  const [criteria, setCriteria] = useState(null);
+  const [paging, setPaging] = useState({ sortBy: 'date', direction: 'desc', page: 0, pageSize: 25 });
+  const [results, setResults] = useState([]);
+  const [count, setCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success', undo: null });
+
+  /** Updates filter form state for controlled inputs. */
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /** Runs a search and stores the page of results. */
+  const loadResults = async (nextCriteria, nextPaging) => {
+    let found = await searchCosts(nextCriteria, nextPaging);
+    // Deleting the last row of the last page moves back to the page before it
+    const lastPage = Math.max(0, Math.ceil(found.count / nextPaging.pageSize) - 1);
+    const page = Math.min(nextPaging.page, lastPage);
+    if (page !== nextPaging.page) {
+      found = await searchCosts(nextCriteria, { ...nextPaging, page });
+    }
+    setResults(found.results);
+    setCount(found.count);
+    setPaging({ ...nextPaging, page });
+  };
+
+  // Row edits and deletes reload the page of results they were made on
+  const {
+    editingCost,
+    closeEditor,
+    handleEditClick,
+    handleSaveEdit,
+    handleDeleteClick,
+    handleUndo
+  } = useCostActions({ snackbar, setSnackbar, reload: () => loadResults(criteria, paging) });
+
+  /** Runs a search and reports errors in the snackbar. */
+  const runSearch = async (nextCriteria, nextPaging) => {
+    setLoading(true);
+    try {
+      await loadResults(nextCriteria, nextPaging);
+      setCriteria(nextCriteria);
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Error searching costs: ${error.message}`,
+        severity: 'error',
+        undo: null
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /** Searches with the current filters from the first page. */
+  const handleSearch = (event) => {
+    event.preventDefault();
+    runSearch(toCriteria(filters), { ...paging, page: 0 });
+  };
+
+  /** Sorts by a column, toggling the direction when it is already sorted by it. */
+  const handleSort = (field) => {
+    const direction = paging.sortBy === field && paging.direction === 'asc' ? 'desc' : 'asc';
+    runSearch(criteria, { ...paging, sortBy: field, direction, page: 0 });
+  };
+
+  /** Shows another page of results. */
+  const handlePageChange = (event, page) => {
+    runSearch(criteria, { ...paging, page });
+  };
+
+  /** Changes the number of results per page. */
+  const handlePageSizeChange = (event) => {
+    runSearch(criteria, { ...paging, page: 0, pageSize: Number(event.target.value) });
+  };
+
+  /** Closes the feedback snackbar. */
+  const handleCloseSnackbar = () => {
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 4 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Search Costs
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Find cost items and income in any month. Leave a field empty to ignore it; amounts are
+        compared in each item's own currency.
+      </Typography>
+
+      {/* Filters; submitting the form (or pressing Enter) runs the search */}
+      <Box component="form" onSubmit={handleSearch} sx={{ display: 'flex', gap: 2, mb: 4, flexWrap: 'wrap' }}>
+        <TextField
+          label="Description contains"
+          name="text"
+          value={filters.text}
+          onChange={handleInputChange}
+          sx={{ minWidth: 220 }}
+        />
+
+        <FormControl sx={{ minWidth: 140 }}>
+          <InputLabel>Type</InputLabel>
+          <Select name="type" value={filters.type} onChange={handleInputChange} label="Type">
+            <MenuItem value="*">All entries</MenuItem>
+            {Object.entries(ENTRY_TYPES).map(([type, label]) => (
+              <MenuItem key={type} value={type}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {/* Lists the categories of the chosen type, or all of them */}
+        <CategorySelect
+          type={filters.type === '*' ? undefined : filters.type}
+          sx={{ minWidth: 200 }}
+          label="Category"
+          value={filters.category}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: '*', label: 'All categories' }]}
+        />
+
+        <CurrencySelect
+          sx={{ minWidth: 140 }}
+          label="Currency"
+          value={filters.currency}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: '*', label: 'Any currency' }]}
+        />
+
+        <TextField
+          label="Min sum"
+          name="minSum"
+          type="number"
+          value={filters.minSum}
+          onChange={handleInputChange}
+          inputProps={{ min: 0, step: 'any' }}
+          sx={{ width: 120 }}
+        />
+        <TextField
+          label="Max sum"
+          name="maxSum"
+          type="number"
+          value={filters.maxSum}
+          onChange={handleInputChange}
+          inputProps={{ min: 0, step: 'any' }}
+          sx={{ width: 120 }}
+        />
+
+        <TextField
+          label="From"
+          name="from"
+          type="date"
+          value={filters.from}
+          onChange={handleInputChange}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="To"
+          name="to"
+          type="date"
+          value={filters.to}
+          onChange={handleInputChange}
+          InputLabelProps={{ shrink: true }}
+        />
+
+        <Button
+          type="submit"
+          variant="contained"
+          startIcon={!loading && <SearchIcon />}
+          disabled={loading}
+          sx={{ minWidth: 120 }}
+        >
+          {loading ? <CircularProgress size={24} /> : 'Search'}
+        </Button>
+      </Box>
+
+      {criteria && (
+        <Box>
+          <Typography variant="h6" gutterBottom>
+            {count} matching cost item(s)
+          </Typography>
+
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  {columns.map((column) => (
+                    <TableCell key={column.field} sortDirection={paging.sortBy === column.field ? paging.direction : false}>
+                      <TableSortLabel
+                        active={paging.sortBy === column.field}
+                        direction={paging.sortBy === column.field ? paging.direction : 'asc'}
+                        onClick={() => handleSort(column.field)}
+                      >
+                        {column.label}
+                      </TableSortLabel>
+                    </TableCell>
+                  ))}
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {results.map((cost) => (
+                  <TableRow key={cost.id}>
+                    <TableCell>{cost.date}</TableCell>
+                    {/* Income is told apart from expenses by its colour */}
+                    <TableCell sx={{ color: cost.type === 'income' ? 'success.main' : 'inherit' }}>
+                      {formatAmount(cost.sum, cost.currency)}
+                    </TableCell>
+                    <TableCell>{cost.currency}</TableCell>
+                    <TableCell>{cost.category}</TableCell>
+                    <TableCell>{cost.description}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => handleEditClick(cost.id)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" onClick={() => handleDeleteClick(cost.id)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <TablePagination
+            component="div"
+            count={count}
+            page={paging.page}
+            rowsPerPage={paging.pageSize}
+            rowsPerPageOptions={[10, 25, 50, 100]}
+            onPageChange={handlePageChange}
+            onRowsPerPageChange={handlePageSizeChange}
+          />
+        </Box>
+      )}
+
+      {/* Dialog for editing the stored values of a row */}
+      <EditCostDialog
+        open={Boolean(editingCost)}
+        cost={editingCost}
+        onClose={closeEditor}
+        onSave={handleSaveEdit}
+      />
+
+      <FeedbackSnackbar
+        open={snackbar.open}
+        message={snackbar.message}
+        severity={snackbar.severity}
+        onClose={handleCloseSnackbar}
+        action={snackbar.undo && (
+          <Button color="inherit" size="small" onClick={handleUndo}>
+            UNDO
+          </Button>
+        )}
+      />
+    </Paper>
+  );
+}
+
+export default CostSearch;
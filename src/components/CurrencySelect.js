@@ -0,0 +1,74 @@
+/**
+ * CurrencySelect component
+ * Currency dropdown backed by the currency registry, with pinned favourites on top.
+ */
+import React, { useState, useEffect } from 'react';
+import { FormControl, InputLabel, Select, MenuItem, ListSubheader } from '@mui/material';
+import {
+  getCurrencyOptions,
+  getCurrencyInfo,
+  normalizeCurrencyCode,
+  subscribeCurrencies
+} from '../services/currencyRegistry';
+
+/**
+ * Dropdown listing every currency that has an exchange rate.
+ * @param {object} props
+ * @param {string} props.value - Selected currency code
+ * @param {function} props.onChange - Change handler receiving the Select event
+ * @param {string} [props.name] - Input name used by the parent's change handler
+ * @param {string} [props.label] - Field label
+ * @param {Array<{value: string, label: string}>} [props.leadingOptions] - Extra options listed first
+ * Remaining props are passed to the wrapping FormControl (sx, fullWidth, margin...).
+ */
+function CurrencySelect({
+  value,
+  onChange,
+  name = 'currency',
+  label = 'Currency',
+  leadingOptions = [],
+  ...formControlProps
+}) {
+  // Re-render when a rates fetch reveals new currencies or favourites change
+  const [options, setOptions] = useState(getCurrencyOptions());
+  useEffect(() => subscribeCurrencies(() => setOptions(getCurrencyOptions())), []);
+
+  // Keep a selected code that is not (yet) available so the Select never shows blank
+  const leading = leadingOptions.find(option => option.value === value);
+  const selected = leading ? value : normalizeCurrencyCode(value);
+  const known = Boolean(leading) || [...options.favorites, ...options.others].some(info => info.code === selected);
+  const extra = selected && !known ? [getCurrencyInfo(selected)] : [];
+
+  /** Renders one currency as a menu item. */
+  const renderItem = (info) => (
+    <MenuItem key={info.code} value={info.code}>
+      {info.code} ({info.symbol}) - {info.name}
+    </MenuItem>
+  );
+
+  return (
+    <FormControl {...formControlProps}>
+      <InputLabel>{label}</InputLabel>
+      <Select
+        name={name}
+        value={selected}
+        onChange={onChange}
+        label={label}
+        renderValue={(code) => (leading ? leading.label : code)}
+        MenuProps={{ PaperProps: { sx: { maxHeight: 400 } } }}
+      >
+        {leadingOptions.map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.label}
+          </MenuItem>
+        ))}
+        {options.favorites.length > 0 && <ListSubheader>Favourites</ListSubheader>}
+        {[...options.favorites, ...extra].map(renderItem)}
+        {options.others.length > 0 && <ListSubheader>All currencies</ListSubheader>}
+        {options.others.map(renderItem)}
+      </Select>
+    </FormControl>
+  );
+}
+
+export default CurrencySelect;
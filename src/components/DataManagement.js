@@ -0,0 +1,134 @@
+/**
+ * DataManagement component
+ * Settings section for getting data into and out of the browser's IndexedDB.
+ */
+import React, { useState } from 'react';
+import {
+  Typography,
+  TextField,
+  Box,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import CurrencySelect from './CurrencySelect';
+import ExportMenu from './ExportMenu';
+import ImportWizard from './ImportWizard';
+import BackupRestore from './BackupRestore';
+
+/**
+ * Export controls (an optional date range and target currency), the import wizard and backups.
+ * @param {object} props
+ * @param {function} props.onResult - Called with (message, severity) to show feedback
+ */
+function DataManagement({ onResult }) {
+  // Empty dates export everything; without conversion each cost keeps its own currency
+  const [exportOptions, setExportOptions] = useState({
+    from: '',
+    to: '',
+    convert: false,
+    currency: 'USD'
+  });
+
+  /** Updates export form state for controlled inputs. */
+  const handleInputChange = (event) => {
+    const { name, value, type, checked } = event.target;
+    setExportOptions(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  return (
+    <Box>
+      <Typography variant="h6" gutterBottom>
+        Data Management
+      </Typography>
+
+      <Typography variant="subtitle1" gutterBottom>
+        Export
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Export your costs to a file. Leave the dates empty to export everything. JSON keeps every
+        stored field; CSV opens in spreadsheets and OFX in personal-finance software.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <TextField
+          fullWidth
+          label="From"
+          name="from"
+          type="date"
+          value={exportOptions.from}
+          onChange={handleInputChange}
+          margin="normal"
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          fullWidth
+          label="To"
+          name="to"
+          type="date"
+          value={exportOptions.to}
+          onChange={handleInputChange}
+          margin="normal"
+          InputLabelProps={{ shrink: true }}
+        />
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+        <FormControlLabel
+          control={<Checkbox name="convert" checked={exportOptions.convert} onChange={handleInputChange} />}
+          label="Convert to one currency"
+        />
+        {exportOptions.convert && (
+          <CurrencySelect
+            sx={{ minWidth: 120 }}
+            margin="normal"
+            value={exportOptions.currency}
+            onChange={handleInputChange}
+          />
+        )}
+      </Box>
+
+      <Box sx={{ mt: 2 }}>
+        <ExportMenu
+          label="Export Costs"
+          options={{
+            from: exportOptions.from || undefined,
+            to: exportOptions.to || undefined,
+            currency: exportOptions.convert ? exportOptions.currency : undefined,
+            rateMode: 'historical'
+          }}
+          onResult={onResult}
+        />
+      </Box>
+
+      <Typography variant="subtitle1" sx={{ mt: 3 }} gutterBottom>
+        Import
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Bring in costs from a CSV file, a bank statement (OFX/QFX or QIF) or a JSON export. Rows are
+        checked before anything is saved, and rows that match a stored cost on date, sum and currency
+        are left unticked.
+      </Typography>
+
+      <ImportWizard onResult={onResult} />
+
+      <Typography variant="subtitle1" sx={{ mt: 3 }} gutterBottom>
+        Backup & Restore
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        A backup holds everything: costs, categories, budgets, recurring costs, rate history and
+        these settings. Restore it in another browser to move your data, either merged with what is
+        there or replacing it. Backups from older versions of the app are upgraded first.
+      </Typography>
+
+      <BackupRestore onResult={onResult} />
+    </Box>
+  );
+}
+
+export default DataManagement;
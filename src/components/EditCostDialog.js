@@ -0,0 +1,169 @@
+/**
+ * EditCostDialog component
+ * Modal form for changing the fields of an existing cost item.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button
+} from '@mui/material';
+import CurrencySelect from './CurrencySelect';
+import CategorySelect from './CategorySelect';
+import TagInput from './TagInput';
+import AccountSelect from './AccountSelect';
+import SplitEditor, { EMPTY_SHARING, fromCostSharing, toCostSharing } from './SplitEditor';
+
+/**
+ * Dialog for editing a stored cost record.
+ * @param {object} props
+ * @param {boolean} props.open - Whether the dialog is visible
+ * @param {object|null} props.cost - Raw cost record being edited
+ * @param {function} props.onClose - Called when the dialog is dismissed
+ * @param {function} props.onSave - Called with (id, patch) when the user saves
+ */
+function EditCostDialog({ open, cost, onClose, onSave }) {
+  // Local copy of the editable fields so typing does not touch the report
+  const [formData, setFormData] = useState({
+    sum: '',
+    currency: 'USD',
+    category: '',
+    description: '',
+    tags: [],
+    accountId: '',
+    sharing: EMPTY_SHARING
+  });
+  const [error, setError] = useState('');
+  // The entry type is fixed once stored; it picks the categories and whether sharing applies
+  const isIncome = Boolean(cost) && cost.type === 'income';
+
+  // Re-populate the form whenever a different cost is opened
+  useEffect(() => {
+    if (cost) {
+      setFormData({
+        sum: String(cost.sum),
+        currency: cost.currency,
+        category: cost.category,
+        description: cost.description,
+        tags: cost.tags || [],
+        accountId: cost.accountId || '',
+        sharing: fromCostSharing(cost)
+      });
+      setError('');
+    }
+  }, [cost]);
+
+  /** Updates form state for controlled inputs. */
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /** Validates the form and hands the patch to the parent. */
+  const handleSave = () => {
+    if (!formData.sum || !formData.category || !formData.description) {
+      setError('Please fill in all required fields');
+      return;
+    }
+
+    if (isNaN(formData.sum) || parseFloat(formData.sum) <= 0) {
+      setError('Please enter a valid positive number for the sum');
+      return;
+    }
+
+    onSave(cost.id, {
+      sum: parseFloat(formData.sum),
+      currency: formData.currency,
+      category: formData.category,
+      description: formData.description,
+      tags: formData.tags,
+      accountId: formData.accountId,
+      ...toCostSharing(formData.sharing)
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{isIncome ? 'Edit Income' : 'Edit Cost Item'}</DialogTitle>
+      <DialogContent>
+        <TextField
+          fullWidth
+          label="Sum *"
+          name="sum"
+          type="number"
+          value={formData.sum}
+          onChange={handleInputChange}
+          margin="normal"
+          error={Boolean(error)}
+          helperText={error}
+          inputProps={{ min: 0, step: 0.01 }}
+        />
+
+        <CurrencySelect
+          fullWidth
+          margin="normal"
+          label="Currency *"
+          value={formData.currency}
+          onChange={handleInputChange}
+        />
+
+        <AccountSelect
+          fullWidth
+          margin="normal"
+          value={formData.accountId}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: '', label: 'No account' }]}
+        />
+
+        <CategorySelect
+          fullWidth
+          margin="normal"
+          label="Category *"
+          type={isIncome ? 'income' : 'expense'}
+          value={formData.category}
+          onChange={handleInputChange}
+        />
+
+        <TextField
+          fullWidth
+          label="Description *"
+          name="description"
+          value={formData.description}
+          onChange={handleInputChange}
+          margin="normal"
+          multiline
+          rows={3}
+        />
+
+        <TagInput
+          fullWidth
+          margin="normal"
+          value={formData.tags}
+          onChange={handleInputChange}
+        />
+
+        {/* Income is never shared with the household */}
+        {!isIncome && (
+          <SplitEditor
+            value={formData.sharing}
+            onChange={handleInputChange}
+            sum={formData.sum}
+            currency={formData.currency}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave}>Save</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default EditCostDialog;
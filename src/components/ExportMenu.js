@@ -0,0 +1,56 @@
+/**
+ * ExportMenu component
+ * Button that opens a menu of export formats and downloads the chosen file.
+ */
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem } from '@mui/material';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import { exportCosts, EXPORT_FORMATS } from '../utils/dataExport';
+
+/**
+ * Export button with one menu entry per format.
+ * @param {object} props
+ * @param {object} props.options - Export options (from, to, currency, rateMode)
+ * @param {function} props.onResult - Called with (message, severity) after each export
+ * @param {string} [props.label] - Button label
+ */
+function ExportMenu({ options, onResult, label = 'Export' }) {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  /** Exports in the chosen format and reports the outcome. */
+  const handleExport = async (format) => {
+    setAnchorEl(null);
+    setExporting(true);
+    try {
+      const count = await exportCosts(format, options);
+      onResult(`Exported ${count} cost item(s) as ${format.toUpperCase()}`, 'success');
+    } catch (error) {
+      onResult(`Error exporting costs: ${error.message}`, 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<FileDownloadIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        disabled={exporting}
+      >
+        {exporting ? 'Exporting...' : label}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {Object.entries(EXPORT_FORMATS).map(([format, definition]) => (
+          <MenuItem key={format} onClick={() => handleExport(format)}>
+            {definition.label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
+
+export default ExportMenu;
@@ -5,12 +5,13 @@ import { Snackbar, Alert } from '@mui/material';
 // Displays transient messages with severity (success, info, warning, error)
 function FeedbackSnackbar(props) {
   // Destructure props; allow overriding auto-hide duration if needed
-  const { open, message, severity, onClose, autoHideDuration = 6000 } = props;
+  // Optional action (e.g. an Undo button) replaces the close icon in the alert
+  const { open, message, severity, onClose, action, autoHideDuration = 6000 } = props;
   return (
     // Snackbar handles timing/placement; Alert renders the visual style
     <Snackbar open={open} autoHideDuration={autoHideDuration} onClose={onClose}>
       {/* Severity controls color/icon; close forwards to parent handler */}
-      <Alert onClose={onClose} severity={severity}>
+      <Alert onClose={onClose} severity={severity} action={action}>
         {message}
       </Alert>
     </Snackbar>
@@ -19,5 +20,3 @@ function FeedbackSnackbar(props) {
 
 // Default export for easy import across components
 export default FeedbackSnackbar;
-
-
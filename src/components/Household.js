@@ -0,0 +1,366 @@
+/**
+ * Household component
+ * Members who share costs, their balances for a period and the payments that settle them.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  CircularProgress
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  getMembers,
+  addMember,
+  removeMember,
+  subscribeMembers,
+  getBalances,
+  getSettlements,
+  addSettlement,
+  deleteSettlement
+} from '../utils/household';
+import { resolveRange, toDateKey } from '../utils/dates';
+import { formatAmount } from '../services/currencyRegistry';
+import FeedbackSnackbar from './FeedbackSnackbar';
+import MissingRatesAlert from './MissingRatesAlert';
+import CurrencySelect from './CurrencySelect';
+import ReportPeriodControls from './ReportPeriodControls';
+
+/**
+ * Date a settlement of a period is recorded on: today while the period is running,
+ * otherwise its last day, so the payment counts toward the balances it clears.
+ * @param {{from: string, to: string}} range - Period of the balances
+ * @returns {string} 'YYYY-MM-DD' key
+ */
+const getSettlementDate = (range) => {
+  const today = toDateKey(new Date());
+  return today >= range.from && today <= range.to ? today : range.to;
+};
+
+/** Household screen: members, balances, settle-up suggestions and recorded settlements. */
+function Household() {
+  const [members, setMembers] = useState([]);
+  const [newMember, setNewMember] = useState('');
+  // Period and currency the balances are worked out for
+  const [query, setQuery] = useState({
+    preset: 'month',
+    year: new Date().getFullYear(),
+    month: new Date().getMonth() + 1,
+    from: '',
+    to: '',
+    currency: 'USD'
+  });
+  // Balances of the last calculation with their period, and the settlements of that period
+  const [result, setResult] = useState(null);
+  const [settlements, setSettlements] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  // Load members and reload whenever they are added or removed
+  useEffect(() => {
+    let active = true;
+    const load = () => {
+      getMembers()
+        .then((records) => {
+          if (active) {
+            setMembers(records);
+          }
+        })
+        .catch(() => {});
+    };
+    load();
+    const unsubscribe = subscribeMembers(load);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  /** Updates the period and currency for controlled inputs. */
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    setQuery(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /** Shows an error in the snackbar. */
+  const showError = (prefix, error) => {
+    setSnackbar({ open: true, message: `${prefix}: ${error.message}`, severity: 'error' });
+  };
+
+  /** Adds the member typed in the name field. */
+  const handleAddMember = async (event) => {
+    event.preventDefault();
+    try {
+      const member = await addMember(newMember);
+      setNewMember('');
+      setSnackbar({ open: true, message: `${member.name} added`, severity: 'success' });
+    } catch (error) {
+      showError('Error adding member', error);
+    }
+  };
+
+  /** Removes a member who has no shared costs or settlements. */
+  const handleRemoveMember = async (name) => {
+    try {
+      await removeMember(name);
+      setSnackbar({ open: true, message: `${name} removed`, severity: 'success' });
+    } catch (error) {
+      showError('Error removing member', error);
+    }
+  };
+
+  /** Works out the balances and lists the settlements of a period. */
+  const loadBalances = async (from, to, currency) => {
+    const [balances, periodSettlements] = await Promise.all([
+      getBalances(from, to, currency),
+      getSettlements({ from, to })
+    ]);
+    setResult(balances);
+    setSettlements(periodSettlements);
+  };
+
+  /** Calculates the balances for the selected period and currency. */
+  const handleCalculate = async () => {
+    setLoading(true);
+    try {
+      const { from, to } = resolveRange(query);
+      await loadBalances(from, to, query.currency);
+    } catch (error) {
+      showError('Error calculating balances', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /** Records suggested transfers as settlements and recalculates. */
+  const recordTransfers = async (transfers) => {
+    try {
+      const date = getSettlementDate(result);
+      for (const transfer of transfers) {
+        await addSettlement({ ...transfer, currency: result.currency, date });
+      }
+      await loadBalances(result.from, result.to, result.currency);
+      setSnackbar({
+        open: true,
+        message: `Recorded ${transfers.length} settlement(s)`,
+        severity: 'success'
+      });
+    } catch (error) {
+      showError('Error recording settlement', error);
+    }
+  };
+
+  /** Deletes a recorded settlement and recalculates. */
+  const handleDeleteSettlement = async (id) => {
+    try {
+      await deleteSettlement(id);
+      await loadBalances(result.from, result.to, result.currency);
+    } catch (error) {
+      showError('Error deleting settlement', error);
+    }
+  };
+
+  /** Closes the feedback snackbar. */
+  const handleCloseSnackbar = () => {
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 4 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Household
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Share costs with the people you live with. Mark a cost as shared when adding it, then see
+        who owes whom and record the payments that settle up.
+      </Typography>
+
+      {/* Members */}
+      <Typography variant="h6" gutterBottom>
+        Members
+      </Typography>
+      <Box component="form" onSubmit={handleAddMember} sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          label="Name"
+          value={newMember}
+          onChange={(event) => setNewMember(event.target.value)}
+          sx={{ minWidth: 220 }}
+        />
+        <Button type="submit" variant="contained" disabled={!newMember.trim()}>
+          Add Member
+        </Button>
+      </Box>
+      <Box sx={{ display: 'flex', gap: 1, mb: 4, flexWrap: 'wrap' }}>
+        {members.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No members yet.
+          </Typography>
+        )}
+        {/* Members with shared costs or settlements cannot be removed */}
+        {members.map((member) => (
+          <Chip key={member.name} label={member.name} onDelete={() => handleRemoveMember(member.name)} />
+        ))}
+      </Box>
+
+      {/* Balances */}
+      <Typography variant="h6" gutterBottom>
+        Balances
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <ReportPeriodControls value={query} onChange={handleInputChange} />
+
+        <CurrencySelect
+          sx={{ minWidth: 120 }}
+          label="Currency"
+          value={query.currency}
+          onChange={handleInputChange}
+        />
+
+        <Button
+          variant="contained"
+          onClick={handleCalculate}
+          disabled={loading}
+          sx={{ minWidth: 180 }}
+        >
+          {loading ? <CircularProgress size={24} /> : 'Calculate Balances'}
+        </Button>
+      </Box>
+
+      {result && (
+        <Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {result.from} to {result.to}, converted to {result.currency} at the latest rates. A positive
+            balance means the member is owed money.
+          </Typography>
+
+          <MissingRatesAlert
+            currencies={result.unconverted}
+            consequence="shared costs and settlements in those currencies are left out of the balances"
+          />
+
+          <TableContainer sx={{ mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Member</TableCell>
+                  <TableCell align="right">Paid</TableCell>
+                  <TableCell align="right">Share</TableCell>
+                  <TableCell align="right">Settled</TableCell>
+                  <TableCell align="right">Balance ({result.currency})</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {result.balances.map((entry) => (
+                  <TableRow key={entry.name}>
+                    <TableCell>{entry.name}</TableCell>
+                    <TableCell align="right">{formatAmount(entry.paid, result.currency)}</TableCell>
+                    <TableCell align="right">{formatAmount(entry.share, result.currency)}</TableCell>
+                    <TableCell align="right">{formatAmount(entry.settled, result.currency)}</TableCell>
+                    <TableCell
+                      align="right"
+                      sx={{ color: entry.balance < 0 ? 'error.main' : 'inherit', fontWeight: 'bold' }}
+                    >
+                      {formatAmount(entry.balance, result.currency)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {/* Suggested payments that bring every balance to zero */}
+          <Typography variant="h6" gutterBottom>
+            Settle Up
+          </Typography>
+          {result.transfers.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+              Everyone is settled up for this period.
+            </Typography>
+          ) : (
+            <Box sx={{ mb: 3 }}>
+              {result.transfers.map((transfer) => (
+                <Box key={`${transfer.from}-${transfer.to}`} sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+                  <Typography>
+                    <strong>{transfer.from}</strong> pays <strong>{transfer.to}</strong>{' '}
+                    {formatAmount(transfer.amount, result.currency)} {result.currency}
+                  </Typography>
+                  <Button size="small" onClick={() => recordTransfers([transfer])}>
+                    Record
+                  </Button>
+                </Box>
+              ))}
+              <Button variant="outlined" onClick={() => recordTransfers(result.transfers)} sx={{ mt: 1 }}>
+                Record All
+              </Button>
+            </Box>
+          )}
+
+          {settlements.length > 0 && (
+            <>
+              <Typography variant="h6" gutterBottom>
+                Settlements in This Period
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Date</TableCell>
+                      <TableCell>From</TableCell>
+                      <TableCell>To</TableCell>
+                      <TableCell align="right">Amount</TableCell>
+                      <TableCell align="right">Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {settlements.map((settlement) => (
+                      <TableRow key={settlement.id}>
+                        <TableCell>{settlement.date}</TableCell>
+                        <TableCell>{settlement.from}</TableCell>
+                        <TableCell>{settlement.to}</TableCell>
+                        <TableCell align="right">
+                          {formatAmount(settlement.amount, settlement.currency)} {settlement.currency}
+                        </TableCell>
+                        <TableCell align="right">
+                          <Tooltip title="Delete">
+                            <IconButton size="small" onClick={() => handleDeleteSettlement(settlement.id)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </Box>
+      )}
+
+      <FeedbackSnackbar
+        open={snackbar.open}
+        message={snackbar.message}
+        severity={snackbar.severity}
+        onClose={handleCloseSnackbar}
+      />
+    </Paper>
+  );
+}
+
+export default Household;
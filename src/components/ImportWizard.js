@@ -0,0 +1,326 @@
+/**
+ * ImportWizard component
+ * Walks through importing costs from a CSV, OFX, QIF or JSON export file:
+ * choose the file, map its columns, then review and import the rows.
+ */
+import React, { useState } from 'react';
+import {
+  Typography,
+  Button,
+  Box,
+  Stepper,
+  Step,
+  StepLabel,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Checkbox,
+  Chip
+} from '@mui/material';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+import {
+  readImportFile,
+  guessMapping,
+  buildImportRows,
+  findDuplicates,
+  importRows,
+  IMPORT_FIELDS,
+  DATE_FORMATS
+} from '../utils/dataImport';
+import { ENTRY_TYPES } from '../utils/income';
+import { formatAmount } from '../services/currencyRegistry';
+import CurrencySelect from './CurrencySelect';
+import CategorySelect from './CategorySelect';
+
+const steps = ['Choose File', 'Map Columns', 'Review & Import'];
+
+// What an unmapped field falls back to, where that is not a default chosen below
+const notInFileLabels = {
+  date: 'Not in file (use today)',
+  type: 'Not in file (expenses, or by sign in bank files)'
+};
+
+const fieldLabels = {
+  date: 'Date',
+  sum: 'Sum',
+  currency: 'Currency',
+  category: 'Category',
+  description: 'Description',
+  type: 'Type (expense or income)'
+};
+
+/**
+ * Import wizard shown in the data management section of Settings.
+ * @param {object} props
+ * @param {function} props.onResult - Called with (message, severity) to show feedback
+ */
+function ImportWizard({ onResult }) {
+  // Current step, parsed file, column mapping and the reviewed rows
+  const [activeStep, setActiveStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [defaults, setDefaults] = useState({
+    currency: 'USD',
+    category: 'OTHER',
+    incomeCategory: 'SALARY',
+    dateFormat: 'DMY'
+  });
+  const [rows, setRows] = useState([]);
+  // Line numbers of the rows ticked for import
+  const [selected, setSelected] = useState(new Set());
+  const [busy, setBusy] = useState(false);
+
+  /** Starts the wizard again. */
+  const reset = () => {
+    setActiveStep(0);
+    setFile(null);
+    setRows([]);
+    setSelected(new Set());
+  };
+
+  /** Reads the chosen file and guesses the column mapping. */
+  const handleFileChange = async (event) => {
+    const chosen = event.target.files[0];
+    event.target.value = '';
+    if (!chosen) {
+      return;
+    }
+
+    try {
+      const table = readImportFile(chosen.name, await chosen.text());
+      if (table.rows.length === 0) {
+        throw new Error('The file contains no rows');
+      }
+      setFile({ name: chosen.name, ...table });
+      setMapping(guessMapping(table.columns));
+      setActiveStep(1);
+    } catch (error) {
+      onResult(`Error reading ${chosen.name}: ${error.message}`, 'error');
+    }
+  };
+
+  /** Updates the column chosen for a field. */
+  const handleMappingChange = (event) => {
+    const { name, value } = event.target;
+    setMapping(prev => ({ ...prev, [name]: value }));
+  };
+
+  /** Updates the values used for unmapped columns. */
+  const handleDefaultsChange = (event) => {
+    const { name, value } = event.target;
+    setDefaults(prev => ({ ...prev, [name]: value }));
+  };
+
+  /** Validates every row with the chosen mapping and checks for duplicates. */
+  const handleReview = async () => {
+    setBusy(true);
+    try {
+      const reviewed = await findDuplicates(buildImportRows(file, mapping, defaults));
+      setRows(reviewed);
+      // Valid rows are ticked unless they look like something already stored
+      setSelected(new Set(reviewed.filter(row => !row.error && !row.duplicate).map(row => row.line)));
+      setActiveStep(2);
+    } catch (error) {
+      onResult(`Error checking rows: ${error.message}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /** Ticks or unticks a row. */
+  const toggleRow = (line) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(line)) {
+        next.delete(line);
+      } else {
+        next.add(line);
+      }
+      return next;
+    });
+  };
+
+  /** Stores the ticked rows in one transaction. */
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const count = await importRows(rows.filter(row => selected.has(row.line)));
+      onResult(`Imported ${count} cost item(s) from ${file.name}`, 'success');
+      reset();
+    } catch (error) {
+      onResult(`Error importing costs: ${error.message}`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const invalidCount = rows.filter(row => row.error).length;
+  const duplicateCount = rows.filter(row => row.duplicate).length;
+
+  return (
+    <Box>
+      <Stepper activeStep={activeStep} sx={{ mb: 2 }}>
+        {steps.map((label) => (
+          <Step key={label}>
+            <StepLabel>{label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+
+      {/* Step 1: pick a file; its format is recognised from the extension and contents */}
+      {activeStep === 0 && (
+        <Button variant="outlined" component="label" startIcon={<FileUploadIcon />}>
+          Choose File
+          <input hidden type="file" accept=".csv,.txt,.ofx,.qfx,.qif,.json" onChange={handleFileChange} />
+        </Button>
+      )}
+
+      {/* Step 2: map columns to cost fields; unmapped fields use the defaults */}
+      {activeStep === 1 && file && (
+        <Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {file.name}: {file.rows.length} row(s). Choose the column for each field.
+          </Typography>
+
+          {IMPORT_FIELDS.map((field) => (
+            <FormControl key={field} fullWidth margin="dense">
+              <InputLabel>{fieldLabels[field]}</InputLabel>
+              <Select
+                name={field}
+                value={mapping[field] === undefined ? -1 : mapping[field]}
+                onChange={handleMappingChange}
+                label={fieldLabels[field]}
+              >
+                <MenuItem value={-1}>
+                  <em>{notInFileLabels[field] || 'Not in file'}</em>
+                </MenuItem>
+                {file.columns.map((column, index) => (
+                  <MenuItem key={index} value={index}>
+                    {column || `Column ${index + 1}`} (e.g. {file.rows[0][index] || '-'})
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ))}
+
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Date Format</InputLabel>
+            <Select name="dateFormat" value={defaults.dateFormat} onChange={handleDefaultsChange} label="Date Format">
+              {Object.entries(DATE_FORMATS).map(([format, label]) => (
+                <MenuItem key={format} value={format}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          {mapping.currency < 0 && (
+            <CurrencySelect
+              fullWidth
+              margin="dense"
+              label="Currency for all rows"
+              value={defaults.currency}
+              onChange={handleDefaultsChange}
+            />
+          )}
+
+          {mapping.category < 0 && (
+            <>
+              <CategorySelect
+                type="expense"
+                fullWidth
+                margin="dense"
+                label="Category for all expenses"
+                value={defaults.category}
+                onChange={handleDefaultsChange}
+              />
+              <CategorySelect
+                type="income"
+                name="incomeCategory"
+                fullWidth
+                margin="dense"
+                label="Category for all income"
+                value={defaults.incomeCategory}
+                onChange={handleDefaultsChange}
+              />
+            </>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+            <Button variant="outlined" onClick={reset}>Back</Button>
+            <Button variant="contained" onClick={handleReview} disabled={busy || mapping.sum < 0}>
+              {busy ? 'Checking...' : 'Review Rows'}
+            </Button>
+          </Box>
+        </Box>
+      )}
+
+      {/* Step 3: preview with validation errors and likely duplicates */}
+      {activeStep === 2 && (
+        <Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {selected.size} of {rows.length} row(s) selected. {invalidCount} row(s) have errors and
+            cannot be imported; {duplicateCount} look like costs that are already stored.
+          </Typography>
+
+          <TableContainer sx={{ maxHeight: 400 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  <TableCell>Line</TableCell>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Sum</TableCell>
+                  <TableCell>Category</TableCell>
+                  <TableCell>Description</TableCell>
+                  <TableCell>Status</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map((row) => (
+                  <TableRow key={row.line}>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        size="small"
+                        checked={selected.has(row.line)}
+                        disabled={Boolean(row.error)}
+                        onChange={() => toggleRow(row.line)}
+                      />
+                    </TableCell>
+                    <TableCell>{row.line}</TableCell>
+                    <TableCell>{row.cost.date || '-'}</TableCell>
+                    <TableCell>{ENTRY_TYPES[row.cost.type]}</TableCell>
+                    <TableCell>
+                      {isNaN(row.cost.sum) ? '-' : `${formatAmount(row.cost.sum, row.cost.currency)} ${row.cost.currency}`}
+                    </TableCell>
+                    <TableCell>{row.cost.category}</TableCell>
+                    <TableCell>{row.cost.description}</TableCell>
+                    <TableCell>
+                      {row.error && <Chip size="small" color="error" label={row.error} />}
+                      {row.duplicate && <Chip size="small" color="warning" label="Possible duplicate" />}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+            <Button variant="outlined" onClick={() => setActiveStep(1)} disabled={busy}>Back</Button>
+            <Button variant="contained" onClick={handleImport} disabled={busy || selected.size === 0}>
+              {busy ? 'Importing...' : `Import ${selected.size} Cost Item(s)`}
+            </Button>
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ImportWizard;
@@ -0,0 +1,22 @@
+// Warning listing the currencies a view could not convert, so missing amounts are not mistaken for zero
+import React from 'react';
+import { Alert } from '@mui/material';
+
+/**
+ * Renders nothing when every currency could be converted.
+ * @param {object} props
+ * @param {Array<string>} props.currencies - Currency codes without an exchange rate
+ * @param {string} [props.consequence] - What happened to the amounts in those currencies
+ */
+function MissingRatesAlert({ currencies, consequence = 'those items are left out of the totals', ...alertProps }) {
+  if (!currencies || currencies.length === 0) {
+    return null;
+  }
+  return (
+    <Alert severity="warning" sx={{ mb: 2 }} {...alertProps}>
+      No exchange rate for {currencies.join(', ')}; {consequence}.
+    </Alert>
+  );
+}
+
+export default MissingRatesAlert;
@@ -1,15 +1,12 @@
 /**
  * MonthlyReport component
- * Generates and displays a table report for a selected month and year.
+ * Generates and displays a table report for a calendar month or any other date range,
+ * with the period's income and net savings next to its expenses.
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Paper,
   Typography,
-  FormControl,
-  InputLabel,
-  Select,
-  MenuItem,
   Button,
   Box,
   Table,
@@ -18,46 +15,105 @@ import {
   TableContainer,
   TableHead,
   TableRow,
-  Alert,
   Snackbar,
-  CircularProgress
+  CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
-import { getReport } from '../utils/idb';
-import { convertCurrency } from '../services/currencyService';
+import PrintIcon from '@mui/icons-material/Print';
+import { getRatesStatus } from '../services/currencyService';
+import { formatAmount } from '../services/currencyRegistry';
 import FeedbackSnackbar from './FeedbackSnackbar';
-// getReport reads costs for the given month; convertCurrency normalizes totals
+import CurrencySelect from './CurrencySelect';
+import CategorySelect from './CategorySelect';
+import AccountSelect from './AccountSelect';
+import EditCostDialog from './EditCostDialog';
+import RatesStatus from './RatesStatus';
+import MissingRatesAlert from './MissingRatesAlert';
+import BudgetSummary from './BudgetSummary';
+import ExportMenu from './ExportMenu';
+import ReportPeriodControls from './ReportPeriodControls';
+import ReportTable from './ReportTable';
+import PrintStatement from './PrintStatement';
+import AttachmentViewer from './AttachmentViewer';
+import useCostActions from '../hooks/useCostActions';
+import { getAttachedCostIds } from '../utils/attachments';
+import { getCategories, getCategoryColors } from '../utils/categories';
+import { getNetReport } from '../utils/income';
+import { getBudgets, compareWithBudgets } from '../utils/budgets';
+import { resolveRange, fromDateKey, formatPeriodLabel, GROUPINGS } from '../utils/dates';
+// getNetReport reads the chosen dates through the date index and converts expenses and income
+
+/** Returns the report selection the screen starts with. */
+const getDefaultQuery = () => ({
+  // Calendar month by default; see RANGE_PRESETS for the others
+  preset: 'month',
+  year: new Date().getFullYear(),
+  month: new Date().getMonth() + 1,
+  // Dates of the 'custom' preset
+  from: '',
+  to: '',
+  // Subtotals per day, week or month
+  groupBy: 'week',
+  currency: 'USD',
+  // 'historical' converts each cost at its own date's rate; 'current' uses today's rates
+  rateMode: 'historical',
+  // '*' lists every category; otherwise only the chosen one
+  category: '*',
+  // '*' reports costs paid from any account (or none); otherwise only the chosen account's
+  accountId: '*'
+});
+
+/**
+ * Fetches and converts the report of a period with its budget comparison.
+ * @param {object} query - Period fields (see ReportPeriodControls), currency, rateMode and accountId
+ * @returns {Promise<object>} { report, income, ratesStatus, budgetComparisons, attachedIds } where
+ *   report holds the expenses and income is { report, totals, groups } from getNetReport
+ */
+const buildReport = async (query) => {
+  const { from, to } = resolveRange(query);
+  const { expenses: report, income, totals, groups } = await getNetReport(from, to, query.currency, {
+    rateMode: query.rateMode,
+    groupBy: query.groupBy,
+    accountId: query.accountId === '*' ? undefined : query.accountId
+  });
+
+  // Budgets are monthly limits over every account, so only a calendar month of all accounts
+  // is compared with them
+  const budgets = query.preset === 'month' && query.accountId === '*' ? await getBudgets() : [];
+
+  return {
+    report: { ...report, preset: query.preset, rateMode: query.rateMode },
+    income: { report: income, totals, groups },
+    ratesStatus: getRatesStatus(),
+    budgetComparisons: await compareWithBudgets(report, budgets, { rateMode: query.rateMode }),
+    attachedIds: await getAttachedCostIds()
+  };
+};
 
 /**
  * UI for generating a monthly costs report.
+ * @param {object} props
+ * @param {object} [props.initialQuery] - Period, currency, category, accountId and rateMode to report on
+ *   straight away (set when drilling down from a chart)
  */
-function MonthlyReport() {
+function MonthlyReport({ initialQuery }) {
   // Local UI state: form inputs, fetched report, loading, and feedback
-  const [formData, setFormData] = useState({
-    year: new Date().getFullYear(),
-    month: new Date().getMonth() + 1,
-    currency: 'USD'
-  });
+  const [formData, setFormData] = useState({ ...getDefaultQuery(), ...initialQuery });
   const [report, setReport] = useState(null);
+  // Income of the same period with the income, expense and net totals
+  const [income, setIncome] = useState(null);
+  // Freshness of the rates the current report was converted with
+  const [ratesStatus, setRatesStatus] = useState(null);
+  // Budget-vs-actual rows for the reported month
+  const [budgetComparisons, setBudgetComparisons] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
-
-  // Supported currency codes exposed to the currency dropdown
-  const currencies = ['USD', 'ILS', 'GBP', 'EURO'];
-  const months = [
-    { value: 1, label: 'January' },
-    { value: 2, label: 'February' },
-    { value: 3, label: 'March' },
-    { value: 4, label: 'April' },
-    { value: 5, label: 'May' },
-    { value: 6, label: 'June' },
-    { value: 7, label: 'July' },
-    { value: 8, label: 'August' },
-    { value: 9, label: 'September' },
-    { value: 10, label: 'October' },
-    { value: 11, label: 'November' },
-    { value: 12, label: 'December' }
-  ];
-  // Pre-defined months/currencies drive dropdowns and avoid magic numbers
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success', undo: null });
+  // Set while the print statement is open: { categoryColors } for its pie chart
+  const [statement, setStatement] = useState(null);
+  // Ids of the reported costs with receipts, and the cost whose receipts are open
+  const [attachedIds, setAttachedIds] = useState(new Set());
+  const [viewingAttachmentsOf, setViewingAttachmentsOf] = useState(null);
 
   /** Updates report form state for controlled inputs. */
   const handleInputChange = (event) => {
@@ -68,43 +124,151 @@ function MonthlyReport() {
     }));
   };
 
+  /** Switches between historical and current exchange rates. */
+  const handleRateModeChange = (event, value) => {
+    // Exclusive toggle reports null when the active button is clicked again
+    if (value) {
+      setFormData(prev => ({ ...prev, rateMode: value }));
+    }
+  };
+
+  /** Fetches the report for the current selection and stores it in state. */
+  const loadReport = async () => {
+    const result = await buildReport(formData);
+    setReport(result.report);
+    setIncome(result.income);
+    setRatesStatus(result.ratesStatus);
+    setBudgetComparisons(result.budgetComparisons);
+    setAttachedIds(result.attachedIds);
+  };
+
+  // Row edits and deletes regenerate the report with the current selection
+  const {
+    editingCost,
+    closeEditor,
+    handleEditClick,
+    handleSaveEdit,
+    handleDeleteClick,
+    handleUndo
+  } = useCostActions({ snackbar, setSnackbar, reload: loadReport });
+
+  // A drill-down from a chart opens with its report already generated
+  useEffect(() => {
+    if (!initialQuery) {
+      return;
+    }
+    setLoading(true);
+    buildReport({ ...getDefaultQuery(), ...initialQuery })
+      .then((result) => {
+        setReport(result.report);
+        setIncome(result.income);
+        setRatesStatus(result.ratesStatus);
+        setBudgetComparisons(result.budgetComparisons);
+        setAttachedIds(result.attachedIds);
+      })
+      .catch((error) => {
+        setSnackbar({
+          open: true,
+          message: `Error generating report: ${error.message}`,
+          severity: 'error',
+          undo: null
+        });
+      })
+      .finally(() => setLoading(false));
+  }, [initialQuery]);
+
+  // Opening the statement prints it; it closes again once the print dialog is done
+  useEffect(() => {
+    if (!statement) {
+      return undefined;
+    }
+    const close = () => setStatement(null);
+    document.body.classList.add('printing-statement');
+    window.addEventListener('afterprint', close);
+    window.print();
+    return () => {
+      window.removeEventListener('afterprint', close);
+      document.body.classList.remove('printing-statement');
+    };
+  }, [statement]);
+
   /** Fetches data and prepares the monthly report. */
   const handleGenerateReport = async () => {
     // Indicate loading state to disable actions and show spinner
     setLoading(true);
     
     try {
-      // Fetch raw data and convert sums to selected currency if required
-      const rawReport = await getReport(formData.year, formData.month, formData.currency);
-      
-      // Convert currencies if needed
-      const convertedReport = await convertCurrency(rawReport, formData.currency);
-      
-      setReport(convertedReport);
+      await loadReport();
       
       // Notify user that the report is ready
       setSnackbar({
         open: true,
         message: 'Report generated successfully!',
-        severity: 'success'
+        severity: 'success',
+        undo: null
       });
       
     } catch (error) {
       setSnackbar({
         open: true,
         message: `Error generating report: ${error.message}`,
-        severity: 'error'
+        severity: 'error',
+        undo: null
       });
     } finally {
       setLoading(false);
     }
   };
 
+  /** Opens the print statement of the current report once the category colours are loaded. */
+  const handlePrintStatement = async () => {
+    try {
+      const categoryColors = getCategoryColors(await getCategories({ includeArchived: true }));
+      setStatement({ categoryColors });
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Error preparing statement: ${error.message}`,
+        severity: 'error',
+        undo: null
+      });
+    }
+  };
+
+  /** Shows the outcome of an export. */
+  const handleExportResult = (message, severity) => {
+    setSnackbar({ open: true, message, severity, undo: null });
+  };
+
   /** Closes the feedback snackbar. */
   const handleCloseSnackbar = () => {
     setSnackbar(prev => ({ ...prev, open: false }));
   };
 
+  // Rows and total shown for the selected category
+  const filtered = formData.category !== '*';
+  const visibleCosts = report && filtered
+    ? report.costs.filter(cost => cost.category === formData.category)
+    : (report ? report.costs : []);
+  const visibleTotal = filtered
+    ? visibleCosts.reduce((sum, cost) => sum + cost.sum, 0)
+    : (report ? report.total.total : 0);
+  const isMonth = report && report.preset === 'month';
+  // Currencies without a rate, whose items are listed but not counted and whose budgets are not compared
+  const missingRates = report
+    ? [...new Set([
+      ...report.unconverted,
+      ...(income ? income.report.unconverted : []),
+      ...budgetComparisons.filter(comparison => comparison.unconverted).map(comparison => comparison.originalCurrency)
+    ])]
+    : [];
+  const periodTitle = report && (isMonth
+    ? fromDateKey(report.from).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `${report.from} to ${report.to}`);
+  const visibleBudgets = filtered
+    ? budgetComparisons.filter(comparison => comparison.category === formData.category)
+    : budgetComparisons;
+
   return (
     <Paper elevation={3} sx={{ p: 4 }}>
       <Typography variant="h4" component="h1" gutterBottom>
@@ -112,59 +276,50 @@ function MonthlyReport() {
       </Typography>
       
       <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-        Generate a detailed report for a specific month and year in your preferred currency.
+        Generate a detailed report for a month, a rolling period or any range of dates in your
+        preferred currency, with subtotals per day, week or month and the income and net savings
+        of the period.
       </Typography>
 
-      {/* Controls to pick year, month, and currency */}
+      {/* Controls to pick the period, grouping, currency and account */}
       <Box sx={{ display: 'flex', gap: 2, mb: 4, flexWrap: 'wrap' }}>
-        <FormControl sx={{ minWidth: 120 }}>
-          <InputLabel>Year</InputLabel>
-          <Select
-            name="year"
-            value={formData.year}
-            onChange={handleInputChange}
-            label="Year"
-          >
-            {/* Generate a rolling 10-year range centered around current year */}
-            {Array.from({ length: 10 }, (_, i) => new Date().getFullYear() - 5 + i).map((year) => (
-              <MenuItem key={year} value={year}>
-                {year}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
-
-        <FormControl sx={{ minWidth: 150 }}>
-          <InputLabel>Month</InputLabel>
-          <Select
-            name="month"
-            value={formData.month}
-            onChange={handleInputChange}
-            label="Month"
-          >
-            {months.map((month) => (
-              <MenuItem key={month.value} value={month.value}>
-                {month.label}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
-
-        <FormControl sx={{ minWidth: 120 }}>
-          <InputLabel>Currency</InputLabel>
-          <Select
-            name="currency"
-            value={formData.currency}
-            onChange={handleInputChange}
-            label="Currency"
-          >
-            {currencies.map((currency) => (
-              <MenuItem key={currency} value={currency}>
-                {currency}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+        <ReportPeriodControls value={formData} onChange={handleInputChange} withGrouping />
+
+        <CurrencySelect
+          sx={{ minWidth: 120 }}
+          label="Currency"
+          value={formData.currency}
+          onChange={handleInputChange}
+        />
+
+        {/* Filters the generated report without fetching it again */}
+        <CategorySelect
+          type="expense"
+          sx={{ minWidth: 200 }}
+          label="Category"
+          value={formData.category}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: '*', label: 'All categories' }]}
+        />
+
+        {/* Unlike the category, a new account takes effect on Generate */}
+        <AccountSelect
+          sx={{ minWidth: 180 }}
+          value={formData.accountId}
+          onChange={handleInputChange}
+          leadingOptions={[{ value: '*', label: 'All accounts' }]}
+        />
+
+        {/* Choose which exchange rates the conversion uses */}
+        <ToggleButtonGroup
+          value={formData.rateMode}
+          exclusive
+          onChange={handleRateModeChange}
+          aria-label="exchange rate mode"
+        >
+          <ToggleButton value="historical">Historical rates</ToggleButton>
+          <ToggleButton value="current">Current rates</ToggleButton>
+        </ToggleButtonGroup>
 
         {/* Generate triggers data retrieval and currency conversion */}
         <Button
@@ -175,54 +330,180 @@ function MonthlyReport() {
         >
           {loading ? <CircularProgress size={24} /> : 'Generate Report'}
         </Button>
+
+        {/* Print layout for accounting; "Save as PDF" in the print dialog makes a PDF */}
+        <Button
+          variant="outlined"
+          startIcon={<PrintIcon />}
+          onClick={handlePrintStatement}
+          disabled={!report || loading}
+        >
+          Print Statement
+        </Button>
       </Box>
 
       {/* When data exists, render the summary and the detailed table */}
       {report && (
         <Box>
           <Typography variant="h5" gutterBottom>
-            Report for {months[formData.month - 1].label} {formData.year}
+            Report for {periodTitle}
           </Typography>
           
-          <Typography variant="h6" color="primary" sx={{ mb: 2 }}>
-            {/* Format totals with two decimal places for consistency */}
-            Total: {report.total.total.toFixed(2)} {report.total.currency}
+          <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+            <Typography variant="h6" color="primary">
+              {/* Format totals with the currency's own number of decimal places */}
+              {filtered ? `${formData.category} total` : 'Total'}: {formatAmount(visibleTotal, report.total.currency)} {report.total.currency}
+            </Typography>
+            <RatesStatus status={ratesStatus} />
+            {/* Export the reported period, converted the same way as the table */}
+            <ExportMenu
+              options={{
+                from: report.from,
+                to: report.to,
+                currency: formData.currency,
+                rateMode: formData.rateMode
+              }}
+              onResult={handleExportResult}
+            />
+          </Box>
+
+          <MissingRatesAlert
+            currencies={missingRates}
+            consequence="amounts in those currencies are left out of the totals and budget comparisons"
+          />
+
+          {/* What came in, what went out and what is left, whatever the category filter */}
+          <Typography variant="body1" sx={{ mb: 2 }}>
+            Income {formatAmount(income.totals.income, report.total.currency)}
+            {' - '}Expenses {formatAmount(income.totals.expense, report.total.currency)}
+            {' = '}Net savings{' '}
+            <Box
+              component="span"
+              sx={{ color: income.totals.net < 0 ? 'error.main' : 'success.main', fontWeight: 'bold' }}
+            >
+              {formatAmount(income.totals.net, report.total.currency)} {report.total.currency}
+            </Box>
           </Typography>
 
-          <TableContainer>
-            <Table>
-              <TableHead>
-                <TableRow>
-                  <TableCell>Date</TableCell>
-                  <TableCell>Sum</TableCell>
-                  <TableCell>Currency</TableCell>
-                  <TableCell>Category</TableCell>
-                  <TableCell>Description</TableCell>
-                </TableRow>
-              </TableHead>
-              <TableBody>
-                {/* Render each cost item as a row in the table */}
-                {report.costs.map((cost, index) => (
-                  <TableRow key={index}>
-                    <TableCell>{cost.Date.day}</TableCell>
-                    <TableCell>{cost.sum.toFixed(2)}</TableCell>
-                    <TableCell>{cost.currency}</TableCell>
-                    <TableCell>{cost.category}</TableCell>
-                    <TableCell>{cost.description}</TableCell>
+          <BudgetSummary comparisons={visibleBudgets} />
+
+          {/* Subtotals per period, following the category filter; unfiltered they add income and net */}
+          {report.groups.length > 1 && (
+            <TableContainer sx={{ mb: 3 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>{GROUPINGS[report.groupBy]}</TableCell>
+                    <TableCell align="right">
+                      {filtered ? 'Total' : 'Expenses'} ({report.total.currency})
+                    </TableCell>
+                    {!filtered && (
+                      <>
+                        <TableCell align="right">Income ({report.total.currency})</TableCell>
+                        <TableCell align="right">Net ({report.total.currency})</TableCell>
+                      </>
+                    )}
                   </TableRow>
-                ))}
-              </TableBody>
-            </Table>
-          </TableContainer>
+                </TableHead>
+                <TableBody>
+                  {report.groups.map((group, index) => (
+                    <TableRow key={group.key}>
+                      <TableCell>
+                        {report.groupBy === 'week'
+                          ? `${formatPeriodLabel(group.from, 'day')} - ${formatPeriodLabel(group.to, 'day')}`
+                          : formatPeriodLabel(group.key, report.groupBy)}
+                      </TableCell>
+                      <TableCell align="right">
+                        {formatAmount(filtered ? (group.byCategory[formData.category] || 0) : group.total, report.total.currency)}
+                      </TableCell>
+                      {!filtered && (
+                        <>
+                          <TableCell align="right">
+                            {formatAmount(income.groups[index].income, report.total.currency)}
+                          </TableCell>
+                          <TableCell
+                            align="right"
+                            sx={{ color: income.groups[index].net < 0 ? 'error.main' : 'inherit' }}
+                          >
+                            {formatAmount(income.groups[index].net, report.total.currency)}
+                          </TableCell>
+                        </>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+
+          <ReportTable
+            costs={visibleCosts}
+            currency={report.total.currency}
+            formatDate={(cost) => (isMonth ? cost.Date.day : cost.date)}
+            onEdit={handleEditClick}
+            onDelete={handleDeleteClick}
+            attachedIds={attachedIds}
+            onOpenAttachments={setViewingAttachmentsOf}
+          />
+
+          {/* Income entries; the category filter lists expense categories, so it hides them */}
+          {!filtered && income.report.costs.length > 0 && (
+            <>
+              <Typography variant="h6" sx={{ mt: 3 }} gutterBottom>
+                Income
+              </Typography>
+              <ReportTable
+                costs={income.report.costs}
+                currency={report.total.currency}
+                formatDate={(cost) => (isMonth ? cost.Date.day : cost.date)}
+                onEdit={handleEditClick}
+                onDelete={handleDeleteClick}
+                attachedIds={attachedIds}
+                onOpenAttachments={setViewingAttachmentsOf}
+              />
+            </>
+          )}
         </Box>
       )}
 
+      {statement && report && (
+        <PrintStatement
+          title={periodTitle}
+          costs={visibleCosts}
+          currency={report.total.currency}
+          category={filtered ? formData.category : null}
+          rateMode={report.rateMode}
+          ratesStatus={ratesStatus}
+          budgetComparisons={visibleBudgets}
+          categoryColors={statement.categoryColors}
+        />
+      )}
+
+      {/* Dialog for editing the stored values of a row */}
+      <EditCostDialog
+        open={Boolean(editingCost)}
+        cost={editingCost}
+        onClose={closeEditor}
+        onSave={handleSaveEdit}
+      />
+
+      {/* Receipts attached to a row */}
+      <AttachmentViewer
+        costId={viewingAttachmentsOf}
+        onClose={() => setViewingAttachmentsOf(null)}
+      />
+
       {/* Centralized feedback notifications for async operations */}
       <FeedbackSnackbar
         open={snackbar.open}
         message={snackbar.message}
         severity={snackbar.severity}
         onClose={handleCloseSnackbar}
+        action={snackbar.undo && (
+          <Button color="inherit" size="small" onClick={handleUndo}>
+            UNDO
+          </Button>
+        )}
       />
     </Paper>
   );
@@ -0,0 +1,178 @@
+/**
+ * PrintStatement component
+ * Print layout of a report for accounting: header with the period and rates, a category pie
+ * chart, the lines grouped by category and the totals. It is rendered outside the app root
+ * and hidden on screen; the print styles in index.css show only this while it is open.
+ */
+import React from 'react';
+import { createPortal } from 'react-dom';
+import {
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { PieChart, Pie, Cell, Legend } from 'recharts';
+import { formatAmount } from '../services/currencyRegistry';
+import { getBudgetLabel } from '../utils/budgets';
+import { CATEGORY_PALETTE } from '../utils/categories';
+import { describeRatesStatus } from './RatesStatus';
+import { groupCostsByCategory } from './ReportTable';
+
+/**
+ * Lists the rates each original currency was converted at, as a single rate or a min-max range.
+ * @param {Array} costs - Converted report lines
+ * @returns {Array<{currency: string, min: number, max: number}>} One entry per foreign currency
+ */
+const collectRates = (costs) => {
+  const rates = {};
+  costs.forEach((cost) => {
+    if (cost.originalCurrency === cost.currency || cost.unconverted) {
+      return;
+    }
+    const entry = rates[cost.originalCurrency] || { currency: cost.originalCurrency, min: cost.rate, max: cost.rate };
+    entry.min = Math.min(entry.min, cost.rate);
+    entry.max = Math.max(entry.max, cost.rate);
+    rates[cost.originalCurrency] = entry;
+  });
+  return Object.values(rates).sort((a, b) => a.currency.localeCompare(b.currency));
+};
+
+/**
+ * Printable statement.
+ * @param {object} props
+ * @param {string} props.title - Period shown in the header
+ * @param {Array} props.costs - Converted lines to list (already filtered)
+ * @param {string} props.currency - Report currency
+ * @param {string|null} props.category - Category the lines are limited to, or null for all
+ * @param {string} props.rateMode - 'historical' or 'current'
+ * @param {object} props.ratesStatus - Freshness of the rates, from getRatesStatus
+ * @param {Array} props.budgetComparisons - Budget rows to print (empty when none apply)
+ * @param {object} props.categoryColors - Colour per category name for the pie chart
+ */
+function PrintStatement({ title, costs, currency, category, rateMode, ratesStatus, budgetComparisons, categoryColors }) {
+  const groups = groupCostsByCategory(
+    [...costs].sort((a, b) => String(a.date).localeCompare(String(b.date)) || a.id - b.id)
+  ).sort((a, b) => a.category.localeCompare(b.category));
+  const total = costs.reduce((sum, cost) => sum + cost.sum, 0);
+  const rates = collectRates(costs);
+  const pieData = groups.map((group, index) => ({
+    name: group.category,
+    value: group.total,
+    fill: categoryColors[group.category] || CATEGORY_PALETTE[index % CATEGORY_PALETTE.length]
+  }));
+
+  return createPortal(
+    <Box className="print-statement" sx={{ p: 2 }}>
+      <Typography variant="h4" gutterBottom>
+        Expense Statement
+      </Typography>
+      <Typography variant="body1">
+        <strong>Period:</strong> {title}{category ? `, ${category} only` : ''}
+      </Typography>
+      <Typography variant="body1">
+        <strong>Currency:</strong> {currency}
+      </Typography>
+      <Typography variant="body1">
+        <strong>Exchange rates:</strong>{' '}
+        {rateMode === 'historical' ? 'historical (stored rates closest to each item\'s date)' : 'current'};{' '}
+        {ratesStatus ? describeRatesStatus(ratesStatus) : 'no conversion needed'}
+      </Typography>
+      {rates.length > 0 && (
+        <Typography variant="body1">
+          <strong>Rates used:</strong>{' '}
+          {rates.map((rate) => (rate.min === rate.max
+            ? `1 ${rate.currency} = ${Number(rate.min.toPrecision(5))} ${currency}`
+            : `1 ${rate.currency} = ${Number(rate.min.toPrecision(5))}-${Number(rate.max.toPrecision(5))} ${currency}`
+          )).join('; ')}
+        </Typography>
+      )}
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Generated {new Date().toLocaleString()}
+      </Typography>
+
+      {/* Fixed size and no animation, so the chart is fully drawn when the page is printed */}
+      {pieData.length > 0 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+          <PieChart width={560} height={260}>
+            <Pie
+              data={pieData}
+              dataKey="value"
+              cx="40%"
+              cy="50%"
+              outerRadius={100}
+              isAnimationActive={false}
+              label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
+            >
+              {pieData.map((entry) => (
+                <Cell key={entry.name} fill={entry.fill} />
+              ))}
+            </Pie>
+            <Legend layout="vertical" align="right" verticalAlign="middle" />
+          </PieChart>
+        </Box>
+      )}
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Date</TableCell>
+            <TableCell>Description</TableCell>
+            <TableCell align="right">Original</TableCell>
+            <TableCell align="right">Amount ({currency})</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {groups.map((group) => (
+            <React.Fragment key={group.category}>
+              <TableRow>
+                <TableCell colSpan={4}><strong>{group.category}</strong></TableCell>
+              </TableRow>
+              {group.costs.map((cost) => (
+                <TableRow key={cost.id}>
+                  <TableCell>{cost.date}</TableCell>
+                  <TableCell>{cost.description}</TableCell>
+                  <TableCell align="right">
+                    {cost.originalCurrency !== cost.currency
+                      ? `${formatAmount(cost.originalSum, cost.originalCurrency)} ${cost.originalCurrency}`
+                      : ''}
+                  </TableCell>
+                  <TableCell align="right">{cost.unconverted ? 'No rate' : formatAmount(cost.sum, currency)}</TableCell>
+                </TableRow>
+              ))}
+              <TableRow>
+                <TableCell colSpan={3} align="right">Subtotal {group.category}</TableCell>
+                <TableCell align="right"><strong>{formatAmount(group.total, currency)}</strong></TableCell>
+              </TableRow>
+            </React.Fragment>
+          ))}
+          <TableRow>
+            <TableCell colSpan={3} align="right"><strong>Total ({costs.length} item(s))</strong></TableCell>
+            <TableCell align="right"><strong>{formatAmount(total, currency)} {currency}</strong></TableCell>
+          </TableRow>
+        </TableBody>
+      </Table>
+
+      {budgetComparisons.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="h6">Budgets</Typography>
+          {budgetComparisons.map((comparison) => (
+            <Typography key={comparison.category} variant="body2">
+              {getBudgetLabel(comparison.category)}: {formatAmount(comparison.actual, currency)} {currency} of{' '}
+              {comparison.unconverted
+                ? `${formatAmount(comparison.originalBudget, comparison.originalCurrency)} ${comparison.originalCurrency} (no exchange rate)`
+                : `${formatAmount(comparison.budget, currency)} ${currency}`}
+              {comparison.over ? ' (over budget)' : ''}
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </Box>,
+    document.body
+  );
+}
+
+export default PrintStatement;
@@ -0,0 +1,34 @@
+// Small caption telling the user how fresh the exchange rates behind a figure are
+import React from 'react';
+import { Typography } from '@mui/material';
+
+/**
+ * Builds the status text for a rates status object.
+ * @param {{source: string, fetchedAt: (string|null), stale: boolean}} status - From getRatesStatus
+ * @returns {string} Human readable description
+ */
+export const describeRatesStatus = (status) => {
+  if (status.source === 'default' || !status.fetchedAt) {
+    return 'built-in default rates, stale';
+  }
+  const time = new Date(status.fetchedAt).toLocaleString();
+  return status.stale ? `rates as of ${time}, stale` : `rates as of ${time}`;
+};
+
+// Renders the status in warning colour when rates did not come from a live fetch
+function RatesStatus({ status, ...typographyProps }) {
+  if (!status) {
+    return null;
+  }
+  return (
+    <Typography
+      variant="body2"
+      color={status.stale ? 'warning.main' : 'text.secondary'}
+      {...typographyProps}
+    >
+      {describeRatesStatus(status)}
+    </Typography>
+  );
+}
+
+export default RatesStatus;
@@ -0,0 +1,348 @@
+/**
+ * RecurringCosts component
+ * Lets users define repeating expenses that are posted automatically.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  getRecurringCosts,
+  addRecurringCost,
+  updateRecurringCost,
+  deleteRecurringCost,
+  postDueRecurringCosts,
+  RECURRING_FREQUENCIES
+} from '../utils/recurring';
+import { toDateKey } from '../utils/dates';
+import { formatAmount } from '../services/currencyRegistry';
+import FeedbackSnackbar from './FeedbackSnackbar';
+import CurrencySelect from './CurrencySelect';
+import CategorySelect from './CategorySelect';
+// recurring.js stores the definitions and posts due instances through addCost
+
+/** Returns an empty definition form starting today. */
+const getEmptyForm = () => ({
+  sum: '',
+  currency: 'USD',
+  category: '',
+  description: '',
+  frequency: 'monthly',
+  startDate: toDateKey(new Date()),
+  endDate: ''
+});
+
+/**
+ * Management screen for recurring cost definitions.
+ */
+function RecurringCosts() {
+  // Form state, stored definitions, and UI feedback flags
+  const [formData, setFormData] = useState(getEmptyForm());
+  const [editingId, setEditingId] = useState(null);
+  const [definitions, setDefinitions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const frequencyLabels = {
+    monthly: 'Monthly',
+    weekly: 'Weekly',
+    yearly: 'Yearly'
+  };
+
+  /** Reloads the list of definitions from IndexedDB. */
+  const loadDefinitions = async () => {
+    try {
+      setDefinitions(await getRecurringCosts());
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Error loading recurring costs: ${error.message}`,
+        severity: 'error'
+      });
+    }
+  };
+
+  // Load existing definitions on mount
+  useEffect(() => {
+    loadDefinitions();
+  }, []);
+
+  /** Updates form state for controlled inputs. */
+  const handleInputChange = (event) => {
+    const { name, value } = event.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /** Saves the definition and posts any instances that are already due. */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+
+    try {
+      if (editingId) {
+        await updateRecurringCost(editingId, formData);
+      } else {
+        await addRecurringCost(formData);
+      }
+
+      // A start date in the past means some instances are due right away
+      const posted = await postDueRecurringCosts();
+
+      setSnackbar({
+        open: true,
+        message: posted > 0
+          ? `Recurring cost saved; ${posted} due cost item(s) posted`
+          : 'Recurring cost saved',
+        severity: 'success'
+      });
+      setFormData(getEmptyForm());
+      setEditingId(null);
+      await loadDefinitions();
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Error saving recurring cost: ${error.message}`,
+        severity: 'error'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /** Loads a definition into the form for editing. */
+  const handleEditClick = (definition) => {
+    setEditingId(definition.id);
+    setFormData({
+      sum: String(definition.sum),
+      currency: definition.currency,
+      category: definition.category,
+      description: definition.description,
+      frequency: definition.frequency,
+      startDate: definition.startDate,
+      endDate: definition.endDate || ''
+    });
+  };
+
+  /** Abandons editing and clears the form. */
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setFormData(getEmptyForm());
+  };
+
+  /** Deletes a definition; costs it already posted stay in place. */
+  const handleDeleteClick = async (id) => {
+    try {
+      await deleteRecurringCost(id);
+      if (editingId === id) {
+        handleCancelEdit();
+      }
+      await loadDefinitions();
+      setSnackbar({
+        open: true,
+        message: 'Recurring cost deleted',
+        severity: 'success'
+      });
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Error deleting recurring cost: ${error.message}`,
+        severity: 'error'
+      });
+    }
+  };
+
+  /** Closes the feedback snackbar. */
+  const handleCloseSnackbar = () => {
+    setSnackbar(prev => ({ ...prev, open: false }));
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 4 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Recurring Costs
+      </Typography>
+
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Define fixed costs such as rent or subscriptions. Each due instance is added
+        automatically when the app starts, including any that were missed while it was closed.
+      </Typography>
+
+      {/* Definition form: amount, currency, category, description and schedule */}
+      <Box component="form" onSubmit={handleSubmit} sx={{ maxWidth: 600, mb: 4 }}>
+        <TextField
+          fullWidth
+          label="Sum *"
+          name="sum"
+          type="number"
+          value={formData.sum}
+          onChange={handleInputChange}
+          margin="normal"
+          required
+          inputProps={{ min: 0, step: 0.01 }}
+        />
+
+        <CurrencySelect
+          fullWidth
+          margin="normal"
+          label="Currency *"
+          value={formData.currency}
+          onChange={handleInputChange}
+        />
+
+        <CategorySelect
+          type="expense"
+          fullWidth
+          margin="normal"
+          label="Category *"
+          value={formData.category}
+          onChange={handleInputChange}
+          required
+        />
+
+        <TextField
+          fullWidth
+          label="Description *"
+          name="description"
+          value={formData.description}
+          onChange={handleInputChange}
+          margin="normal"
+          required
+        />
+
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Repeats *</InputLabel>
+          <Select
+            name="frequency"
+            value={formData.frequency}
+            onChange={handleInputChange}
+            label="Repeats *"
+          >
+            {RECURRING_FREQUENCIES.map((frequency) => (
+              <MenuItem key={frequency} value={frequency}>
+                {frequencyLabels[frequency]}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {/* Schedule window; an empty end date repeats indefinitely */}
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            fullWidth
+            label="Start Date *"
+            name="startDate"
+            type="date"
+            value={formData.startDate}
+            onChange={handleInputChange}
+            margin="normal"
+            required
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            fullWidth
+            label="End Date"
+            name="endDate"
+            type="date"
+            value={formData.endDate}
+            onChange={handleInputChange}
+            margin="normal"
+            InputLabelProps={{ shrink: true }}
+            helperText="Leave empty to repeat indefinitely"
+          />
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 2, mt: 3 }}>
+          <Button type="submit" variant="contained" disabled={loading}>
+            {loading ? 'Saving...' : editingId ? 'Save Changes' : 'Add Recurring Cost'}
+          </Button>
+          {editingId && (
+            <Button variant="outlined" onClick={handleCancelEdit}>
+              Cancel
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      {/* Existing definitions with their schedule and posting progress */}
+      {definitions.length > 0 ? (
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Description</TableCell>
+                <TableCell>Sum</TableCell>
+                <TableCell>Category</TableCell>
+                <TableCell>Repeats</TableCell>
+                <TableCell>From</TableCell>
+                <TableCell>Until</TableCell>
+                <TableCell>Last Posted</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {definitions.map((definition) => (
+                <TableRow key={definition.id}>
+                  <TableCell>{definition.description}</TableCell>
+                  <TableCell>
+                    {formatAmount(definition.sum, definition.currency)} {definition.currency}
+                  </TableCell>
+                  <TableCell>{definition.category}</TableCell>
+                  <TableCell>{frequencyLabels[definition.frequency]}</TableCell>
+                  <TableCell>{definition.startDate}</TableCell>
+                  <TableCell>{definition.endDate || '-'}</TableCell>
+                  <TableCell>{definition.lastPostedDate || 'Not yet'}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleEditClick(definition)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" onClick={() => handleDeleteClick(definition.id)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      ) : (
+        <Typography variant="body1" color="text.secondary">
+          No recurring costs defined yet.
+        </Typography>
+      )}
+
+      <FeedbackSnackbar
+        open={snackbar.open}
+        message={snackbar.message}
+        severity={snackbar.severity}
+        onClose={handleCloseSnackbar}
+      />
+    </Paper>
+  );
+}
+
+export default RecurringCosts;
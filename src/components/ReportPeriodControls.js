@@ -0,0 +1,96 @@
+/**
+ * ReportPeriodControls component
+ * Period pickers shared by the report and chart screens: a preset, then the month or the
+ * custom dates it needs, and optionally how the range is grouped.
+ */
+import React from 'react';
+import { FormControl, InputLabel, Select, MenuItem, TextField } from '@mui/material';
+import { RANGE_PRESETS, GROUPINGS } from '../utils/dates';
+
+const months = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Inline period fields; renders a fragment so they sit in the parent's controls row.
+ * @param {object} props
+ * @param {object} props.value - { preset, year, month, from, to, groupBy } from the parent's form state
+ * @param {function} props.onChange - Change handler receiving input events named after those keys
+ * @param {boolean} [props.withGrouping] - Also show the day/week/month grouping
+ */
+function ReportPeriodControls({ value, onChange, withGrouping = false }) {
+  return (
+    <>
+      <FormControl sx={{ minWidth: 170 }}>
+        <InputLabel>Period</InputLabel>
+        <Select name="preset" value={value.preset} onChange={onChange} label="Period">
+          {Object.entries(RANGE_PRESETS).map(([preset, label]) => (
+            <MenuItem key={preset} value={preset}>{label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {value.preset === 'month' && (
+        <>
+          <FormControl sx={{ minWidth: 120 }}>
+            <InputLabel>Year</InputLabel>
+            <Select name="year" value={value.year} onChange={onChange} label="Year">
+              {/* Rolling 10-year range centered around current year */}
+              {Array.from({ length: 10 }, (_, i) => new Date().getFullYear() - 5 + i).map((year) => (
+                <MenuItem key={year} value={year}>
+                  {year}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl sx={{ minWidth: 150 }}>
+            <InputLabel>Month</InputLabel>
+            <Select name="month" value={value.month} onChange={onChange} label="Month">
+              {months.map((label, index) => (
+                <MenuItem key={label} value={index + 1}>
+                  {label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </>
+      )}
+
+      {value.preset === 'custom' && (
+        <>
+          <TextField
+            label="From"
+            name="from"
+            type="date"
+            value={value.from}
+            onChange={onChange}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="To"
+            name="to"
+            type="date"
+            value={value.to}
+            onChange={onChange}
+            InputLabelProps={{ shrink: true }}
+          />
+        </>
+      )}
+
+      {withGrouping && (
+        <FormControl sx={{ minWidth: 120 }}>
+          <InputLabel>Group by</InputLabel>
+          <Select name="groupBy" value={value.groupBy} onChange={onChange} label="Group by">
+            {Object.entries(GROUPINGS).map(([groupBy, label]) => (
+              <MenuItem key={groupBy} value={groupBy}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+    </>
+  );
+}
+
+export default ReportPeriodControls;
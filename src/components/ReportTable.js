@@ -0,0 +1,213 @@
+/**
+ * ReportTable component
+ * Cost lines of a report with their tags, sortable columns, optional category groups with
+ * subtotals, and a footer with the count, average and total.
+ */
+import React, { useState } from 'react';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TableFooter,
+  TableSortLabel,
+  Box,
+  FormControlLabel,
+  Switch,
+  Chip,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import { formatAmount } from '../services/currencyRegistry';
+
+// Columns the table can be sorted by, with how two lines compare on them
+const sortColumns = {
+  date: (a, b) => String(a.date).localeCompare(String(b.date)),
+  sum: (a, b) => a.sum - b.sum,
+  category: (a, b) => a.category.localeCompare(b.category)
+};
+
+/**
+ * Sorts report lines by a column; ties fall back to the date and then the id.
+ * @param {Array} costs - Report cost lines
+ * @param {string} sortBy - Key of sortColumns
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} Sorted copy
+ */
+const sortCosts = (costs, sortBy, direction) => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...costs].sort((a, b) =>
+    sign * (sortColumns[sortBy](a, b) || sortColumns.date(a, b) || a.id - b.id)
+  );
+};
+
+/**
+ * Groups report lines by category, keeping the order of each category's first line.
+ * @param {Array} costs - Report cost lines
+ * @returns {Array<{category: string, costs: Array, total: number}>} Groups with their subtotal
+ */
+export const groupCostsByCategory = (costs) => {
+  const groups = [];
+  costs.forEach((cost) => {
+    let group = groups.find(item => item.category === cost.category);
+    if (!group) {
+      group = { category: cost.category, costs: [], total: 0 };
+      groups.push(group);
+    }
+    group.costs.push(cost);
+    group.total += cost.sum;
+  });
+  return groups;
+};
+
+/**
+ * Report table; amounts are shown in the report currency next to the stored original.
+ * @param {object} props
+ * @param {Array} props.costs - Converted report lines (with originalSum, originalCurrency and rate)
+ * @param {string} props.currency - Report currency
+ * @param {function} props.formatDate - Returns the text of a line's date cell
+ * @param {function} props.onEdit - Called with the id of the line to edit
+ * @param {function} props.onDelete - Called with the id of the line to delete
+ * @param {Set<number>} [props.attachedIds] - Ids of the lines that have receipts attached
+ * @param {function} [props.onOpenAttachments] - Called with the id of the line whose receipts to show
+ */
+function ReportTable({ costs, currency, formatDate, onEdit, onDelete, attachedIds = new Set(), onOpenAttachments }) {
+  const [sort, setSort] = useState({ sortBy: 'date', direction: 'asc' });
+  // Lines grouped under a header row per category with its subtotal
+  const [grouped, setGrouped] = useState(false);
+
+  /** Sorts by a column, toggling the direction when it is already sorted by it. */
+  const handleSort = (sortBy) => {
+    setSort(prev => ({
+      sortBy,
+      direction: prev.sortBy === sortBy && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const sorted = sortCosts(costs, sort.sortBy, sort.direction);
+  const total = costs.reduce((sum, cost) => sum + cost.sum, 0);
+  // Lines without an exchange rate count as items but not toward the average
+  const convertedCount = costs.filter(cost => !cost.unconverted).length;
+  const excludedCount = costs.length - convertedCount;
+
+  // Grouping the sorted lines makes the group order follow the sort as well
+  const groups = grouped ? groupCostsByCategory(sorted) : [];
+
+  /** Renders a sortable header cell. */
+  const renderSortCell = (field, label) => (
+    <TableCell sortDirection={sort.sortBy === field ? sort.direction : false}>
+      <TableSortLabel
+        active={sort.sortBy === field}
+        direction={sort.sortBy === field ? sort.direction : 'asc'}
+        onClick={() => handleSort(field)}
+      >
+        {label}
+      </TableSortLabel>
+    </TableCell>
+  );
+
+  /** Renders one cost line. */
+  const renderRow = (cost) => (
+    <TableRow key={cost.id}>
+      <TableCell>{formatDate(cost)}</TableCell>
+      <TableCell>{cost.unconverted ? 'No rate' : formatAmount(cost.sum, cost.currency)}</TableCell>
+      <TableCell>{cost.currency}</TableCell>
+      <TableCell sx={{ color: 'text.secondary' }}>
+        {formatAmount(cost.originalSum, cost.originalCurrency)} {cost.originalCurrency}
+        {/* Rate the line was converted at, when it was paid in another currency */}
+        {cost.originalCurrency !== cost.currency && !cost.unconverted && ` @ ${Number(cost.rate.toPrecision(5))}`}
+      </TableCell>
+      <TableCell>{cost.category}</TableCell>
+      <TableCell>
+        {cost.description}
+        {cost.tags && cost.tags.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+            {cost.tags.map((tag) => (
+              <Chip key={tag} label={tag} size="small" variant="outlined" />
+            ))}
+          </Box>
+        )}
+      </TableCell>
+      <TableCell align="right">
+        {/* Row actions work on the stored record by id */}
+        {attachedIds.has(cost.id) && (
+          <Tooltip title="Receipts">
+            <IconButton size="small" onClick={() => onOpenAttachments(cost.id)}>
+              <AttachFileIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+        <Tooltip title="Edit">
+          <IconButton size="small" onClick={() => onEdit(cost.id)}>
+            <EditIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Delete">
+          <IconButton size="small" onClick={() => onDelete(cost.id)}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </TableCell>
+    </TableRow>
+  );
+
+  return (
+    <>
+      <FormControlLabel
+        control={<Switch checked={grouped} onChange={(event) => setGrouped(event.target.checked)} />}
+        label="Group by category"
+      />
+
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              {renderSortCell('date', 'Date')}
+              {renderSortCell('sum', 'Sum')}
+              <TableCell>Currency</TableCell>
+              <TableCell>Original</TableCell>
+              {renderSortCell('category', 'Category')}
+              <TableCell>Description</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {grouped
+              ? groups.map((group) => (
+                <React.Fragment key={group.category}>
+                  {/* Group header with the category's subtotal */}
+                  <TableRow sx={{ bgcolor: 'action.hover' }}>
+                    <TableCell colSpan={7}>
+                      <strong>{group.category}</strong>: {group.costs.length} item(s),{' '}
+                      {formatAmount(group.total, currency)} {currency}
+                    </TableCell>
+                  </TableRow>
+                  {group.costs.map(renderRow)}
+                </React.Fragment>
+              ))
+              : sorted.map(renderRow)}
+          </TableBody>
+          {costs.length > 0 && (
+            <TableFooter>
+              <TableRow>
+                <TableCell colSpan={7}>
+                  {costs.length} item(s). Average{' '}
+                  {convertedCount > 0 ? `${formatAmount(total / convertedCount, currency)} ${currency}` : 'n/a'}
+                  {excludedCount > 0 && ` (excluding ${excludedCount} item(s) without an exchange rate)`},
+                  total {formatAmount(total, currency)} {currency}
+                </TableCell>
+              </TableRow>
+            </TableFooter>
+          )}
+        </Table>
+      </TableContainer>
+    </>
+  );
+}
+
+export default ReportTable;
@@ -12,10 +12,30 @@ import {
   Box,
   Alert,
   Snackbar,
-  Divider
+  Divider,
+  Chip
 } from '@mui/material';
-import { setExchangeUrl, getExchangeUrl, getExchangeRates, fetchExchangeRates } from '../services/currencyService';
+import StarIcon from '@mui/icons-material/Star';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
+import {
+  setExchangeUrl,
+  getExchangeUrl,
+  getExchangeRates,
+  fetchExchangeRates,
+  getRatesStatus,
+  getRatesTtl,
+  setRatesTtl
+} from '../services/currencyService';
+import {
+  getAvailableCurrencies,
+  getFavoriteCurrencies,
+  toggleFavoriteCurrency,
+  getCurrencyInfo,
+  subscribeCurrencies
+} from '../services/currencyRegistry';
 import FeedbackSnackbar from './FeedbackSnackbar';
+import RatesStatus from './RatesStatus';
+import DataManagement from './DataManagement';
 // currencyService abstracts storage and retrieval of FX configuration and rates
 
 /** Settings screen for currency configuration. */
@@ -23,7 +43,18 @@ function Settings() {
   // UI state for the exchange URL input and feedback snackbar
   const [exchangeUrl, setExchangeUrlState] = useState('');
   const [ratesSnapshot, setRatesSnapshot] = useState(getExchangeRates());
+  const [ratesStatus, setRatesStatus] = useState(getRatesStatus());
+  const [ratesTtl, setRatesTtlState] = useState(String(getRatesTtl()));
+  const [refreshing, setRefreshing] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [currencyCodes, setCurrencyCodes] = useState(getAvailableCurrencies());
+  const [favorites, setFavorites] = useState(getFavoriteCurrencies());
+
+  // Keep the currency list and pinned favourites in sync with the registry
+  useEffect(() => subscribeCurrencies(() => {
+    setCurrencyCodes(getAvailableCurrencies());
+    setFavorites(getFavoriteCurrencies());
+  }), []);
 
   // Load current settings and refresh rates on mount
   useEffect(() => {
@@ -34,6 +65,7 @@ function Settings() {
       try {
         const latest = await fetchExchangeRates();
         setRatesSnapshot(latest);
+        setRatesStatus(getRatesStatus());
       } catch (_) {
         // Silently ignore fetch errors; UI remains with last known snapshot
       }
@@ -46,14 +78,22 @@ function Settings() {
     setExchangeUrlState(event.target.value);
   };
 
+  /** Updates the rates cache duration input. */
+  const handleTtlChange = (event) => {
+    setRatesTtlState(event.target.value);
+  };
+
   /** Persists the exchange rates URL and refreshes current rates snapshot. */
   const handleSaveSettings = () => {
     try {
+      // Validate the cache duration first so an invalid value saves nothing
+      setRatesTtl(ratesTtl);
       setExchangeUrl(exchangeUrl);
       
       // Immediately try fetching from the new URL so the UI reflects new rates
       fetchExchangeRates().then((latest) => {
         setRatesSnapshot(latest);
+        setRatesStatus(getRatesStatus());
       }).catch(() => {});
 
       setSnackbar({
@@ -70,6 +110,29 @@ function Settings() {
     }
   };
 
+  /** Fetches rates right away, ignoring the cache duration. */
+  const handleRefreshRates = async () => {
+    setRefreshing(true);
+    try {
+      const latest = await fetchExchangeRates({ force: true, throwOnError: true });
+      setRatesSnapshot(latest);
+      setSnackbar({
+        open: true,
+        message: 'Exchange rates refreshed',
+        severity: 'success'
+      });
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: `Could not refresh exchange rates (${error.message}); still using the previous rates`,
+        severity: 'warning'
+      });
+    } finally {
+      setRatesStatus(getRatesStatus());
+      setRefreshing(false);
+    }
+  };
+
   /** Tests connectivity to the configured exchange URL. */
   const handleTestConnection = async () => {
     try {
@@ -99,6 +162,11 @@ function Settings() {
     }
   };
 
+  /** Shows the outcome of a data management action. */
+  const handleDataResult = (message, severity) => {
+    setSnackbar({ open: true, message, severity });
+  };
+
   /** Closes the feedback snackbar. */
   const handleCloseSnackbar = () => {
     setSnackbar(prev => ({ ...prev, open: false }));
@@ -113,7 +181,7 @@ function Settings() {
       </Typography>
       
       <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-        Configure your currency exchange rate settings and application preferences.
+        Configure your currency exchange rate settings and application preferences, and export your data.
       </Typography>
 
       {/* Section: configure URL used to fetch exchange rates */}
@@ -136,6 +204,17 @@ function Settings() {
           helperText="Enter a valid URL that returns exchange rates in JSON format"
         />
 
+        <TextField
+          fullWidth
+          label="Rates Cache Duration (minutes)"
+          type="number"
+          value={ratesTtl}
+          onChange={handleTtlChange}
+          margin="normal"
+          inputProps={{ min: 1, step: 1 }}
+          helperText="Fetched rates are reused for this long before the app asks the URL again"
+        />
+
         <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
           <Button
             variant="outlined"
@@ -161,9 +240,20 @@ function Settings() {
           Current Exchange Rates
         </Typography>
         
-        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        <Typography variant="body2" color="text.secondary">
           Current exchange rates being used by the application:
         </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+          <RatesStatus status={ratesStatus} />
+          <Button
+            variant="outlined"
+            size="small"
+            onClick={handleRefreshRates}
+            disabled={refreshing}
+          >
+            {refreshing ? 'Refreshing...' : 'Refresh Rates Now'}
+          </Button>
+        </Box>
 
         <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 2 }}>
           {Object.entries(ratesSnapshot).map(([currency, rate]) => (
@@ -180,13 +270,37 @@ function Settings() {
 
         <Divider sx={{ my: 3 }} />
 
+        {/* Section: every currency returned by the rates URL, with pinning */}
         <Typography variant="h6" gutterBottom>
           Supported Currencies
         </Typography>
         
-        <Typography variant="body2" color="text.secondary">
-          The application supports the following currencies: USD, ILS, GBP, and EURO.
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Every currency returned by the exchange rates URL can be used. Click a currency to pin it;
+          favourites are listed first in all currency dropdowns.
         </Typography>
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+          {currencyCodes.map((code) => {
+            const isFavorite = favorites.includes(code);
+            return (
+              <Chip
+                key={code}
+                label={`${code} ${getCurrencyInfo(code).symbol}`}
+                title={getCurrencyInfo(code).name}
+                icon={isFavorite ? <StarIcon /> : <StarBorderIcon />}
+                color={isFavorite ? 'primary' : 'default'}
+                variant={isFavorite ? 'filled' : 'outlined'}
+                onClick={() => toggleFavoriteCurrency(code)}
+              />
+            );
+          })}
+        </Box>
+
+        <Divider sx={{ my: 3 }} />
+
+        {/* Section: export (and later import/backup) of stored data */}
+        <DataManagement onResult={handleDataResult} />
       </Box>
 
       <FeedbackSnackbar
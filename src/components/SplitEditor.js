@@ -0,0 +1,206 @@
+/**
+ * SplitEditor component
+ * Fields for sharing a cost with the household: who paid, how it is split, and each
+ * member's part (a checkbox for equal splits, a percentage or an amount otherwise).
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Checkbox,
+  TextField,
+  Typography
+} from '@mui/material';
+import { getMembers, subscribeMembers, SPLIT_MODES } from '../utils/household';
+
+// Form value of a cost that is not shared
+export const EMPTY_SHARING = { shared: false, paidBy: '', mode: 'equal', shares: {} };
+
+/**
+ * Reads the sharing fields of a stored cost into the form value.
+ * @param {object} cost - Raw cost record
+ * @returns {object} Form value for SplitEditor
+ */
+export const fromCostSharing = (cost) => {
+  if (!cost.paidBy || !cost.split) {
+    return EMPTY_SHARING;
+  }
+  const shares = {};
+  Object.entries(cost.split.shares).forEach(([name, share]) => {
+    shares[name] = String(share);
+  });
+  return { shared: true, paidBy: cost.paidBy, mode: cost.split.mode, shares };
+};
+
+/**
+ * Turns the form value into the paidBy and split fields addCost and updateCost take.
+ * @param {object} value - Form value from SplitEditor
+ * @returns {{paidBy: string|null, split: object|null}} Sharing fields (both null when not shared)
+ */
+export const toCostSharing = (value) => {
+  if (!value.shared) {
+    return { paidBy: null, split: null };
+  }
+  const shares = {};
+  Object.entries(value.shares).forEach(([name, share]) => {
+    if (share !== '') {
+      shares[name] = Number(share);
+    }
+  });
+  return { paidBy: value.paidBy, split: { mode: value.mode, shares } };
+};
+
+/**
+ * Shares for a newly chosen split mode: everyone for equal splits, blank otherwise.
+ * @param {string} mode - Key of SPLIT_MODES
+ * @param {Array<string>} names - Member names
+ * @returns {object} Share per member name, as form strings
+ */
+const initialShares = (mode, names) => {
+  const shares = {};
+  names.forEach((name) => {
+    shares[name] = mode === 'equal' ? '1' : '';
+  });
+  return shares;
+};
+
+/**
+ * Sharing fields; reports changes the way a plain input would, under the given name.
+ * @param {object} props
+ * @param {object} props.value - { shared, paidBy, mode, shares } (see EMPTY_SHARING)
+ * @param {function} props.onChange - Change handler receiving an input-like event
+ * @param {string} [props.name] - Input name used by the parent's change handler
+ * @param {string|number} props.sum - Sum of the cost, which exact amounts must add up to
+ * @param {string} props.currency - Currency of the cost, shown next to exact amounts
+ */
+function SplitEditor({ value, onChange, name = 'sharing', sum, currency }) {
+  const [members, setMembers] = useState([]);
+
+  // Load members and reload whenever they are added or removed
+  useEffect(() => {
+    let active = true;
+    const load = () => {
+      getMembers()
+        .then((result) => {
+          if (active) {
+            setMembers(result.map(member => member.name));
+          }
+        })
+        .catch(() => {});
+    };
+    load();
+    const unsubscribe = subscribeMembers(load);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  /** Reports a new value to the parent. */
+  const update = (next) => {
+    onChange({ target: { name, value: { ...value, ...next } } });
+  };
+
+  /** Turns sharing on with the first member paying and everyone sharing equally. */
+  const handleSharedChange = (event) => {
+    update(event.target.checked
+      ? { shared: true, paidBy: members[0], mode: 'equal', shares: initialShares('equal', members) }
+      : EMPTY_SHARING);
+  };
+
+  /** Switches the split mode, starting its shares afresh. */
+  const handleModeChange = (event) => {
+    update({ mode: event.target.value, shares: initialShares(event.target.value, members) });
+  };
+
+  /** Changes one member's share. */
+  const handleShareChange = (member, share) => {
+    update({ shares: { ...value.shares, [member]: share } });
+  };
+
+  if (members.length === 0 && !value.shared) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+        Add household members in the Household tab to share costs.
+      </Typography>
+    );
+  }
+
+  // Members of an edited cost who have since been removed stay editable
+  const names = Array.from(new Set([...members, ...Object.keys(value.shares)]));
+  const total = Object.values(value.shares).reduce((assigned, share) => assigned + (Number(share) || 0), 0);
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <FormControlLabel
+        control={<Switch checked={value.shared} onChange={handleSharedChange} />}
+        label="Shared with the household"
+      />
+
+      {value.shared && (
+        <>
+          <Box sx={{ display: 'flex', gap: 2, mt: 1, flexWrap: 'wrap' }}>
+            <FormControl sx={{ minWidth: 160 }}>
+              <InputLabel>Paid by</InputLabel>
+              <Select value={value.paidBy} onChange={(event) => update({ paidBy: event.target.value })} label="Paid by">
+                {names.map((member) => (
+                  <MenuItem key={member} value={member}>{member}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <FormControl sx={{ minWidth: 160 }}>
+              <InputLabel>Split</InputLabel>
+              <Select value={value.mode} onChange={handleModeChange} label="Split">
+                {Object.entries(SPLIT_MODES).map(([mode, label]) => (
+                  <MenuItem key={mode} value={mode}>{label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 2, mt: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+            {names.map((member) => (value.mode === 'equal' ? (
+              <FormControlLabel
+                key={member}
+                control={(
+                  <Checkbox
+                    checked={value.shares[member] === '1'}
+                    onChange={(event) => handleShareChange(member, event.target.checked ? '1' : '')}
+                  />
+                )}
+                label={member}
+              />
+            ) : (
+              <TextField
+                key={member}
+                label={value.mode === 'percent' ? `${member} (%)` : `${member} (${currency})`}
+                type="number"
+                value={value.shares[member] || ''}
+                onChange={(event) => handleShareChange(member, event.target.value)}
+                inputProps={{ min: 0, step: 'any' }}
+                sx={{ width: 140 }}
+              />
+            )))}
+          </Box>
+
+          {/* Running total so the user sees what is left to assign */}
+          {value.mode !== 'equal' && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {value.mode === 'percent'
+                ? `Assigned ${Number(total.toFixed(2))}% of 100%`
+                : `Assigned ${Number(total.toFixed(2))} of ${Number(sum) || 0} ${currency}`}
+            </Typography>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default SplitEditor;
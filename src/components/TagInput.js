@@ -0,0 +1,58 @@
+/**
+ * TagInput component
+ * Free-form tag field that suggests the tags already used on other costs.
+ */
+import React, { useState, useEffect } from 'react';
+import { Autocomplete, TextField } from '@mui/material';
+import { getTags, normalizeTags } from '../utils/tags';
+
+/**
+ * Tag field; new tags are typed and confirmed with Enter, known ones are picked from the list.
+ * @param {object} props
+ * @param {Array<string>} props.value - Selected tags
+ * @param {function} props.onChange - Change handler receiving an input-like event with the normalized tags
+ * @param {string} [props.name] - Input name used by the parent's change handler
+ * @param {string} [props.label] - Field label
+ * Remaining props are passed to the TextField (fullWidth, margin, helperText...).
+ */
+function TagInput({ value, onChange, name = 'tags', label = 'Tags', ...textFieldProps }) {
+  const [options, setOptions] = useState([]);
+
+  // Suggestions are the tags in use when the field is shown
+  useEffect(() => {
+    let active = true;
+    getTags()
+      .then((tags) => {
+        if (active) {
+          setOptions(tags);
+        }
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  /** Normalizes the chosen tags and reports them the way a plain input would. */
+  const handleChange = (event, tags) => {
+    onChange({ target: { name, value: normalizeTags(tags) } });
+  };
+
+  return (
+    <Autocomplete
+      multiple
+      freeSolo
+      // A typed tag is kept when the field loses focus, not only on Enter
+      autoSelect
+      options={options}
+      value={value}
+      onChange={handleChange}
+      slotProps={{ chip: { size: 'small' } }}
+      renderInput={(params) => (
+        <TextField {...params} {...textFieldProps} name={name} label={label} />
+      )}
+    />
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,109 @@
+/**
+ * useCostActions hook
+ * Edit, delete and undo for the cost rows of a list, shared by the report and the search screen.
+ */
+import { useState } from 'react';
+import { getCost, updateCost, deleteCost, restoreCost } from '../utils/idb';
+
+/**
+ * Row actions that reload the list after every change and offer to undo it in the snackbar.
+ * @param {object} options
+ * @param {object} options.snackbar - Snackbar state of the screen ({ open, message, severity, undo })
+ * @param {Function} options.setSnackbar - Setter of that state
+ * @param {Function} options.reload - Reloads the rows shown; may return a promise
+ * @returns {object} { editingCost, closeEditor, handleEditClick, handleSaveEdit, handleDeleteClick, handleUndo }
+ */
+function useCostActions({ snackbar, setSnackbar, reload }) {
+  // Raw record currently open in the edit dialog (null when closed)
+  const [editingCost, setEditingCost] = useState(null);
+
+  /** Shows an error in the snackbar without an undo action. */
+  const showError = (prefix, error) => {
+    setSnackbar({
+      open: true,
+      message: `${prefix}: ${error.message}`,
+      severity: 'error',
+      undo: null
+    });
+  };
+
+  /** Closes the edit dialog without saving. */
+  const closeEditor = () => {
+    setEditingCost(null);
+  };
+
+  /** Opens the edit dialog with the stored (unconverted) values of a row. */
+  const handleEditClick = async (id) => {
+    try {
+      const record = await getCost(id);
+      setEditingCost(record);
+    } catch (error) {
+      showError('Error loading cost item', error);
+    }
+  };
+
+  /** Saves the edited fields and offers to revert them. */
+  const handleSaveEdit = async (id, patch) => {
+    // Keep the previous values so the change can be undone
+    const previous = {
+      sum: editingCost.sum,
+      currency: editingCost.currency,
+      category: editingCost.category,
+      description: editingCost.description,
+      tags: editingCost.tags || [],
+      accountId: editingCost.accountId || null,
+      paidBy: editingCost.paidBy || null,
+      split: editingCost.split || null
+    };
+
+    try {
+      await updateCost(id, patch);
+      setEditingCost(null);
+      await reload();
+      setSnackbar({
+        open: true,
+        message: editingCost.type === 'income' ? 'Income updated' : 'Cost item updated',
+        severity: 'success',
+        undo: () => updateCost(id, previous)
+      });
+    } catch (error) {
+      showError('Error updating cost item', error);
+    }
+  };
+
+  /** Deletes a row and offers to restore it. */
+  const handleDeleteClick = async (id) => {
+    try {
+      const removed = await deleteCost(id);
+      await reload();
+      setSnackbar({
+        open: true,
+        message: removed.type === 'income' ? 'Income deleted' : 'Cost item deleted',
+        severity: 'success',
+        undo: () => restoreCost(removed)
+      });
+    } catch (error) {
+      showError('Error deleting cost item', error);
+    }
+  };
+
+  /** Reverts the last edit or delete and reloads the rows. */
+  const handleUndo = async () => {
+    const { undo } = snackbar;
+    setSnackbar(prev => ({ ...prev, open: false, undo: null }));
+    if (!undo) {
+      return;
+    }
+
+    try {
+      await undo();
+      await reload();
+    } catch (error) {
+      showError('Error undoing change', error);
+    }
+  };
+
+  return { editingCost, closeEditor, handleEditClick, handleSaveEdit, handleDeleteClick, handleUndo };
+}
+
+export default useCostActions;
@@ -0,0 +1,211 @@
+/**
+ * Currency Registry
+ * Single source of truth for the currencies the app can use.
+ * The list of codes is filled from the configured exchange rates URL;
+ * symbols, names and decimal places come from the ISO 4217 data built into Intl.
+ */
+
+// Legacy codes that were stored before the app used ISO 4217 everywhere
+const currencyAliases = {
+  EURO: 'EUR'
+};
+
+// Currencies offered before any rates have been fetched
+const defaultCurrencies = ['USD', 'ILS', 'GBP', 'EUR'];
+
+const favoritesStorageKey = 'favoriteCurrencies';
+
+let availableCodes = [...defaultCurrencies];
+// Codes currently known to have an exchange rate, kept sorted alphabetically
+
+let favoriteCodes = [...defaultCurrencies];
+// Try to load previously pinned favourites from localStorage
+try {
+  const savedFavorites = typeof window !== 'undefined' ? window.localStorage.getItem(favoritesStorageKey) : null;
+  if (savedFavorites) {
+    const parsed = JSON.parse(savedFavorites);
+    if (Array.isArray(parsed)) {
+      favoriteCodes = parsed;
+    }
+  }
+} catch (err) {
+  // Ignore storage/parse errors and keep default favourites
+}
+
+const listeners = new Set();
+// Components subscribe so dropdowns refresh once a fetch reveals more currencies
+
+const infoCache = {};
+// Intl formatters are relatively expensive, so per-code metadata is memoized
+
+/**
+ * Normalizes a currency code to its ISO 4217 form
+ * @param {string} code - Currency code, possibly lowercase or a legacy alias
+ * @returns {string} Normalized code (e.g. 'EURO' becomes 'EUR')
+ */
+export const normalizeCurrencyCode = (code) => {
+  const upper = String(code || '').trim().toUpperCase();
+  return currencyAliases[upper] || upper;
+};
+
+/**
+ * Checks whether a value looks like an ISO 4217 alphabetic code
+ * @param {string} code - Candidate code
+ * @returns {boolean} True for three uppercase letters (after alias normalization)
+ */
+export const isCurrencyCode = (code) => /^[A-Z]{3}$/.test(normalizeCurrencyCode(code));
+
+/**
+ * Normalizes the keys of a rates object and drops anything that is not a currency
+ * @param {Object} rates - Raw rates keyed by currency code
+ * @returns {Object} Rates keyed by ISO 4217 code
+ */
+export const normalizeRates = (rates) => {
+  const normalized = {};
+  Object.entries(rates || {}).forEach(([code, rate]) => {
+    const iso = normalizeCurrencyCode(code);
+    if (isCurrencyCode(iso) && typeof rate === 'number' && isFinite(rate) && rate > 0) {
+      // Prefer the ISO key when both the alias and the ISO code are present
+      if (!(iso in normalized) || iso === code) {
+        normalized[iso] = rate;
+      }
+    }
+  });
+  return normalized;
+};
+
+/**
+ * Gets display metadata for a currency
+ * @param {string} code - Currency code
+ * @returns {{code: string, name: string, symbol: string, decimals: number}} Currency info
+ */
+export const getCurrencyInfo = (code) => {
+  const iso = normalizeCurrencyCode(code);
+  if (infoCache[iso]) {
+    return infoCache[iso];
+  }
+
+  // Fall back to the bare code with cents when Intl does not know the currency
+  const info = { code: iso, name: iso, symbol: iso, decimals: 2 };
+  try {
+    const format = new Intl.NumberFormat('en', { style: 'currency', currency: iso, currencyDisplay: 'narrowSymbol' });
+    info.decimals = format.resolvedOptions().maximumFractionDigits;
+    const symbolPart = format.formatToParts(0).find(part => part.type === 'currency');
+    if (symbolPart) {
+      info.symbol = symbolPart.value;
+    }
+  } catch (err) {
+    // Unknown to Intl; keep fallbacks
+  }
+  try {
+    if (typeof Intl.DisplayNames === 'function') {
+      info.name = new Intl.DisplayNames(['en'], { type: 'currency' }).of(iso) || iso;
+    }
+  } catch (err) {
+    // Unknown to Intl; keep fallbacks
+  }
+
+  infoCache[iso] = info;
+  return info;
+};
+
+/**
+ * Formats an amount with the currency's own number of decimal places
+ * @param {number} amount - Amount to format
+ * @param {string} code - Currency code
+ * @returns {string} Amount rounded to the currency's minor unit (e.g. '12.50', '1200')
+ */
+export const formatAmount = (amount, code) => {
+  return Number(amount || 0).toFixed(getCurrencyInfo(code).decimals);
+};
+
+/** Notifies subscribers that the currency list or favourites changed. */
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Replaces the list of available currencies (called after rates are fetched)
+ * @param {Array<string>} codes - Currency codes that have a rate
+ */
+export const setAvailableCurrencies = (codes) => {
+  const normalized = Array.from(new Set(codes.map(normalizeCurrencyCode).filter(isCurrencyCode))).sort();
+  if (normalized.length === 0) {
+    return;
+  }
+  if (normalized.join(',') === availableCodes.join(',')) {
+    return;
+  }
+  availableCodes = normalized;
+  notify();
+};
+
+/**
+ * Gets the codes of all available currencies
+ * @returns {Array<string>} Sorted currency codes
+ */
+export const getAvailableCurrencies = () => {
+  return [...availableCodes];
+};
+
+/**
+ * Gets the pinned favourite currency codes
+ * @returns {Array<string>} Favourite codes in pin order
+ */
+export const getFavoriteCurrencies = () => {
+  return [...favoriteCodes];
+};
+
+/**
+ * Sets the pinned favourite currencies and persists them
+ * @param {Array<string>} codes - Favourite currency codes
+ */
+export const setFavoriteCurrencies = (codes) => {
+  favoriteCodes = Array.from(new Set(codes.map(normalizeCurrencyCode).filter(isCurrencyCode)));
+  try {
+    if (typeof window !== 'undefined') {
+      window.localStorage.setItem(favoritesStorageKey, JSON.stringify(favoriteCodes));
+    }
+  } catch (err) {
+    // Ignore storage errors
+  }
+  notify();
+};
+
+/**
+ * Pins or unpins a currency
+ * @param {string} code - Currency code to toggle
+ */
+export const toggleFavoriteCurrency = (code) => {
+  const iso = normalizeCurrencyCode(code);
+  if (favoriteCodes.includes(iso)) {
+    setFavoriteCurrencies(favoriteCodes.filter(favorite => favorite !== iso));
+  } else {
+    setFavoriteCurrencies([...favoriteCodes, iso]);
+  }
+};
+
+/**
+ * Gets dropdown options split into pinned favourites and everything else
+ * @returns {{favorites: Array<Object>, others: Array<Object>}} Currency info lists
+ */
+export const getCurrencyOptions = () => {
+  const favorites = favoriteCodes.filter(code => availableCodes.includes(code));
+  const others = availableCodes.filter(code => !favorites.includes(code));
+  return {
+    favorites: favorites.map(getCurrencyInfo),
+    others: others.map(getCurrencyInfo)
+  };
+};
+
+/**
+ * Subscribes to changes of the currency list or favourites
+ * @param {function} listener - Called with no arguments on every change
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeCurrencies = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
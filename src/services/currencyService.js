@@ -3,16 +3,66 @@
  * Handles currency conversion using external API
  */
 
+import { saveRateSnapshot, getRateSnapshots, findClosestSnapshot } from '../utils/rateHistory';
+import { normalizeCurrencyCode, normalizeRates, setAvailableCurrencies } from './currencyRegistry';
+// Rate history lets reports convert each cost at the rate of its own date
+// The registry publishes every code the rates URL returns to the dropdowns
+
 // Default exchange rates URL (can be configured in settings)
 const defaultExchangeUrl = 'https://api.exchangerate-api.com/v4/latest/USD';
 
 let exchangeRates = {
   USD: 1,
   GBP: 0.8,
-  EURO: 0.85,
+  EUR: 0.85,
   ILS: 3.5
 };
-// In-memory cache of latest known exchange rates for supported currencies
+// In-memory cache of latest known exchange rates keyed by ISO 4217 code
+
+const ratesStorageKey = 'exchangeRatesCache';
+
+let ratesSource = 'default';
+let ratesFetchedAt = null;
+// Where the in-memory rates came from: 'default', 'cache' (localStorage) or 'live' (this session)
+
+// Try to load the last successfully fetched rates from localStorage
+try {
+  const savedRates = typeof window !== 'undefined' ? window.localStorage.getItem(ratesStorageKey) : null;
+  if (savedRates) {
+    const parsed = JSON.parse(savedRates);
+    const cachedRates = normalizeRates(parsed && parsed.rates);
+    if (Object.keys(cachedRates).length >= 2) {
+      exchangeRates = cachedRates;
+      ratesSource = 'cache';
+      ratesFetchedAt = parsed.fetchedAt || null;
+      setAvailableCurrencies(Object.keys(cachedRates));
+    }
+  }
+} catch (err) {
+  // Ignore storage/parse errors and keep default rates
+}
+// Cached rates make reports usable after a reload without network
+
+const ttlStorageKey = 'ratesTtlMinutes';
+const defaultTtlMinutes = 60;
+
+let ratesTtlMinutes = defaultTtlMinutes;
+// Try to load a previously saved cache duration from localStorage
+try {
+  const savedTtl = typeof window !== 'undefined' ? Number(window.localStorage.getItem(ttlStorageKey)) : NaN;
+  if (savedTtl > 0) {
+    ratesTtlMinutes = savedTtl;
+  }
+} catch (err) {
+  // Ignore storage errors and keep default duration
+}
+// Rates younger than the TTL are reused instead of hitting the network again
+
+let ratesInvalidated = false;
+// Set when the rates URL changes so the next call refetches regardless of the TTL
+
+let inFlightRequest = null;
+// Shared promise of a fetch in progress so concurrent callers wait on a single request
 
 let exchangeUrl = defaultExchangeUrl;
 // Try to load a previously saved URL from localStorage
@@ -26,106 +76,243 @@ try {
 }
 // Mutable URL allows configuration from the Settings screen
 
+/**
+ * Checks whether the in-memory rates are younger than the configured TTL
+ * @returns {boolean} True when the rates can be used without refetching
+ */
+const areRatesFresh = () => {
+  if (ratesSource === 'default' || !ratesFetchedAt || ratesInvalidated) {
+    return false;
+  }
+  const age = Date.now() - new Date(ratesFetchedAt).getTime();
+  return age >= 0 && age < ratesTtlMinutes * 60 * 1000;
+};
+
 /**
  * Fetches exchange rates from the configured URL
+ * @param {Object} [options] - Fetch options
+ * @param {boolean} [options.force] - Ignore the cache TTL and always hit the network
+ * @param {boolean} [options.throwOnError] - Reject when the fetch fails instead of falling back
+ *   to the previous rates
  * @returns {Promise<Object>} Exchange rates object
  */
-export const fetchExchangeRates = async () => {
+export const fetchExchangeRates = async (options = {}) => {
+  // Reuse rates that are still fresh
+  if (!options.force && areRatesFresh()) {
+    return exchangeRates;
+  }
+
+  // Join a request that is already running instead of starting another one
+  if (!inFlightRequest) {
+    inFlightRequest = requestExchangeRates().finally(() => {
+      inFlightRequest = null;
+    });
+  }
   try {
-    const response = await fetch(exchangeUrl);
-    if (!response.ok) {
-      throw new Error('Failed to fetch exchange rates');
+    return await inFlightRequest;
+  } catch (error) {
+    if (options.throwOnError) {
+      throw error;
     }
-    
-    const data = await response.json();
-    
-    // Normalize different API shapes into our internal rates
-    // Supported inputs:
-    // 1) { rates: { USD, GBP, EUR, ILS } }
-    // 2) { conversion_rates: { USD, GBP, EUR, ILS } }
-    // 3) { conversions: { USD: { USD, GBP, EUR, ILS, ... } } } where values are per 1 USD
-    // 4) Flat object: { USD, GBP, EUR/EURO, ILS }
-
-    let sourceRates = null;
-    if (data && typeof data === 'object') {
-      if (data.rates && typeof data.rates === 'object') {
-        sourceRates = data.rates;
-      } else if (data.conversion_rates && typeof data.conversion_rates === 'object') {
-        sourceRates = data.conversion_rates;
-      } else if (data.conversions && data.conversions.USD && typeof data.conversions.USD === 'object') {
-        // This API provides cross rates keyed by base currency; use USD row
-        sourceRates = { ...data.conversions.USD, USD: 1 };
-      } else if (
-        // Flat object with expected currency keys (USD and at least one of the others)
-        (typeof data.USD === 'number') && (
-          typeof data.GBP === 'number' || typeof data.EUR === 'number' || typeof data.EURO === 'number' || typeof data.ILS === 'number'
-        )
-      ) {
-        sourceRates = data;
-      }
+    console.warn(`Failed to fetch exchange rates, using ${ratesSource} rates:`, error);
+    return exchangeRates;
+  }
+};
+// Callers never see the network directly, so reports can call this freely
+
+/**
+ * Performs the actual network request and updates the in-memory rates
+ * @returns {Promise<Object>} Exchange rates object
+ * @throws {Error} When the request fails or returns no usable rates
+ */
+const requestExchangeRates = async () => {
+  const response = await fetch(exchangeUrl);
+  if (!response.ok) {
+    throw new Error('Failed to fetch exchange rates');
+  }
+  
+  const data = await response.json();
+  
+  // Normalize different API shapes into our internal rates
+  // Supported inputs:
+  // 1) { rates: { USD, GBP, EUR, ILS, ... } }
+  // 2) { conversion_rates: { USD, GBP, EUR, ILS, ... } }
+  // 3) { conversions: { USD: { USD, GBP, EUR, ILS, ... } } } where values are per 1 USD
+  // 4) Flat object: { USD, GBP, EUR/EURO, ILS, ... }
+
+  let sourceRates = null;
+  if (data && typeof data === 'object') {
+    if (data.rates && typeof data.rates === 'object') {
+      sourceRates = data.rates;
+    } else if (data.conversion_rates && typeof data.conversion_rates === 'object') {
+      sourceRates = data.conversion_rates;
+    } else if (data.conversions && data.conversions.USD && typeof data.conversions.USD === 'object') {
+      // This API provides cross rates keyed by base currency; use USD row
+      sourceRates = { ...data.conversions.USD, USD: 1 };
+    } else {
+      // Flat object: keys that are not currency codes are dropped below
+      sourceRates = data;
     }
+  }
 
-    // Extract rates for supported currencies with sensible fallbacks
-    const rates = {
-      USD: (sourceRates && (sourceRates.USD ?? 1)) || 1,
-      GBP: (sourceRates && (sourceRates.GBP ?? 0.8)) || 0.8,
-      // Accept either EUR or EURO keys from the source
-      EURO: (sourceRates && ((sourceRates.EURO ?? sourceRates.EUR) ?? 0.85)) || 0.85,
-      ILS: (sourceRates && (sourceRates.ILS ?? 3.5)) || 3.5
-    };
-    
-    exchangeRates = rates;
-    return rates;
-  } catch (error) {
-    console.warn('Failed to fetch exchange rates, using defaults:', error);
-    return exchangeRates;
+  // Keep every currency code the source returns; rates are relative to the source's base
+  const rates = normalizeRates(sourceRates);
+  if (Object.keys(rates).length < 2) {
+    throw new Error('Exchange rates response contains no usable rates');
+  }
+  
+  exchangeRates = rates;
+  ratesSource = 'live';
+  ratesFetchedAt = new Date().toISOString();
+  ratesInvalidated = false;
+  setAvailableCurrencies(Object.keys(rates));
+
+  // Persist the rates so the next session can start from them when offline
+  try {
+    if (typeof window !== 'undefined') {
+      window.localStorage.setItem(ratesStorageKey, JSON.stringify({ rates, fetchedAt: ratesFetchedAt }));
+    }
+  } catch (storageError) {
+    // Ignore storage errors; rates stay available in memory
   }
+
+  // Keep a dated snapshot so older reports can be converted at their own rates
+  try {
+    await saveRateSnapshot(rates);
+  } catch (storageError) {
+    console.warn('Failed to store exchange rate snapshot:', storageError);
+  }
+
+  return rates;
 };
-// Fallback to cached rates ensures the app keeps working offline or on API errors
+// fetchExchangeRates falls back to cached rates so the app keeps working offline or on API errors
 
 /**
  * Converts an amount from one currency to another
  * @param {number} amount - Amount to convert
  * @param {string} fromCurrency - Source currency
  * @param {string} toCurrency - Target currency
+ * @param {Object} [rates] - Rates per 1 USD to use instead of the latest known rates
  * @returns {number} Converted amount
  */
-export const convertAmount = (amount, fromCurrency, toCurrency) => {
-  if (fromCurrency === toCurrency) {
+export const convertAmount = (amount, fromCurrency, toCurrency, rates = exchangeRates) => {
+  // Legacy codes such as EURO are treated as their ISO equivalent
+  const from = normalizeCurrencyCode(fromCurrency);
+  const to = normalizeCurrencyCode(toCurrency);
+  if (from === to) {
     return amount;
   }
+
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate available for ${rates[from] ? to : from}`);
+  }
   
-  // Convert to USD first, then to target currency
-  const usdAmount = amount / exchangeRates[fromCurrency];
-  const convertedAmount = usdAmount * exchangeRates[toCurrency];
+  // Convert to the rates' base currency first, then to target currency
+  const usdAmount = amount / rates[from];
+  const convertedAmount = usdAmount * rates[to];
   
   return convertedAmount;
 };
 // Two-step conversion avoids needing cross rates and keeps logic simple
 
+/**
+ * Checks whether an amount can be converted between two currencies
+ * @param {string} fromCurrency - Source currency
+ * @param {string} toCurrency - Target currency
+ * @param {Object} [rates] - Rates per 1 USD, the latest known rates by default
+ * @returns {boolean} True when both currencies have a rate (or they are the same)
+ */
+export const hasRate = (fromCurrency, toCurrency, rates = exchangeRates) => {
+  const from = normalizeCurrencyCode(fromCurrency);
+  const to = normalizeCurrencyCode(toCurrency);
+  return from === to || Boolean(rates[from] && rates[to]);
+};
+
+/**
+ * Works out the date a report line was spent on
+ * @param {Object} report - Report the cost belongs to (provides year/month)
+ * @param {Object} cost - Report cost line
+ * @returns {Date|string|null} Cost date, or null when unknown
+ */
+const getCostDate = (report, cost) => {
+  if (cost.dateAdded) {
+    return cost.dateAdded;
+  }
+  if (report.year && report.month && cost.Date && cost.Date.day) {
+    return new Date(report.year, report.month - 1, cost.Date.day, 12);
+  }
+  return null;
+};
+
 /**
  * Converts a report to the specified currency
  * @param {Object} report - Report object with costs array
  * @param {string} targetCurrency - Target currency
- * @returns {Promise<Object>} Converted report
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.rateMode] - 'current' uses the latest rates for every line (default);
+ *   'historical' uses the stored snapshot closest to each cost's date
+ * @returns {Promise<Object>} Converted report with the same shape ({ year, month, costs, total } for
+ *   month reports); each line also carries its stored amount as originalSum and originalCurrency
+ *   and the rate it was converted at (target units per original unit). A line whose currency has
+ *   no rate is flagged 'unconverted', with a sum of 0 and a null rate, and its currency is listed
+ *   in the report's 'unconverted' array
  */
-export const convertCurrency = async (report, targetCurrency) => {
+export const convertCurrency = async (report, targetCurrency, options = {}) => {
   // Ensure we have fresh exchange rates
   await fetchExchangeRates();
-  
-  const convertedCosts = report.costs.map(cost => ({
-    ...cost,
-    sum: convertAmount(cost.sum || 0, cost.currency, targetCurrency),
-    currency: targetCurrency
-  }));
+
+  // Historical mode needs the stored snapshots; lines without a match use the latest rates
+  let snapshots = [];
+  if (options.rateMode === 'historical') {
+    try {
+      snapshots = await getRateSnapshots();
+    } catch (error) {
+      console.warn('Failed to load exchange rate history, using current rates:', error);
+    }
+  }
+
+  const unconverted = new Set();
+  const convertedCosts = report.costs.map(cost => {
+    const snapshot = findClosestSnapshot(snapshots, getCostDate(report, cost));
+    const rates = snapshot ? { ...exchangeRates, ...normalizeRates(snapshot.rates) } : exchangeRates;
+    // Converting an already converted report starts again from the amount that was actually stored
+    const originalSum = 'originalSum' in cost ? cost.originalSum : (cost.sum || 0);
+    const originalCurrency = 'originalCurrency' in cost ? cost.originalCurrency : cost.currency;
+    // One currency without a rate leaves its lines out of the totals instead of failing the report
+    if (!hasRate(originalCurrency, targetCurrency, rates)) {
+      unconverted.add(normalizeCurrencyCode(originalCurrency));
+      return {
+        ...cost,
+        sum: 0,
+        currency: normalizeCurrencyCode(targetCurrency),
+        originalSum,
+        originalCurrency,
+        rate: null,
+        unconverted: true
+      };
+    }
+    const rate = convertAmount(1, originalCurrency, targetCurrency, rates);
+    return {
+      ...cost,
+      sum: originalSum * rate,
+      currency: normalizeCurrencyCode(targetCurrency),
+      originalSum,
+      originalCurrency,
+      rate
+    };
+  });
+  if (unconverted.size > 0) {
+    console.warn(`No exchange rate to ${normalizeCurrencyCode(targetCurrency)} for ${[...unconverted].join(', ')}; those lines are left out of the totals`);
+  }
   
   const convertedTotal = convertedCosts.reduce((sum, cost) => sum + cost.sum, 0);
   
   return {
     ...report,
     costs: convertedCosts,
+    unconverted: [...unconverted],
     total: {
-      currency: targetCurrency,
+      currency: normalizeCurrencyCode(targetCurrency),
       total: convertedTotal
     }
   };
@@ -137,6 +324,10 @@ export const convertCurrency = async (report, targetCurrency) => {
  * @param {string} url - New exchange rates URL
  */
 export const setExchangeUrl = (url) => {
+  // Rates from a different URL must not be served from the old cache
+  if (url !== exchangeUrl) {
+    ratesInvalidated = true;
+  }
   exchangeUrl = url;
   try {
     if (typeof window !== 'undefined') {
@@ -162,3 +353,46 @@ export const getExchangeUrl = () => {
 export const getExchangeRates = () => {
   return { ...exchangeRates };
 };
+
+/**
+ * Describes where the current exchange rates came from
+ * @returns {{source: string, fetchedAt: (string|null), stale: boolean, fresh: boolean}} Status of the
+ *   in-memory rates; source is 'live' (fetched this session), 'cache' (loaded from storage) or
+ *   'default' (built-in); stale is true unless the rates were fetched this session, and fresh is
+ *   true while they are younger than the cache TTL
+ */
+export const getRatesStatus = () => {
+  return {
+    source: ratesSource,
+    fetchedAt: ratesFetchedAt,
+    stale: ratesSource !== 'live',
+    fresh: areRatesFresh()
+  };
+};
+
+/**
+ * Sets how long fetched rates are reused before refetching
+ * @param {number} minutes - Cache duration in minutes (must be positive)
+ */
+export const setRatesTtl = (minutes) => {
+  const value = Number(minutes);
+  if (!(value > 0)) {
+    throw new Error('Cache duration must be a positive number of minutes');
+  }
+  ratesTtlMinutes = value;
+  try {
+    if (typeof window !== 'undefined') {
+      window.localStorage.setItem(ttlStorageKey, String(value));
+    }
+  } catch (err) {
+    // Ignore storage errors
+  }
+};
+
+/**
+ * Gets how long fetched rates are reused before refetching
+ * @returns {number} Cache duration in minutes
+ */
+export const getRatesTtl = () => {
+  return ratesTtlMinutes;
+};
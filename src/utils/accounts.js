@@ -0,0 +1,264 @@
+/**
+ * Accounts - cash wallets, cards and bank accounts that costs are paid from
+ * Each account has a native currency and an opening balance; costs point to their account by
+ * 'accountId' (indexed since version 10). Expenses lower a balance and income paid into the
+ * account raises it. Balances convert foreign-currency entries at the stored rate closest to
+ * each entry's date, the way a card statement would.
+ */
+
+import { openCostsDB } from './idb';
+import { convertCurrency } from '../services/currencyService';
+import { isCurrencyCode, normalizeCurrencyCode } from '../services/currencyRegistry';
+
+// Kinds of account, with their labels
+export const ACCOUNT_TYPES = {
+    cash: 'Cash',
+    card: 'Card',
+    bank: 'Bank account'
+};
+
+const listeners = new Set();
+// Components subscribe so account pickers refresh after accounts change
+
+/** Notifies subscribers that the accounts changed. */
+const notify = function() {
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Subscribes to account changes
+ * @param {function} listener - Called with no arguments on every change
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeAccounts = function(listener) {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/**
+ * Normalizes the account a cost is paid from
+ * @param {number|string|null|undefined} accountId - Account id, or empty for no account
+ * @returns {number|null} Account id, or null when none is given
+ * @throws {Error} When the value is not a valid id
+ */
+export const normalizeAccountId = function(accountId) {
+    if (accountId === undefined || accountId === null || accountId === '') {
+        return null;
+    }
+    const id = Number(accountId);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new Error('Invalid account');
+    }
+    return id;
+};
+// Whether the account exists is not checked, so imported and restored costs are kept as they are
+
+/**
+ * Runs a single request against the accounts store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function} makeRequest - Receives the store and returns an IDBRequest
+ * @param {string} errorMessage - Message used when the request fails
+ * @returns {Promise} Promise that resolves to the request result
+ */
+const runAccountRequest = function(mode, makeRequest, errorMessage) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['accounts'], mode);
+            const request = makeRequest(transaction.objectStore('accounts'));
+
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+
+            request.onerror = function() {
+                reject(new Error(errorMessage));
+            };
+        }).catch(reject);
+    });
+};
+
+/**
+ * Gets the costs paid from accounts, oldest first
+ * @param {number} [accountId] - Only this account's costs
+ * @returns {Promise<Array>} Promise that resolves to raw cost records
+ */
+const getAccountCosts = function(accountId) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const index = db.transaction(['costs'], 'readonly').objectStore('costs').index('accountId');
+            // Costs without an account have a null accountId and are not in the index
+            const request = index.getAll(accountId === undefined ? null : accountId);
+
+            request.onsuccess = function() {
+                const costs = request.result || [];
+                resolve(costs.sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id));
+            };
+
+            request.onerror = function() {
+                reject(new Error('Failed to get account costs'));
+            };
+        }).catch(reject);
+    });
+};
+
+/**
+ * Validates account fields
+ * @param {Object} account - name, type, currency and openingBalance
+ * @param {Array} accounts - Existing accounts, to keep names unique
+ * @param {number} [id] - Id of the account being changed
+ * @returns {Object} Normalized fields
+ * @throws {Error} When a field is missing or invalid
+ */
+const validateAccount = function(account, accounts, id) {
+    const name = String(account.name || '').trim();
+    if (!name) {
+        throw new Error('Account name is required');
+    }
+    if (accounts.some(other => other.id !== id && other.name.toLowerCase() === name.toLowerCase())) {
+        throw new Error(`An account named ${name} already exists`);
+    }
+    if (!ACCOUNT_TYPES[account.type]) {
+        throw new Error(`Unknown account type: ${account.type}`);
+    }
+    if (!isCurrencyCode(account.currency)) {
+        throw new Error('Invalid currency code');
+    }
+    const openingBalance = Number(account.openingBalance || 0);
+    if (!Number.isFinite(openingBalance)) {
+        throw new Error('Opening balance must be a number');
+    }
+
+    return {
+        name,
+        type: account.type,
+        currency: normalizeCurrencyCode(account.currency),
+        openingBalance
+    };
+};
+
+/**
+ * Gets all accounts sorted by name
+ * @returns {Promise<Array>} Promise that resolves to account records
+ */
+export const getAccounts = async function() {
+    const accounts = (await runAccountRequest('readonly', store => store.getAll(), 'Failed to get accounts')) || [];
+    return accounts.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Creates an account
+ * @param {Object} account - name, type (key of ACCOUNT_TYPES), currency and optional openingBalance
+ * @returns {Promise} Promise that resolves to the stored account with its id
+ */
+export const addAccount = async function(account) {
+    const record = validateAccount(account, await getAccounts());
+    const id = await runAccountRequest('readwrite', store => store.add(record), 'Failed to add account');
+    notify();
+    return { ...record, id };
+};
+
+/**
+ * Changes the fields of an account
+ * @param {number} id - Account id
+ * @param {Object} patch - Any of name, type, currency, openingBalance
+ * @returns {Promise} Promise that resolves to the updated account
+ */
+export const updateAccount = async function(id, patch) {
+    const accounts = await getAccounts();
+    const existing = accounts.find(account => account.id === id);
+    if (!existing) {
+        throw new Error('Account not found');
+    }
+
+    const record = { ...validateAccount({ ...existing, ...patch }, accounts, id), id };
+    await runAccountRequest('readwrite', store => store.put(record), 'Failed to update account');
+    notify();
+    return record;
+};
+
+/**
+ * Deletes an account no cost is paid from
+ * @param {number} id - Account id
+ * @returns {Promise} Promise that resolves once the account is deleted
+ */
+export const deleteAccount = async function(id) {
+    const costs = await getAccountCosts(id);
+    if (costs.length > 0) {
+        throw new Error('Move or delete the costs paid from this account before deleting it');
+    }
+
+    await runAccountRequest('readwrite', store => store.delete(id), 'Failed to delete account');
+    notify();
+};
+
+/**
+ * Signed amount an entry changes its account's balance by
+ * @param {Object} cost - Converted entry
+ * @returns {number} The sum for income, its negative for expenses
+ */
+const getBalanceChange = function(cost) {
+    return cost.type === 'income' ? cost.sum : -cost.sum;
+};
+
+/**
+ * Gets every account with its current balance
+ * @returns {Promise<Array>} Promise that resolves to the accounts, each with 'spent', 'received'
+ *   and 'balance' in its own currency
+ */
+export const getAccountBalances = async function() {
+    const [accounts, costs] = await Promise.all([getAccounts(), getAccountCosts()]);
+
+    return Promise.all(accounts.map(async account => {
+        const own = costs.filter(cost => cost.accountId === account.id);
+        const converted = await convertCurrency({ costs: own }, account.currency, { rateMode: 'historical' });
+        const total = type => converted.costs
+            .filter(cost => cost.type === type)
+            .reduce((sum, cost) => sum + cost.sum, 0);
+        const spent = total('expense');
+        const received = total('income');
+        return {
+            ...account,
+            spent,
+            received,
+            balance: account.openingBalance - spent + received
+        };
+    }));
+};
+
+/**
+ * Builds the statement of an account for a date range
+ * @param {number} id - Account id
+ * @param {string} from - First day ('YYYY-MM-DD')
+ * @param {string} to - Last day ('YYYY-MM-DD')
+ * @returns {Promise<Object>} Promise that resolves to { account, from, to, openingBalance, lines,
+ *   closingBalance }; openingBalance is the balance before 'from' and each line carries the
+ *   amount in the account currency ('sum', with the original amount and rate), the signed
+ *   'change' to the balance and the running 'balance'
+ */
+export const getAccountStatement = async function(id, from, to) {
+    const account = await runAccountRequest('readonly', store => store.get(id), 'Failed to get account');
+    if (!account) {
+        throw new Error('Account not found');
+    }
+
+    // Earlier costs are converted too, since they make up the balance the period starts from
+    const costs = (await getAccountCosts(id)).filter(cost => cost.date <= to);
+    const converted = await convertCurrency({ costs }, account.currency, { rateMode: 'historical' });
+
+    let balance = account.openingBalance;
+    const lines = [];
+    let openingBalance = balance;
+    converted.costs.forEach(cost => {
+        const change = getBalanceChange(cost);
+        balance += change;
+        if (cost.date < from) {
+            openingBalance = balance;
+        } else {
+            lines.push({ ...cost, change, balance });
+        }
+    });
+
+    return { account, from, to, openingBalance, lines, closingBalance: balance };
+};
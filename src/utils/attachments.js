@@ -0,0 +1,147 @@
+/**
+ * Attachments - receipt photos and PDFs kept with the cost they belong to
+ * Files are stored as Blobs in the 'attachments' store (version 8), one record per file,
+ * linked to their cost by 'costId'. deleteCost removes them together with the cost.
+ */
+
+import { openCostsDB } from './idb';
+
+// File types a receipt can be stored as
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'application/pdf'];
+
+// Largest file accepted, in bytes
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Checks that a file can be attached
+ * @param {File} file - Picked file
+ * @throws {Error} When the file is not an image or PDF, or is too large
+ */
+export const validateAttachment = function(file) {
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+        throw new Error(`${file.name} is not an image or PDF file`);
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+        throw new Error(`${file.name} is larger than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`);
+    }
+};
+
+/**
+ * Draws a small JPEG preview of an image
+ * @param {File} file - Image file
+ * @returns {Promise<Blob|null>} Promise that resolves to the thumbnail, or null when the
+ *   browser cannot decode the file (PDFs, or HEIC outside Safari)
+ */
+const createThumbnail = async function(file) {
+    if (!file.type.startsWith('image/')) {
+        return null;
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (error) {
+        return null;
+    }
+
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise(resolve => {
+        canvas.toBlob(resolve, 'image/jpeg', 0.8);
+    });
+};
+
+/**
+ * Stores files as attachments of a cost, all in one transaction
+ * @param {number} costId - Id of the cost the files belong to
+ * @param {Array<File>} files - Images or PDFs
+ * @returns {Promise<number>} Promise that resolves to the number of stored files
+ */
+export const addAttachments = async function(costId, files) {
+    files.forEach(validateAttachment);
+
+    // Thumbnails are drawn first: an IndexedDB transaction closes while other work is awaited
+    const records = [];
+    for (const file of files) {
+        records.push({
+            costId: costId,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            blob: file,
+            thumbnail: await createThumbnail(file),
+            dateAdded: new Date()
+        });
+    }
+
+    const db = await openCostsDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['attachments'], 'readwrite');
+        const store = transaction.objectStore('attachments');
+        records.forEach(record => store.add(record));
+
+        transaction.oncomplete = function() {
+            resolve(records.length);
+        };
+        transaction.onerror = function() {
+            reject(new Error('Failed to save attachments'));
+        };
+    });
+};
+
+/**
+ * Gets the attachments of a cost
+ * @param {number} costId - Cost id
+ * @returns {Promise<Array>} Promise that resolves to the attachment records in the order they were added
+ */
+export const getAttachments = function(costId) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['attachments'], 'readonly');
+            const request = transaction.objectStore('attachments').index('costId').getAll(costId);
+
+            request.onsuccess = function() {
+                resolve(request.result || []);
+            };
+            request.onerror = function() {
+                reject(new Error('Failed to get attachments'));
+            };
+        }).catch(reject);
+    });
+};
+
+/**
+ * Lists the costs that have at least one attachment
+ * @returns {Promise<Set<number>>} Promise that resolves to the cost ids
+ */
+export const getAttachedCostIds = function() {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['attachments'], 'readonly');
+            const ids = new Set();
+
+            // Only the index keys are read, so the files themselves are never loaded
+            const request = transaction.objectStore('attachments').index('costId').openKeyCursor(null, 'nextunique');
+            request.onsuccess = function(event) {
+                const cursor = event.target.result;
+                if (cursor) {
+                    ids.add(cursor.key);
+                    cursor.continue();
+                } else {
+                    resolve(ids);
+                }
+            };
+            request.onerror = function() {
+                reject(new Error('Failed to get attachments'));
+            };
+        }).catch(reject);
+    });
+};
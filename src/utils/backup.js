@@ -0,0 +1,519 @@
+/**
+ * Backup - dumps the whole database and the app settings into one JSON file and restores it
+ * Backups record the schema version they were taken at; older backups are passed through the
+ * same migrations as a live database before they are restored.
+ */
+
+import { openCostsDB, validateCostFields, DB_NAME, DB_VERSION } from './idb';
+import { downloadFile } from './dataExport';
+import { toDateKey } from './dates';
+import { setExchangeUrl, setRatesTtl } from '../services/currencyService';
+import { setFavoriteCurrencies } from '../services/currencyRegistry';
+
+// Identifies backup files and the layout of the file itself (not the database schema)
+export const BACKUP_FILE_TYPE = 'cost-manager-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+// Restore modes: wipe every store first, or combine the backup with the current data
+export const RESTORE_MODES = ['replace', 'merge'];
+
+// Stores left out of backups: receipt files are binary and often large, so they stay in this
+// browser. Restoring in replace mode removes them, since the costs they belong to are replaced.
+const EXCLUDED_STORES = ['attachments'];
+
+/**
+ * Checks that a stored setting holds a JSON array of strings
+ * @param {*} value - Setting value from the backup
+ * @returns {boolean} True when the value parses to an array of strings
+ */
+const isStringListJson = function(value) {
+    try {
+        const list = JSON.parse(value);
+        return Array.isArray(list) && list.every(item => typeof item === 'string');
+    } catch (error) {
+        return false;
+    }
+};
+
+// localStorage settings included in backups, each checked before anything is restored and then
+// applied through the setter that owns it; the exchange-rate cache is left out because it is
+// refetched anyway
+const SETTINGS = {
+    exchangeUrl: {
+        isValid: value => typeof value === 'string' && value.trim() !== '',
+        apply: value => setExchangeUrl(value)
+    },
+    ratesTtlMinutes: {
+        isValid: value => typeof value === 'string' && Number(value) > 0,
+        apply: value => setRatesTtl(value)
+    },
+    favoriteCurrencies: {
+        isValid: value => typeof value === 'string' && isStringListJson(value),
+        apply: value => setFavoriteCurrencies(JSON.parse(value))
+    }
+};
+
+// Extra checks for records whose fields the restore relies on, per store name
+const RECORD_CHECKS = {
+    costs: validateCostFields,
+    accounts: function(account) {
+        if (typeof account.name !== 'string' || account.name.trim() === '') {
+            throw new Error('Missing account name');
+        }
+    }
+};
+
+/**
+ * Reads every record of every store in one transaction
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<Object>} Promise that resolves to the records per store name
+ */
+const readAllStores = function(db) {
+    return new Promise((resolve, reject) => {
+        const storeNames = Array.from(db.objectStoreNames);
+        const transaction = db.transaction(storeNames, 'readonly');
+        const stores = {};
+
+        storeNames.forEach(name => {
+            transaction.objectStore(name).getAll().onsuccess = function(event) {
+                stores[name] = event.target.result;
+            };
+        });
+
+        transaction.oncomplete = function() {
+            resolve(stores);
+        };
+        transaction.onerror = function() {
+            reject(new Error('Failed to read the database'));
+        };
+    });
+};
+
+/**
+ * Builds a backup of every store and the settings
+ * @returns {Promise<Object>} Promise that resolves to the backup object
+ */
+export const createBackup = async function() {
+    const db = await openCostsDB();
+    const stores = await readAllStores(db);
+    EXCLUDED_STORES.forEach(name => {
+        delete stores[name];
+    });
+
+    const settings = {};
+    Object.keys(SETTINGS).forEach(key => {
+        const value = window.localStorage.getItem(key);
+        if (value !== null) {
+            settings[key] = value;
+        }
+    });
+
+    return {
+        type: BACKUP_FILE_TYPE,
+        version: BACKUP_FORMAT_VERSION,
+        dbVersion: DB_VERSION,
+        createdAt: new Date().toISOString(),
+        stores: stores,
+        settings: settings
+    };
+};
+
+/**
+ * Creates a backup and downloads it as a JSON file
+ * @returns {Promise<Object>} Promise that resolves to the record count per store
+ */
+export const downloadBackup = async function() {
+    const backup = await createBackup();
+    downloadFile({
+        filename: `cost-manager-backup-${toDateKey(new Date())}.json`,
+        mimeType: 'application/json',
+        content: JSON.stringify(backup, null, 2)
+    });
+
+    const counts = {};
+    Object.entries(backup.stores).forEach(([name, records]) => {
+        counts[name] = records.length;
+    });
+    return counts;
+};
+
+/**
+ * Rejects backups with stores the database does not have
+ * @param {IDBDatabase} db - Open database at the version the stores belong to
+ * @param {Object} stores - Records per store name
+ * @throws {Error} Naming the unknown stores
+ */
+const checkStoreNames = function(db, stores) {
+    const unknown = Object.keys(stores).filter(name => !db.objectStoreNames.contains(name));
+    if (unknown.length > 0) {
+        throw new Error(`The backup contains unknown data: ${unknown.join(', ')}`);
+    }
+};
+
+/**
+ * Checks that a record key is one the stores here can hold
+ * @param {*} key - Value at the store's key path
+ * @returns {boolean} True for strings and finite numbers
+ */
+const isValidKey = function(key) {
+    return typeof key === 'string' || (typeof key === 'number' && Number.isFinite(key));
+};
+
+/**
+ * Rejects backups with records that cannot be stored or restored
+ * Records of keyed stores need their key; records of auto-numbered stores may leave the id
+ * out, since a new one is generated for them.
+ * @param {IDBDatabase} db - Open database at the version the stores belong to
+ * @param {Object} stores - Records per store name
+ * @throws {Error} Naming the store and what is wrong with its first bad record
+ */
+const checkRecords = function(db, stores) {
+    const names = Object.keys(stores);
+    if (names.length === 0) {
+        return;
+    }
+    const transaction = db.transaction(names, 'readonly');
+
+    names.forEach(name => {
+        const { keyPath, autoIncrement } = transaction.objectStore(name);
+        stores[name].forEach(record => {
+            try {
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    throw new Error('Not a record');
+                }
+                const key = record[keyPath];
+                if (autoIncrement ? key !== undefined && !(Number.isInteger(key) && key > 0) : !isValidKey(key)) {
+                    throw new Error(`Missing or invalid ${keyPath}`);
+                }
+                if (RECORD_CHECKS[name]) {
+                    RECORD_CHECKS[name](record);
+                }
+            } catch (error) {
+                throw new Error(`The backup has an invalid ${name} record: ${error.message}`);
+            }
+        });
+    });
+};
+
+/**
+ * Rejects backups whose settings hold values the settings here cannot take
+ * @param {Object} settings - Settings from the backup
+ * @throws {Error} Naming the invalid settings
+ */
+const checkSettings = function(settings) {
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('The backup has unreadable settings');
+    }
+    const invalid = Object.keys(settings).filter(key => key in SETTINGS && !SETTINGS[key].isValid(settings[key]));
+    if (invalid.length > 0) {
+        throw new Error(`The backup has invalid settings: ${invalid.join(', ')}`);
+    }
+};
+// Unknown settings are ignored on restore, so only the known ones are checked
+
+/**
+ * Writes records into the stores of a database, replacing what was there
+ * @param {IDBDatabase} db - Open database
+ * @param {Object} stores - Records per store name
+ * @returns {Promise} Promise that resolves when the transaction completes
+ */
+const writeStores = function(db, stores) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(Object.keys(stores), 'readwrite');
+        try {
+            Object.entries(stores).forEach(([name, records]) => {
+                const store = transaction.objectStore(name);
+                store.clear();
+                records.forEach(record => store.put(record));
+            });
+        } catch (error) {
+            transaction.abort();
+            reject(new Error(`Failed to write the backup: ${error.message}`));
+            return;
+        }
+
+        transaction.oncomplete = function() {
+            resolve();
+        };
+        transaction.onerror = function() {
+            reject(transaction.error || new Error('Failed to write the backup'));
+        };
+    });
+};
+
+/**
+ * Deletes a database
+ * @param {string} name - Database name
+ * @returns {Promise} Promise that resolves when the database is gone
+ */
+const deleteDatabase = function(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = function() {
+            resolve();
+        };
+        request.onerror = function() {
+            reject(new Error('Failed to delete the temporary database'));
+        };
+    });
+};
+
+/**
+ * Brings the stores of an older backup up to the current schema
+ * The records are loaded into a scratch database at the backup's version, which is then
+ * reopened at DB_VERSION so the regular migrations run over them.
+ * @param {Object} backup - Validated backup with dbVersion below DB_VERSION
+ * @returns {Promise<Object>} Promise that resolves to the migrated records per store name
+ */
+const migrateBackupStores = async function(backup) {
+    const scratchName = `${DB_NAME}-restore`;
+    await deleteDatabase(scratchName);
+    try {
+        const oldDb = await openCostsDB(scratchName, backup.dbVersion);
+        try {
+            checkStoreNames(oldDb, backup.stores);
+            checkRecords(oldDb, backup.stores);
+            await writeStores(oldDb, backup.stores);
+        } finally {
+            oldDb.close();
+        }
+
+        const db = await openCostsDB(scratchName, DB_VERSION);
+        const stores = await readAllStores(db);
+        db.close();
+        return stores;
+    } finally {
+        await deleteDatabase(scratchName);
+    }
+};
+
+/**
+ * Parses and validates a backup file, migrating older backups to the current schema
+ * @param {string} text - Contents of the backup file
+ * @returns {Promise<Object>} Promise that resolves to the backup with stores at DB_VERSION
+ */
+export const readBackup = async function(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!backup || backup.type !== BACKUP_FILE_TYPE) {
+        throw new Error('Not a Cost Manager backup file');
+    }
+    if (backup.version > BACKUP_FORMAT_VERSION || backup.dbVersion > DB_VERSION) {
+        throw new Error('The backup was made by a newer version of the app');
+    }
+    if (!Number.isInteger(backup.dbVersion) || backup.dbVersion < 1) {
+        throw new Error('The backup does not say which database version it holds');
+    }
+    if (!backup.stores || typeof backup.stores !== 'object' ||
+        !Object.values(backup.stores).every(records => Array.isArray(records))) {
+        throw new Error('The backup has no readable data');
+    }
+
+    const settings = backup.settings || {};
+    checkSettings(settings);
+
+    let stores = backup.stores;
+    if (backup.dbVersion < DB_VERSION) {
+        stores = await migrateBackupStores(backup);
+    } else {
+        checkStoreNames(await openCostsDB(), stores);
+    }
+    // Records are checked again at the current schema, after migrations may have changed them
+    checkRecords(await openCostsDB(), stores);
+
+    return { ...backup, dbVersion: DB_VERSION, stores, settings };
+};
+// Migration errors abort the scratch upgrade and surface here with the failing version
+
+/**
+ * Serializes a record without its auto-generated id, with its fields in a fixed order
+ * @param {Object} record - Record to serialize
+ * @returns {string} String that is equal for records with equal content
+ */
+const contentKey = function(record) {
+    const { id, ...rest } = record;
+    return JSON.stringify(rest, Object.keys(rest).sort());
+};
+
+/**
+ * Compares two records ignoring their auto-generated id
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @returns {boolean} True when every other field is equal
+ */
+const sameContent = function(a, b) {
+    return contentKey(a) === contentKey(b);
+};
+
+/**
+ * Matches backed-up accounts with the accounts here by their unique name
+ * A matching account keeps its id here and takes the backed-up fields; any other account is
+ * added under the next free id, so costs can be pointed at it before it is stored.
+ * @param {Array} existing - Accounts stored here
+ * @param {Array} incoming - Accounts from the backup
+ * @returns {{entry: Object, ids: Map}} Plan entry of the accounts store and the id here of
+ *   every backed-up account id
+ */
+const planAccountMerge = function(existing, incoming) {
+    const entry = { add: [], update: [], remove: [], unchanged: 0 };
+    const ids = new Map();
+    let lastId = existing.reduce((max, account) => Math.max(max, account.id), 0);
+
+    incoming.forEach(account => {
+        const stored = existing.find(candidate => candidate.name.toLowerCase() === account.name.toLowerCase());
+        if (!stored) {
+            lastId++;
+            ids.set(account.id, lastId);
+            entry.add.push({ ...account, id: lastId });
+            return;
+        }
+        ids.set(account.id, stored.id);
+        if (sameContent(stored, account)) {
+            entry.unchanged++;
+        } else {
+            entry.update.push({ ...account, id: stored.id });
+        }
+    });
+    return { entry, ids };
+};
+
+/**
+ * Points a backed-up cost at the id its account has here
+ * @param {Object} cost - Cost from the backup
+ * @param {Map} accountIds - Ids from planAccountMerge
+ * @returns {Object} The cost, with an accountId of null when its account is not in the backup
+ */
+const remapAccountId = function(cost, accountIds) {
+    if (cost.accountId === undefined || cost.accountId === null) {
+        return cost;
+    }
+    return { ...cost, accountId: accountIds.has(cost.accountId) ? accountIds.get(cost.accountId) : null };
+};
+
+/**
+ * Works out how restoring a backup changes each store
+ * In merge mode, records of keyed stores (budgets, categories, rate snapshots) replace the
+ * record with the same key; records of auto-numbered stores (costs, recurring) are added as
+ * new records unless an identical one already exists, since ids from another browser mean nothing here.
+ * Accounts are the exception: they are matched by name and costs follow them to their ids here.
+ * @param {Object} backup - Backup from readBackup
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Promise<Object>} Promise that resolves to
+ *   { stores: { [name]: { add, update, remove, unchanged } }, settings: [keys that change] }
+ */
+export const planRestore = async function(backup, mode) {
+    if (!RESTORE_MODES.includes(mode)) {
+        throw new Error(`Unknown restore mode: ${mode}`);
+    }
+
+    const db = await openCostsDB();
+    const current = await readAllStores(db);
+    const transaction = db.transaction(Object.keys(current), 'readonly');
+    const plan = { stores: {}, settings: [] };
+    // Replace keeps every id, so only a merge needs to renumber accounts
+    const accounts = mode === 'merge' ? planAccountMerge(current.accounts, backup.stores.accounts || []) : null;
+
+    Object.entries(current).forEach(([name, existing]) => {
+        let incoming = backup.stores[name] || [];
+        if (accounts && name === 'costs') {
+            incoming = incoming.map(cost => remapAccountId(cost, accounts.ids));
+        }
+        const store = transaction.objectStore(name);
+        let entry = { add: [], update: [], remove: [], unchanged: 0 };
+
+        if (mode === 'replace') {
+            entry.add = incoming;
+            entry.remove = existing;
+        } else if (accounts && name === 'accounts') {
+            entry = accounts.entry;
+        } else if (store.autoIncrement) {
+            // Look records up by content so large stores are not compared pair by pair
+            const storedKeys = new Set(existing.map(contentKey));
+            incoming.forEach(record => {
+                if (storedKeys.has(contentKey(record))) {
+                    entry.unchanged++;
+                } else {
+                    const { id, ...withoutId } = record;
+                    entry.add.push(withoutId);
+                }
+            });
+        } else {
+            const keyOf = record => record[store.keyPath];
+            incoming.forEach(record => {
+                const stored = existing.find(candidate => keyOf(candidate) === keyOf(record));
+                if (!stored) {
+                    entry.add.push(record);
+                } else if (JSON.stringify(stored) !== JSON.stringify(record)) {
+                    entry.update.push(record);
+                } else {
+                    entry.unchanged++;
+                }
+            });
+        }
+        plan.stores[name] = entry;
+    });
+
+    // Replace takes every backed-up setting; merge only fills in settings not set here
+    Object.entries(backup.settings).forEach(([key, value]) => {
+        if (!(key in SETTINGS)) {
+            return;
+        }
+        const local = window.localStorage.getItem(key);
+        if (local !== value && (mode === 'replace' || local === null)) {
+            plan.settings.push(key);
+        }
+    });
+
+    return plan;
+};
+
+/**
+ * Restores a backup in a single transaction and applies its settings
+ * @param {Object} backup - Backup from readBackup
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Promise<Object>} Promise that resolves to the plan that was applied
+ */
+export const restoreBackup = async function(backup, mode) {
+    const plan = await planRestore(backup, mode);
+    const db = await openCostsDB();
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction(Object.keys(plan.stores), 'readwrite');
+        try {
+            Object.entries(plan.stores).forEach(([name, entry]) => {
+                const store = transaction.objectStore(name);
+                if (mode === 'replace') {
+                    store.clear();
+                }
+                entry.add.forEach(record => store.put(record));
+                entry.update.forEach(record => store.put(record));
+            });
+        } catch (error) {
+            // A record put throws synchronously; without the abort the queued clears would commit
+            transaction.abort();
+            reject(new Error(`Failed to restore the backup: ${error.message}`));
+            return;
+        }
+
+        transaction.oncomplete = function() {
+            resolve();
+        };
+        transaction.onerror = function() {
+            reject(new Error('Failed to restore the backup'));
+        };
+        transaction.onabort = function() {
+            reject(new Error('Failed to restore the backup'));
+        };
+    });
+
+    plan.settings.forEach(key => {
+        SETTINGS[key].apply(backup.settings[key]);
+    });
+    return plan;
+};
+// Data is restored first so a bad setting value cannot leave the stores half-written
@@ -0,0 +1,190 @@
+/**
+ * Budgets - IndexedDB store of monthly spending limits
+ * One record per category plus an overall budget, each in its own currency.
+ */
+
+import { openCostsDB, getReport } from './idb';
+import { getRateSnapshots, findClosestSnapshot } from './rateHistory';
+import { toDateKey, fromDateKey } from './dates';
+import { convertAmount, hasRate, getExchangeRates } from '../services/currencyService';
+import { normalizeCurrencyCode, normalizeRates } from '../services/currencyRegistry';
+
+// Key of the budget that applies to the month's total instead of one category
+export const OVERALL_BUDGET = '*';
+
+/**
+ * Gets the display label of a budget key
+ * @param {string} category - Category name or OVERALL_BUDGET
+ * @returns {string} Label shown in the UI
+ */
+export const getBudgetLabel = function(category) {
+    return category === OVERALL_BUDGET ? 'Overall (all categories)' : category;
+};
+
+/**
+ * Runs a single request against the budgets store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function} makeRequest - Receives the store and returns an IDBRequest
+ * @param {string} errorMessage - Message used when the request fails
+ * @returns {Promise} Promise that resolves to the request result
+ */
+const runBudgetRequest = function(mode, makeRequest, errorMessage) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['budgets'], mode);
+            const store = transaction.objectStore('budgets');
+            const request = makeRequest(store);
+
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+
+            request.onerror = function() {
+                reject(new Error(errorMessage));
+            };
+        }).catch(reject);
+    });
+};
+
+/**
+ * Gets all budgets
+ * @returns {Promise<Array>} Promise that resolves to budgets ({ category, amount, currency })
+ */
+export const getBudgets = function() {
+    return runBudgetRequest('readonly', store => store.getAll(), 'Failed to get budgets')
+        .then(result => result || []);
+};
+
+/**
+ * Creates or replaces the monthly budget of a category
+ * @param {string} category - Category name, or OVERALL_BUDGET for the monthly total
+ * @param {number} amount - Monthly limit
+ * @param {string} currency - Currency the limit is expressed in
+ * @returns {Promise} Promise that resolves to the stored budget
+ */
+export const setBudget = async function(category, amount, currency) {
+    if (!category || !currency) {
+        throw new Error('Missing required budget properties');
+    }
+    if (isNaN(amount) || Number(amount) <= 0) {
+        throw new Error('Budget must be a positive number');
+    }
+
+    const budget = {
+        category: category === OVERALL_BUDGET ? OVERALL_BUDGET : String(category).toUpperCase(),
+        amount: Number(amount),
+        currency: normalizeCurrencyCode(currency)
+    };
+    await runBudgetRequest('readwrite', store => store.put(budget), 'Failed to save budget');
+    return budget;
+};
+
+/**
+ * Removes the budget of a category
+ * @param {string} category - Category name, or OVERALL_BUDGET
+ * @returns {Promise} Promise that resolves when deleted
+ */
+export const deleteBudget = function(category) {
+    return runBudgetRequest('readwrite', store => store.delete(category), 'Failed to delete budget');
+};
+
+/**
+ * Gets the rates the budgets of a report are converted at
+ * @param {Object} report - Report with 'to' (range reports) or 'year' and 'month' (getReport)
+ * @param {string} [rateMode] - Rate mode the report was converted with
+ * @returns {Promise<Object|undefined>} In historical mode, the rates of the snapshot closest to the
+ *   period's last day; otherwise undefined, meaning the latest rates
+ */
+const getBudgetRates = async function(report, rateMode) {
+    if (rateMode !== 'historical') {
+        return undefined;
+    }
+    const end = report.to || toDateKey(new Date(report.year, report.month, 0));
+    const snapshot = findClosestSnapshot(await getRateSnapshots(), fromDateKey(end));
+    return snapshot ? { ...getExchangeRates(), ...normalizeRates(snapshot.rates) } : undefined;
+};
+
+/**
+ * Compares a converted report with the budgets
+ * @param {Object} report - Report from getReport or getRangeReport (costs already in
+ *   report.total.currency)
+ * @param {Array} budgets - Budgets from getBudgets
+ * @param {Object} [options] - Comparison options
+ * @param {string} [options.rateMode] - Rate mode of the report; 'historical' converts budgets at
+ *   the stored rates of the period's end instead of the latest ones
+ * @returns {Promise<Array>} One entry per budget: { category, budget, actual, remaining, over,
+ *   currency }, with budget amounts converted to the report currency; the overall budget comes first.
+ *   A budget in a currency without a rate is flagged 'unconverted', keeps its own amount and
+ *   currency as originalBudget and originalCurrency, and has a null budget and remaining
+ */
+export const compareWithBudgets = async function(report, budgets, options = {}) {
+    const currency = report.total.currency;
+    const rates = budgets.length > 0 ? await getBudgetRates(report, options.rateMode) : undefined;
+
+    // Sum the month's costs per category
+    const actuals = {};
+    report.costs.forEach(cost => {
+        actuals[cost.category] = (actuals[cost.category] || 0) + cost.sum;
+    });
+
+    return budgets
+        .map(budget => {
+            const actual = budget.category === OVERALL_BUDGET
+                ? report.total.total
+                : (actuals[budget.category] || 0);
+            if (!hasRate(budget.currency, currency, rates)) {
+                return {
+                    category: budget.category,
+                    budget: null,
+                    actual: actual,
+                    remaining: null,
+                    over: false,
+                    currency: currency,
+                    originalBudget: budget.amount,
+                    originalCurrency: budget.currency,
+                    unconverted: true
+                };
+            }
+            const limit = convertAmount(budget.amount, budget.currency, currency, rates);
+            return {
+                category: budget.category,
+                budget: limit,
+                actual: actual,
+                remaining: limit - actual,
+                over: actual > limit,
+                currency: currency
+            };
+        })
+        .sort((a, b) => {
+            if (a.category === OVERALL_BUDGET) return -1;
+            if (b.category === OVERALL_BUDGET) return 1;
+            return a.category.localeCompare(b.category);
+        });
+};
+// Budgets follow the report's rate mode, so a historical report is not held to today's rates
+
+/**
+ * Lists the budgets a cost that was just added takes over their limit
+ * Budgets the month had already exceeded before this cost are left out, so adding to an
+ * overspent month warns once rather than after every cost.
+ * @param {number} year - Year of the month to check
+ * @param {number} month - Month to check (1-12)
+ * @param {Object} cost - The added cost, as returned by addCost (id and category)
+ * @returns {Promise<Array>} Exceeded budget comparisons (category budget and/or overall budget)
+ */
+export const getExceededBudgets = async function(year, month, cost) {
+    const budgets = (await getBudgets()).filter(budget =>
+        budget.category === OVERALL_BUDGET || budget.category === String(cost.category).toUpperCase()
+    );
+    if (budgets.length === 0) {
+        return [];
+    }
+
+    // Report in the currency of the first relevant budget; comparisons convert the rest
+    const report = await getReport(year, month, budgets[0].currency);
+    const line = report.costs.find(item => item.id === cost.id);
+    const added = line ? line.sum : 0;
+    return (await compareWithBudgets(report, budgets)).filter(comparison =>
+        comparison.over && comparison.actual - added <= comparison.budget
+    );
+};
@@ -0,0 +1,320 @@
+/**
+ * Categories - IndexedDB store of user-defined cost categories
+ * Each category has a colour, an icon name and the entry type it is for ('expense' or
+ * 'income'); renaming or merging a category rewrites the category field of every record
+ * that uses it.
+ */
+
+import { openCostsDB } from './idb';
+import { normalizeEntryType } from './income';
+
+// Palette used for default categories and for categories without a chosen colour
+export const CATEGORY_PALETTE = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#FFC658', '#FF7C7C'];
+
+// Categories offered before the user defines their own (seeded by the version 5 upgrade)
+export const DEFAULT_CATEGORIES = [
+    { name: 'FOOD', color: CATEGORY_PALETTE[0], icon: 'Restaurant' },
+    { name: 'TRANSPORTATION', color: CATEGORY_PALETTE[1], icon: 'DirectionsCar' },
+    { name: 'ENTERTAINMENT', color: CATEGORY_PALETTE[2], icon: 'Movie' },
+    { name: 'EDUCATION', color: CATEGORY_PALETTE[3], icon: 'School' },
+    { name: 'HEALTHCARE', color: CATEGORY_PALETTE[4], icon: 'LocalHospital' },
+    { name: 'SHOPPING', color: CATEGORY_PALETTE[5], icon: 'ShoppingCart' },
+    { name: 'UTILITIES', color: CATEGORY_PALETTE[6], icon: 'Bolt' },
+    { name: 'OTHER', color: CATEGORY_PALETTE[7], icon: 'Category' }
+];
+
+// Income categories seeded by the version 11 upgrade
+export const DEFAULT_INCOME_CATEGORIES = [
+    { name: 'SALARY', color: CATEGORY_PALETTE[1], icon: 'Work' },
+    { name: 'FREELANCE', color: CATEGORY_PALETTE[4], icon: 'Laptop' },
+    { name: 'REFUNDS', color: CATEGORY_PALETTE[5], icon: 'Replay' }
+];
+
+const listeners = new Set();
+// Components subscribe so dropdowns and charts refresh after the categories change
+
+/** Notifies subscribers that the categories changed. */
+const notify = function() {
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Subscribes to category changes
+ * @param {function} listener - Called with no arguments on every change
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeCategories = function(listener) {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/**
+ * Normalizes a category name the same way addCost does
+ * @param {string} name - Raw category name
+ * @returns {string} Trimmed, uppercase name
+ */
+export const normalizeCategoryName = function(name) {
+    return String(name || '').trim().toUpperCase();
+};
+
+/**
+ * Builds a category record for a name that only exists on cost records
+ * @param {string} name - Category name
+ * @param {string} [type] - Entry type the category is for (default 'expense')
+ * @returns {Object} Category record with a palette colour derived from the name
+ */
+export const makeCategoryRecord = function(name, type = 'expense') {
+    const normalized = normalizeCategoryName(name);
+    // Same name always gets the same colour, whichever code path registers it first
+    const hash = Array.from(normalized).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+    return {
+        name: normalized,
+        color: CATEGORY_PALETTE[hash % CATEGORY_PALETTE.length],
+        icon: 'Category',
+        type: type,
+        archived: false
+    };
+};
+
+/**
+ * Runs a single request against the categories store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function} makeRequest - Receives the store and returns an IDBRequest
+ * @param {string} errorMessage - Message used when the request fails
+ * @returns {Promise} Promise that resolves to the request result
+ */
+const runCategoryRequest = function(mode, makeRequest, errorMessage) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['categories'], mode);
+            const store = transaction.objectStore('categories');
+            const request = makeRequest(store);
+
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+
+            request.onerror = function() {
+                reject(new Error(errorMessage));
+            };
+        }).catch(reject);
+    });
+};
+
+/**
+ * Gets all categories sorted by name
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.includeArchived] - Also return archived categories
+ * @param {string} [options.type] - Only return categories of this entry type
+ * @returns {Promise<Array>} Promise that resolves to category records
+ */
+export const getCategories = async function(options = {}) {
+    const categories = (await runCategoryRequest('readonly', store => store.getAll(), 'Failed to get categories')) || [];
+    return categories.filter(category =>
+        (options.includeArchived || !category.archived)
+        && (!options.type || category.type === options.type)
+    );
+};
+
+/**
+ * Creates a new category
+ * @param {Object} category - name, color, icon and optional type ('expense' by default, or 'income')
+ * @returns {Promise} Promise that resolves to the stored category
+ */
+export const addCategory = async function(category) {
+    const name = normalizeCategoryName(category.name);
+    if (!name) {
+        throw new Error('Category name is required');
+    }
+
+    const record = {
+        name: name,
+        color: category.color || CATEGORY_PALETTE[0],
+        icon: category.icon || 'Category',
+        type: normalizeEntryType(category.type),
+        archived: false
+    };
+    await runCategoryRequest('readwrite', store => store.add(record), 'Category already exists');
+    notify();
+    return record;
+};
+
+/**
+ * Changes the colour, icon or archived flag of a category
+ * @param {string} name - Category name
+ * @param {Object} patch - Any of color, icon, archived
+ * @returns {Promise} Promise that resolves to the updated category
+ */
+export const updateCategory = async function(name, patch) {
+    const existing = await runCategoryRequest('readonly', store => store.get(name), 'Failed to get category');
+    if (!existing) {
+        throw new Error('Category not found');
+    }
+
+    const record = { ...existing };
+    if ('color' in patch) record.color = patch.color;
+    if ('icon' in patch) record.icon = patch.icon;
+    if ('archived' in patch) record.archived = Boolean(patch.archived);
+
+    await runCategoryRequest('readwrite', store => store.put(record), 'Failed to update category');
+    notify();
+    return record;
+};
+// Names are changed through renameCategory so the records that use them follow along
+
+/**
+ * Archives a category so it is no longer offered for new costs (existing costs keep it)
+ * @param {string} name - Category name
+ * @param {boolean} [archived] - Pass false to restore the category
+ * @returns {Promise} Promise that resolves to the updated category
+ */
+export const archiveCategory = function(name, archived = true) {
+    return updateCategory(name, { archived });
+};
+
+/**
+ * Moves every record from one category to another in a single transaction
+ * @param {string} from - Source category name
+ * @param {string} to - Target category name
+ * @param {boolean} merge - True to fold into an existing category, false to rename
+ * @returns {Promise<number>} Promise that resolves to the number of cost records rewritten
+ */
+const moveCategory = function(from, to, merge) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['categories', 'costs', 'budgets', 'recurring'], 'readwrite');
+            const categoryStore = transaction.objectStore('categories');
+            const budgetStore = transaction.objectStore('budgets');
+            let rewritten = 0;
+
+            transaction.oncomplete = function() {
+                resolve(rewritten);
+            };
+            transaction.onerror = function() {
+                reject(new Error(merge ? 'Failed to merge categories' : 'Failed to rename category'));
+            };
+            transaction.onabort = function() {
+                reject(transaction.error || new Error(merge ? 'Failed to merge categories' : 'Failed to rename category'));
+            };
+
+            // Check both categories before touching any record
+            const sourceRequest = categoryStore.get(from);
+            const targetRequest = categoryStore.get(to);
+            targetRequest.onsuccess = function() {
+                const source = sourceRequest.result;
+                const target = targetRequest.result;
+                if (!source) {
+                    transaction.abort();
+                    reject(new Error('Category not found'));
+                    return;
+                }
+                if (merge && !target) {
+                    transaction.abort();
+                    reject(new Error('Target category not found'));
+                    return;
+                }
+                // Merging income into an expense category (or back) would mix the two in reports
+                if (merge && target.type !== source.type) {
+                    transaction.abort();
+                    reject(new Error('Cannot merge an income category with an expense category'));
+                    return;
+                }
+                if (!merge && target) {
+                    transaction.abort();
+                    reject(new Error('A category with that name already exists; merge them instead'));
+                    return;
+                }
+
+                // Category record: renamed under its new key, or dropped in favour of the target
+                categoryStore.delete(from);
+                if (!merge) {
+                    categoryStore.put({ ...source, name: to });
+                }
+
+                // Costs: walk the category index so only affected records are read
+                const costIndex = transaction.objectStore('costs').index('category');
+                costIndex.openCursor(IDBKeyRange.only(from)).onsuccess = function(event) {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.update({ ...cursor.value, category: to });
+                        rewritten++;
+                        cursor.continue();
+                    }
+                };
+
+                // Recurring definitions keep posting into the new category
+                transaction.objectStore('recurring').openCursor().onsuccess = function(event) {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        if (cursor.value.category === from) {
+                            cursor.update({ ...cursor.value, category: to });
+                        }
+                        cursor.continue();
+                    }
+                };
+
+                // Budgets are keyed by category; a merge keeps the target's own budget if it has one
+                const budgetRequest = budgetStore.get(from);
+                const targetBudgetRequest = budgetStore.get(to);
+                targetBudgetRequest.onsuccess = function() {
+                    const budget = budgetRequest.result;
+                    if (budget) {
+                        budgetStore.delete(from);
+                        if (!targetBudgetRequest.result) {
+                            budgetStore.put({ ...budget, category: to });
+                        }
+                    }
+                };
+            };
+        }).catch(reject);
+    });
+};
+
+/**
+ * Renames a category and every cost, budget and recurring cost that uses it
+ * @param {string} oldName - Current category name
+ * @param {string} newName - New category name (must not exist yet)
+ * @returns {Promise<number>} Promise that resolves to the number of cost records rewritten
+ */
+export const renameCategory = async function(oldName, newName) {
+    const to = normalizeCategoryName(newName);
+    if (!to) {
+        throw new Error('Category name is required');
+    }
+    if (to === oldName) {
+        return 0;
+    }
+    const rewritten = await moveCategory(oldName, to, false);
+    notify();
+    return rewritten;
+};
+
+/**
+ * Merges one category into another and removes the source category
+ * @param {string} sourceName - Category to fold away
+ * @param {string} targetName - Existing category that receives its records
+ * @returns {Promise<number>} Promise that resolves to the number of cost records rewritten
+ */
+export const mergeCategories = async function(sourceName, targetName) {
+    if (sourceName === targetName) {
+        throw new Error('Cannot merge a category into itself');
+    }
+    const rewritten = await moveCategory(sourceName, targetName, true);
+    notify();
+    return rewritten;
+};
+
+/**
+ * Builds a lookup of category colours
+ * @param {Array} categories - Category records
+ * @returns {Object} Colour per category name
+ */
+export const getCategoryColors = function(categories) {
+    const colors = {};
+    categories.forEach(category => {
+        colors[category.name] = category.color;
+    });
+    return colors;
+};
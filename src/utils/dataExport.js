@@ -0,0 +1,268 @@
+/**
+ * Data export - writes stored costs to CSV, JSON or OFX files
+ * The JSON format keeps every stored field so it can be read back losslessly;
+ * CSV and OFX are meant for spreadsheets and personal-finance software.
+ */
+
+import { getCosts } from './idb';
+import { getAccounts } from './accounts';
+import { convertCurrency } from '../services/currencyService';
+import { normalizeCurrencyCode, getCurrencyInfo } from '../services/currencyRegistry';
+
+// Identifies files written by exportCosts so an import can recognise them
+export const EXPORT_FILE_TYPE = 'cost-manager-export';
+export const EXPORT_FILE_VERSION = 1;
+
+// Supported formats with their file extension and MIME type
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV (spreadsheet)', extension: 'csv', mimeType: 'text/csv' },
+    json: { label: 'JSON (lossless)', extension: 'json', mimeType: 'application/json' },
+    ofx: { label: 'OFX (finance software)', extension: 'ofx', mimeType: 'application/x-ofx' }
+};
+
+/**
+ * Loads the costs of a range, optionally converted to one currency
+ * @param {Object} options - Export options
+ * @param {string} [options.from] - First 'YYYY-MM-DD' day to include
+ * @param {string} [options.to] - Last 'YYYY-MM-DD' day to include
+ * @param {string} [options.currency] - Target currency; omit to keep each cost's own currency
+ * @param {string} [options.rateMode] - 'current' or 'historical', passed to convertCurrency
+ * @returns {Promise<Array>} Stored records; converted ones also carry originalSum, originalCurrency and rate
+ */
+const loadExportCosts = async function(options) {
+    if (options.from && options.to && options.from > options.to) {
+        throw new Error('The start date must not be after the end date');
+    }
+
+    const costs = await getCosts({ from: options.from, to: options.to });
+    if (!options.currency) {
+        return costs;
+    }
+
+    const converted = await convertCurrency({ costs }, options.currency, { rateMode: options.rateMode });
+    // A file with zeroed amounts would be worse than none
+    if (converted.unconverted.length > 0) {
+        throw new Error(`No exchange rate for ${converted.unconverted.join(', ')}; export without conversion instead`);
+    }
+    return converted.costs;
+};
+
+/**
+ * Rounds an amount to the number of decimals its currency uses
+ * @param {number} amount - Amount to round
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Fixed-point amount without grouping separators
+ */
+const toFixedAmount = function(amount, currency) {
+    return Number(amount).toFixed(getCurrencyInfo(currency).decimals);
+};
+
+/**
+ * Formats an exchange rate without float noise
+ * @param {number} rate - Target units per original unit
+ * @returns {string} Rate with up to 8 significant digits
+ */
+const formatRate = function(rate) {
+    return String(Number(rate.toPrecision(8)));
+};
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+const escapeCsvField = function(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats costs as CSV with a header row
+ * @param {Array} costs - Records from loadExportCosts
+ * @returns {string} CSV text
+ */
+export const toCsv = function(costs) {
+    const converted = costs.some(cost => 'originalSum' in cost);
+    const header = ['Date', 'Type', 'Category', 'Description', 'Sum', 'Currency'];
+    if (converted) {
+        header.push('Original Sum', 'Original Currency', 'Rate');
+    }
+
+    const rows = costs.map(cost => {
+        const row = [cost.date, cost.type, cost.category, cost.description, toFixedAmount(cost.sum, cost.currency), cost.currency];
+        if (converted) {
+            row.push(toFixedAmount(cost.originalSum, cost.originalCurrency), cost.originalCurrency, formatRate(cost.rate));
+        }
+        return row.map(escapeCsvField).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+};
+// CRLF line endings as RFC 4180 specifies; spreadsheets accept either
+
+/**
+ * Formats costs as the lossless JSON export
+ * @param {Array} costs - Records from loadExportCosts
+ * @param {Object} options - The export options, recorded in the file
+ * @param {Array} [accounts] - Account records; the id and name of those the costs use are
+ *   recorded so an import elsewhere can find the same accounts by name
+ * @returns {string} JSON text
+ */
+export const toJson = function(costs, options, accounts = []) {
+    const usedIds = new Set(costs.map(cost => cost.accountId));
+    return JSON.stringify({
+        type: EXPORT_FILE_TYPE,
+        version: EXPORT_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        from: options.from || null,
+        to: options.to || null,
+        currency: options.currency ? normalizeCurrencyCode(options.currency) : null,
+        accounts: accounts.filter(account => usedIds.has(account.id)).map(account => ({ id: account.id, name: account.name })),
+        costs: costs
+    }, null, 2);
+};
+
+/**
+ * Escapes text for an OFX (SGML) element
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeOfx = function(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+};
+
+/**
+ * Formats a 'YYYY-MM-DD' key as an OFX date
+ * @param {string} dateKey - Date key
+ * @returns {string} 'YYYYMMDD'
+ */
+const toOfxDate = function(dateKey) {
+    return dateKey.replace(/-/g, '');
+};
+
+/**
+ * Formats costs as an OFX 1.0.2 bank statement
+ * @param {Array} costs - Records from loadExportCosts, all in one currency
+ * @param {Object} options - The export options (from/to bound the statement)
+ * @returns {string} OFX text
+ */
+export const toOfx = function(costs, options) {
+    // An OFX statement has a single currency, so mixed currencies need a target currency
+    const currencies = Array.from(new Set(costs.map(cost => cost.currency)));
+    if (currencies.length > 1) {
+        throw new Error('OFX files hold a single currency; choose a currency to convert to');
+    }
+    const currency = currencies[0] || normalizeCurrencyCode(options.currency || 'USD');
+
+    const dates = costs.map(cost => cost.date);
+    const start = options.from || dates[0] || '';
+    const end = options.to || dates[dates.length - 1] || '';
+    const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+    // Expenses are debits and income credits, signed the way bank statements sign them
+    const transactions = costs.map(cost => [
+        '<STMTTRN>',
+        cost.type === 'income' ? '<TRNTYPE>CREDIT' : '<TRNTYPE>DEBIT',
+        `<DTPOSTED>${toOfxDate(cost.date)}`,
+        `<TRNAMT>${cost.type === 'income' ? '' : '-'}${toFixedAmount(cost.sum, cost.currency)}`,
+        `<FITID>${cost.id}`,
+        `<NAME>${escapeOfx(cost.description.slice(0, 32))}`,
+        `<MEMO>${escapeOfx(cost.category)}`,
+        // Converted lines name the currency they were paid in and the rate to CURDEF
+        ...(cost.originalCurrency && cost.originalCurrency !== cost.currency
+            ? [`<ORIGCURRENCY><CURRATE>${formatRate(cost.rate)}<CURSYM>${cost.originalCurrency}</ORIGCURRENCY>`]
+            : []),
+        '</STMTTRN>'
+    ].join('\n'));
+
+    return [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        'VERSION:102',
+        'SECURITY:NONE',
+        'ENCODING:USASCII',
+        'CHARSET:1252',
+        'COMPRESSION:NONE',
+        'OLDFILEUID:NONE',
+        'NEWFILEUID:NONE',
+        '',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS>',
+        '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        `<DTSERVER>${now}`,
+        '<LANGUAGE>ENG',
+        '</SONRS></SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1><STMTTRNRS>',
+        '<TRNUID>0',
+        '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+        '<STMTRS>',
+        `<CURDEF>${currency}`,
+        '<BANKACCTFROM><BANKID>COSTMANAGER<ACCTID>COSTS<ACCTTYPE>CHECKING</BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        `<DTSTART>${toOfxDate(start)}`,
+        `<DTEND>${toOfxDate(end)}`,
+        ...transactions,
+        '</BANKTRANLIST>',
+        '</STMTRS>',
+        '</STMTTRNRS></BANKMSGSRSV1>',
+        '</OFX>',
+        ''
+    ].join('\n');
+};
+// Expenses are exported as debits and income as credits; the cost id doubles as the unique transaction id (FITID)
+
+/**
+ * Builds an export file without saving it
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} [options] - from, to, currency and rateMode (see loadExportCosts)
+ * @returns {Promise<Object>} Promise that resolves to { filename, mimeType, content, count }
+ */
+export const buildExport = async function(format, options = {}) {
+    const definition = EXPORT_FORMATS[format];
+    if (!definition) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const costs = await loadExportCosts(options);
+    // Only the JSON export names the accounts of its costs
+    const accounts = format === 'json' ? await getAccounts() : [];
+    const writers = { csv: toCsv, json: toJson, ofx: toOfx };
+    const range = options.from || options.to
+        ? `${options.from || 'start'}_${options.to || 'today'}`
+        : 'all';
+
+    return {
+        filename: `costs-${range}.${definition.extension}`,
+        mimeType: definition.mimeType,
+        content: writers[format](costs, options, accounts),
+        count: costs.length
+    };
+};
+
+/**
+ * Offers a file to the user as a browser download
+ * @param {Object} file - filename, mimeType and content
+ */
+export const downloadFile = function(file) {
+    const blob = new Blob([file.content], { type: file.mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Exports costs and downloads the resulting file
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} [options] - from, to, currency and rateMode (see loadExportCosts)
+ * @returns {Promise<number>} Promise that resolves to the number of exported costs
+ */
+export const exportCosts = async function(format, options = {}) {
+    const file = await buildExport(format, options);
+    downloadFile(file);
+    return file.count;
+};
@@ -0,0 +1,367 @@
+/**
+ * Data import - reads CSV, OFX and QIF files into costs
+ * Every file is first turned into a table of text cells so the same column mapping,
+ * validation and duplicate detection apply whatever the source format.
+ */
+
+import { getCosts, createCostRecord, addCosts } from './idb';
+import { getAccounts } from './accounts';
+import { toDateKey, fromDateKey } from './dates';
+import { normalizeCurrencyCode } from '../services/currencyRegistry';
+import { EXPORT_FILE_TYPE } from './dataExport';
+
+// Cost fields a column can be mapped to
+export const IMPORT_FIELDS = ['date', 'sum', 'currency', 'category', 'description', 'type'];
+
+// Orders of day, month and year accepted for dates that are not 'YYYY-MM-DD'
+export const DATE_FORMATS = {
+    YMD: 'Year-Month-Day',
+    DMY: 'Day/Month/Year',
+    MDY: 'Month/Day/Year'
+};
+
+/**
+ * Splits CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows; quoted fields may contain separators, quotes and line breaks
+ */
+export const parseCsv = function(text) {
+    // Pick the separator that occurs most often in the first line (comma, semicolon or tab)
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    );
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            // Quotes only have a special meaning at the start of a field
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Reads the transactions of an OFX file (SGML 1.x or XML 2.x)
+ * @param {string} text - OFX text
+ * @returns {Object} Table with columns Date, Amount, Payee, Memo and Currency
+ */
+export const parseOfx = function(text) {
+    // SGML elements may omit their closing tag, so each value runs to the next '<'
+    const readTag = (block, tag) => {
+        const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&') : '';
+    };
+
+    const currency = readTag(text, 'CURDEF');
+    const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+    const rows = blocks.map(block => {
+        // DTPOSTED is YYYYMMDD optionally followed by a time and time zone
+        const posted = readTag(block, 'DTPOSTED').slice(0, 8);
+        return [
+            posted.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3'),
+            readTag(block, 'TRNAMT'),
+            readTag(block, 'NAME') || readTag(block, 'PAYEE'),
+            readTag(block, 'MEMO'),
+            readTag(block, 'CURRENCY') ? readTag(block, 'CURSYM') : currency
+        ];
+    });
+
+    return { columns: ['Date', 'Amount', 'Payee', 'Memo', 'Currency'], rows };
+};
+
+/**
+ * Reads the transactions of a QIF file
+ * @param {string} text - QIF text
+ * @returns {Object} Table with columns Date, Amount, Payee, Memo and Category
+ */
+export const parseQif = function(text) {
+    const rows = [];
+    let entry = {};
+    text.split(/\r?\n/).forEach(line => {
+        const code = line.charAt(0);
+        const value = line.slice(1).trim();
+        if (code === '^') {
+            if (entry.D || entry.T) {
+                rows.push([entry.D || '', entry.T || entry.U || '', entry.P || '', entry.M || '', entry.L || '']);
+            }
+            entry = {};
+        } else if (code && code !== '!') {
+            entry[code] = value;
+        }
+    });
+
+    // QIF writes two-digit years as 1/31'25; make them plain four-digit dates
+    rows.forEach(row => {
+        row[0] = row[0].replace(/'\s*(\d{2})$/, '/20$1').replace(/'/g, '/');
+    });
+
+    return { columns: ['Date', 'Amount', 'Payee', 'Memo', 'Category'], rows };
+};
+
+/**
+ * Reads an import file into a table
+ * @param {string} filename - Name of the file, used to recognise its format
+ * @param {string} text - File contents
+ * @returns {Object} { format, columns, rows } where rows are arrays of text cells
+ */
+export const readImportFile = function(filename, text) {
+    const extension = (filename.split('.').pop() || '').toLowerCase();
+
+    if (extension === 'ofx' || extension === 'qfx' || /^\s*(OFXHEADER|<\?xml|<OFX>)/i.test(text)) {
+        return { format: 'ofx', ...parseOfx(text) };
+    }
+    if (extension === 'qif' || /^\s*!Type:/i.test(text)) {
+        return { format: 'qif', ...parseQif(text) };
+    }
+    if (extension === 'json') {
+        // The lossless JSON export already holds named fields; lay them out as a table
+        const data = JSON.parse(text);
+        if (!data || data.type !== EXPORT_FILE_TYPE || !Array.isArray(data.costs)) {
+            throw new Error('Not a Cost Manager export file');
+        }
+        const columns = ['Date', 'Type', 'Sum', 'Currency', 'Category', 'Description'];
+        const rows = data.costs.map(cost => [
+            cost.date, cost.type || 'expense', String(cost.sum), cost.currency, cost.category, cost.description
+        ]);
+        // Fields that have no column are carried over to each row's cost; account ids from another
+        // browser mean nothing here, so the account travels by name and is matched on import
+        const accountNames = new Map((data.accounts || []).map(account => [account.id, account.name]));
+        const extras = data.costs.map(cost => ({ tags: cost.tags, accountName: accountNames.get(cost.accountId) }));
+        return { format: 'json', columns, rows, extras };
+    }
+
+    const [columns = [], ...rows] = parseCsv(text);
+    return { format: 'csv', columns: columns.map(column => column.trim()), rows };
+};
+
+// Header names (lowercase) recognised for each field when guessing the mapping
+const FIELD_ALIASES = {
+    date: ['date', 'day', 'transaction date', 'posted', 'posting date', 'booking date'],
+    sum: ['sum', 'amount', 'value', 'debit', 'total', 'price'],
+    currency: ['currency', 'curr', 'ccy'],
+    category: ['category', 'group'],
+    description: ['description', 'payee', 'name', 'memo', 'details', 'narrative', 'text'],
+    type: ['type', 'entry type', 'kind']
+};
+
+// Cell values read as each entry type; bank files often say debit and credit
+const TYPE_ALIASES = {
+    expense: ['expense', 'debit'],
+    income: ['income', 'credit']
+};
+
+/**
+ * Reads the entry type of a row
+ * @param {string} value - Type cell
+ * @returns {string|null} 'expense' or 'income', or null when the value is not recognised
+ */
+const readEntryType = function(value) {
+    const text = value.toLowerCase();
+    return Object.keys(TYPE_ALIASES).find(type => TYPE_ALIASES[type].includes(text)) || null;
+};
+
+/**
+ * Guesses which column holds each field from the header names
+ * @param {Array<string>} columns - Column headers
+ * @returns {Object} Column index per field, or -1 when no column matches
+ */
+export const guessMapping = function(columns) {
+    const headers = columns.map(column => column.trim().toLowerCase());
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        mapping[field] = FIELD_ALIASES[field].reduce(
+            (found, alias) => (found !== -1 ? found : headers.indexOf(alias)),
+            -1
+        );
+    });
+    return mapping;
+};
+
+/**
+ * Parses an amount such as '1,234.50', '-12.00', '1.234,50' or '$ 12'
+ * @param {string} value - Amount text
+ * @returns {number} Parsed amount, NaN when unreadable
+ */
+export const parseAmount = function(value) {
+    let text = String(value || '').replace(/[^\d.,()-]/g, '');
+    // Accounting style (12.00) means a negative amount
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    text = text.replace(/[()-]/g, '');
+
+    // The last separator followed by one or two digits is the decimal point
+    const decimal = text.match(/[.,](\d{1,2})$/);
+    const whole = decimal ? text.slice(0, -decimal[0].length) : text;
+    const normalized = whole.replace(/[.,]/g, '') + (decimal ? `.${decimal[1]}` : '');
+    if (!/\d/.test(normalized)) {
+        return NaN;
+    }
+    return (negative ? -1 : 1) * Number(normalized);
+};
+
+/**
+ * Parses a date in the given field order into a 'YYYY-MM-DD' key
+ * @param {string} value - Date text, e.g. '2025-03-05', '20250305' or '05/03/2025'
+ * @param {string} dateFormat - Key of DATE_FORMATS used for dates that are not year-first
+ * @returns {string|null} Date key, or null when the date is invalid
+ */
+export const parseDate = function(value, dateFormat) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-?(\d{1,2})-?(\d{1,2})(?:[T\s].*)?$/);
+    if (match) {
+        return toValidKey(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+
+    match = text.match(/^(\d{1,4})[/.\s-](\d{1,2})[/.\s-](\d{1,4})$/);
+    if (!match) {
+        return null;
+    }
+    const parts = match.slice(1).map(Number);
+    const [year, month, day] = {
+        YMD: [parts[0], parts[1], parts[2]],
+        DMY: [parts[2], parts[1], parts[0]],
+        MDY: [parts[2], parts[0], parts[1]]
+    }[dateFormat];
+    return toValidKey(year < 100 ? 2000 + year : year, month, day);
+};
+
+/**
+ * Builds a date key and checks that the date exists
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {string|null} Date key, or null for impossible dates
+ */
+const toValidKey = function(year, month, day) {
+    const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return fromDateKey(key) ? key : null;
+};
+
+/**
+ * Turns table rows into costs using a column mapping and validates each one
+ * @param {Object} table - Table from readImportFile
+ * @param {Object} mapping - Column index per field (-1 for unmapped)
+ * @param {Object} defaults - currency, category (of expenses), incomeCategory and dateFormat used
+ *   for unmapped columns
+ * @returns {Array} One entry per row: { line, cost, error } where error is null for valid rows
+ */
+export const buildImportRows = function(table, mapping, defaults) {
+    // Bank statements sign amounts: withdrawals are negative expenses and deposits are income
+    const signed = table.format === 'ofx' || table.format === 'qif';
+    const cell = (row, field) => (mapping[field] >= 0 ? String(row[mapping[field]] || '').trim() : '');
+
+    return table.rows.map((row, index) => {
+        const amount = parseAmount(cell(row, 'sum'));
+        // An unmapped date means today; a mapped but empty one is an error, not today
+        const dateText = cell(row, 'date');
+        const date = mapping.date >= 0 ? parseDate(dateText, defaults.dateFormat) : toDateKey(new Date());
+        const typeText = cell(row, 'type');
+        let type = typeText ? readEntryType(typeText) : 'expense';
+        if (signed) {
+            type = amount > 0 ? 'income' : 'expense';
+        }
+        const cost = {
+            ...(table.extras ? table.extras[index] : {}),
+            type: type || 'expense',
+            sum: Math.abs(amount),
+            currency: normalizeCurrencyCode(cell(row, 'currency') || defaults.currency),
+            category: cell(row, 'category') || (type === 'income' ? defaults.incomeCategory : defaults.category),
+            description: cell(row, 'description'),
+            date: date
+        };
+
+        let error = null;
+        if (isNaN(amount)) {
+            error = `Unreadable sum: ${cell(row, 'sum') || '(empty)'}`;
+        } else if (!date) {
+            error = `Unreadable date: ${dateText || '(empty)'}`;
+        } else if (!type) {
+            error = `Unknown entry type: ${typeText}`;
+        } else {
+            // Same checks addCost runs, so a row that previews as valid is stored as shown
+            try {
+                createCostRecord(cost);
+            } catch (validationError) {
+                error = validationError.message;
+            }
+        }
+
+        // Line numbers count the header row of CSV files
+        return { line: index + (table.format === 'csv' ? 2 : 1), cost, error };
+    });
+};
+
+/**
+ * Marks rows that probably repeat an existing cost or an earlier row of the same file
+ * @param {Array} rows - Rows from buildImportRows
+ * @returns {Promise<Array>} Promise that resolves to the rows with a boolean duplicate flag
+ */
+export const findDuplicates = async function(rows) {
+    const dates = rows.filter(row => !row.error).map(row => row.cost.date).sort();
+    if (dates.length === 0) {
+        return rows.map(row => ({ ...row, duplicate: false }));
+    }
+
+    // Same day, same amount (to the cent) and same currency counts as a likely duplicate
+    const keyOf = cost => `${cost.date}|${Number(cost.sum).toFixed(2)}|${normalizeCurrencyCode(cost.currency)}`;
+    const existing = await getCosts({ from: dates[0], to: dates[dates.length - 1] });
+    const seen = new Set(existing.map(keyOf));
+
+    return rows.map(row => {
+        if (row.error) {
+            return { ...row, duplicate: false };
+        }
+        const key = keyOf(row.cost);
+        const duplicate = seen.has(key);
+        seen.add(key);
+        return { ...row, duplicate };
+    });
+};
+
+/**
+ * Stores the chosen rows in a single transaction
+ * Costs that name an account are paid from the account of that name here, or from none when
+ * there is no such account.
+ * @param {Array} rows - Valid rows from buildImportRows
+ * @returns {Promise<number>} Promise that resolves to the number of imported costs
+ */
+export const importRows = async function(rows) {
+    const accountIds = new Map((await getAccounts()).map(account => [account.name.toLowerCase(), account.id]));
+    return addCosts(rows.map(({ cost: { accountName, ...cost } }) => ({
+        ...cost,
+        accountId: accountName ? accountIds.get(accountName.toLowerCase()) || null : null
+    })));
+};
@@ -0,0 +1,168 @@
+/**
+ * Date helpers shared by the IndexedDB modules and the report screens
+ * Calendar dates are stored as local 'YYYY-MM-DD' keys so they sort correctly
+ */
+
+/**
+ * Formats a date as a 'YYYY-MM-DD' key
+ * @param {Date} date - Date to format (local time)
+ * @returns {string} Date key
+ */
+export const toDateKey = function(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parses a 'YYYY-MM-DD' key into a local date at noon
+ * @param {string} key - Date key
+ * @returns {Date|null} Parsed date, or null for malformed or impossible dates
+ */
+export const fromDateKey = function(key) {
+    if (typeof key !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(key)) {
+        return null;
+    }
+    const [year, month, day] = key.split('-').map(Number);
+    // Noon keeps the day stable when the date is later converted to UTC
+    const date = new Date(year, month - 1, day, 12);
+    const matches = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    return matches ? date : null;
+};
+
+/**
+ * Gets the number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in that month
+ */
+export const daysInMonth = function(year, month) {
+    return new Date(year, month, 0).getDate();
+};
+
+/**
+ * Moves a date key by a number of days
+ * @param {string} key - Date key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Resulting date key
+ */
+export const addDays = function(key, days) {
+    const date = fromDateKey(key);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+
+// Periods a date range can be grouped into; weeks start on Monday
+export const GROUPINGS = {
+    day: 'Day',
+    week: 'Week',
+    month: 'Month'
+};
+
+/**
+ * Gets the first day of the period a date falls in
+ * @param {string} key - Date key
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {string} Date key of the period start
+ */
+export const getPeriodStart = function(key, groupBy) {
+    if (groupBy === 'month') {
+        return `${key.slice(0, 7)}-01`;
+    }
+    if (groupBy === 'week') {
+        // getDay() counts from Sunday; shift so Monday is 0
+        return addDays(key, -((fromDateKey(key).getDay() + 6) % 7));
+    }
+    return key;
+};
+
+/**
+ * Lists every period of a date range, including periods without costs
+ * The first and last periods are clipped to the range.
+ * @param {string} from - First day of the range
+ * @param {string} to - Last day of the range
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {Array<Object>} Periods as { key, from, to }, oldest first; key is the period start
+ */
+export const listPeriods = function(from, to, groupBy) {
+    const periods = [];
+    let key = getPeriodStart(from, groupBy);
+    while (key <= to) {
+        let next;
+        if (groupBy === 'month') {
+            const date = fromDateKey(key);
+            next = toDateKey(new Date(date.getFullYear(), date.getMonth() + 1, 1));
+        } else {
+            next = addDays(key, groupBy === 'week' ? 7 : 1);
+        }
+        const last = addDays(next, -1);
+        periods.push({ key, from: key < from ? from : key, to: last > to ? to : last });
+        key = next;
+    }
+    return periods;
+};
+
+// Report ranges offered next to the calendar month; 'custom' takes explicit from/to dates
+export const RANGE_PRESETS = {
+    month: 'Calendar month',
+    last30: 'Last 30 days',
+    quarter: 'Quarter to date',
+    year: 'Year to date',
+    custom: 'Custom range'
+};
+
+/**
+ * Works out the dates a report period covers
+ * @param {Object} period - Selection from the period controls
+ * @param {string} period.preset - Key of RANGE_PRESETS
+ * @param {number} [period.year] - Year of the 'month' preset
+ * @param {number} [period.month] - Month (1-12) of the 'month' preset
+ * @param {string} [period.from] - First day of the 'custom' preset
+ * @param {string} [period.to] - Last day of the 'custom' preset
+ * @param {Date} [today] - Reference day for the rolling presets
+ * @returns {Object} Inclusive range as { from, to } date keys
+ * @throws {Error} When the preset is unknown or the custom dates are missing or reversed
+ */
+export const resolveRange = function(period, today = new Date()) {
+    const todayKey = toDateKey(today);
+    switch (period.preset) {
+        case 'month':
+            return {
+                from: toDateKey(new Date(period.year, period.month - 1, 1)),
+                to: toDateKey(new Date(period.year, period.month, 0))
+            };
+        case 'last30':
+            return { from: addDays(todayKey, -29), to: todayKey };
+        case 'quarter':
+            return {
+                from: toDateKey(new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 1)),
+                to: todayKey
+            };
+        case 'year':
+            return { from: `${today.getFullYear()}-01-01`, to: todayKey };
+        case 'custom':
+            if (!fromDateKey(period.from) || !fromDateKey(period.to)) {
+                throw new Error('Choose both dates of the custom range');
+            }
+            if (period.from > period.to) {
+                throw new Error('The start date must not be after the end date');
+            }
+            return { from: period.from, to: period.to };
+        default:
+            throw new Error(`Unknown report period: ${period.preset}`);
+    }
+};
+
+/**
+ * Labels a period for chart axes and report headings
+ * @param {string} key - Period start from listPeriods
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {string} Short label in the browser's locale, e.g. 'Mar 2026' or 'Mar 9'
+ */
+export const formatPeriodLabel = function(key, groupBy) {
+    const date = fromDateKey(key);
+    if (groupBy === 'month') {
+        return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+    }
+    return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
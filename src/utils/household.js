@@ -0,0 +1,335 @@
+/**
+ * Household - members who share costs, who paid each shared cost and how it is split
+ * A shared cost carries 'paidBy' (a member name) and 'split' ({ mode, shares }); payments
+ * between members are kept in the 'settlements' store. Both stores come with version 9.
+ * Balances are positive for members who are owed money and negative for those who owe.
+ */
+
+import { openCostsDB, getCosts } from './idb';
+import { toDateKey, fromDateKey } from './dates';
+import { fetchExchangeRates, convertAmount, hasRate } from '../services/currencyService';
+import { getCurrencyInfo, isCurrencyCode, normalizeCurrencyCode } from '../services/currencyRegistry';
+
+// Ways a shared cost can be divided, with their labels
+export const SPLIT_MODES = {
+    equal: 'Equally',
+    percent: 'By percentage',
+    exact: 'Exact amounts'
+};
+
+const listeners = new Set();
+// Components subscribe so member pickers refresh after members are added or removed
+
+/** Notifies subscribers that the members changed. */
+const notify = function() {
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Subscribes to member changes
+ * @param {function} listener - Called with no arguments on every change
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeMembers = function(listener) {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/**
+ * Validates who paid a cost and how it is split
+ * @param {Object} cost - Cost with sum and optional paidBy and split ({ mode, shares })
+ * @returns {{paidBy: string|null, split: Object|null}} Normalized fields; both null for a
+ *   personal cost. Equal splits store 1 per member; zero shares are dropped.
+ * @throws {Error} When only one of the two is given or the shares do not add up
+ */
+export const normalizeSharing = function(cost) {
+    const hasPayer = cost.paidBy !== undefined && cost.paidBy !== null && cost.paidBy !== '';
+    const hasSplit = cost.split !== undefined && cost.split !== null;
+    if (!hasPayer && !hasSplit) {
+        return { paidBy: null, split: null };
+    }
+    if (!hasPayer || !hasSplit) {
+        throw new Error('A shared cost needs both who paid and how it is split');
+    }
+
+    const { mode, shares } = cost.split;
+    if (!SPLIT_MODES[mode]) {
+        throw new Error(`Unknown split mode: ${mode}`);
+    }
+    if (!shares || typeof shares !== 'object') {
+        throw new Error('Choose who shares the cost');
+    }
+
+    const normalized = {};
+    Object.entries(shares).forEach(([name, share]) => {
+        const value = Number(share);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid share for ${name}`);
+        }
+        if (value > 0) {
+            normalized[String(name).trim()] = mode === 'equal' ? 1 : value;
+        }
+    });
+    if (Object.keys(normalized).length === 0) {
+        throw new Error('Choose who shares the cost');
+    }
+
+    const total = Object.values(normalized).reduce((sum, value) => sum + value, 0);
+    if (mode === 'percent' && Math.abs(total - 100) > 0.01) {
+        throw new Error('Percentages must add up to 100');
+    }
+    if (mode === 'exact' && Math.abs(total - Number(cost.sum)) > 0.005) {
+        throw new Error('Exact amounts must add up to the sum of the cost');
+    }
+
+    return {
+        paidBy: String(cost.paidBy).trim(),
+        split: { mode, shares: normalized }
+    };
+};
+// Member names are not looked up here, so imported and restored costs are accepted as they are
+
+/**
+ * Works out how much of a shared cost each member bears
+ * @param {Object} cost - Stored cost with sum and split
+ * @returns {Object} Amount per member name, in the cost's own currency
+ */
+export const getShares = function(cost) {
+    const { mode, shares } = cost.split;
+    const names = Object.keys(shares);
+    const amounts = {};
+    names.forEach(name => {
+        if (mode === 'equal') {
+            amounts[name] = cost.sum / names.length;
+        } else if (mode === 'percent') {
+            amounts[name] = cost.sum * shares[name] / 100;
+        } else {
+            amounts[name] = shares[name];
+        }
+    });
+    return amounts;
+};
+
+/**
+ * Runs a single request against a household store
+ * @param {string} storeName - 'members' or 'settlements'
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function} makeRequest - Receives the store and returns an IDBRequest
+ * @param {string} errorMessage - Message used when the request fails
+ * @returns {Promise} Promise that resolves to the request result
+ */
+const runRequest = function(storeName, mode, makeRequest, errorMessage) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction([storeName], mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+
+            request.onerror = function() {
+                reject(new Error(errorMessage));
+            };
+        }).catch(reject);
+    });
+};
+
+/**
+ * Gets all members sorted by name
+ * @returns {Promise<Array>} Promise that resolves to member records ({ name, dateAdded })
+ */
+export const getMembers = async function() {
+    return (await runRequest('members', 'readonly', store => store.getAll(), 'Failed to get members')) || [];
+};
+
+/**
+ * Adds a member
+ * @param {string} name - Member name, used as is apart from surrounding spaces
+ * @returns {Promise} Promise that resolves to the stored member
+ */
+export const addMember = async function(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        throw new Error('Member name is required');
+    }
+
+    const record = { name: trimmed, dateAdded: new Date().toISOString() };
+    await runRequest('members', 'readwrite', store => store.add(record), 'Member already exists');
+    notify();
+    return record;
+};
+
+/**
+ * Removes a member who is not part of any shared cost or settlement
+ * @param {string} name - Member name
+ * @returns {Promise} Promise that resolves once the member is removed
+ */
+export const removeMember = async function(name) {
+    const [costs, settlements] = await Promise.all([getCosts(), getSettlements()]);
+    const used = costs.some(cost => cost.paidBy === name || (cost.split && name in cost.split.shares))
+        || settlements.some(settlement => settlement.from === name || settlement.to === name);
+    if (used) {
+        throw new Error(`${name} is part of shared costs or settlements and cannot be removed`);
+    }
+
+    await runRequest('members', 'readwrite', store => store.delete(name), 'Failed to remove member');
+    notify();
+};
+// Keeping members with history means old balances always add up
+
+/**
+ * Records a payment from one member to another
+ * @param {Object} settlement - from, to, amount, currency and optional date ('YYYY-MM-DD', default today)
+ * @returns {Promise} Promise that resolves to the stored settlement with its id
+ */
+export const addSettlement = async function(settlement) {
+    const amount = Number(settlement.amount);
+    if (!settlement.from || !settlement.to || settlement.from === settlement.to) {
+        throw new Error('A settlement needs two different members');
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error('Amount must be a positive number');
+    }
+    if (!isCurrencyCode(settlement.currency)) {
+        throw new Error('Invalid currency code');
+    }
+    const date = settlement.date ? fromDateKey(settlement.date) : new Date();
+    if (!date) {
+        throw new Error('Invalid settlement date');
+    }
+
+    const record = {
+        from: settlement.from,
+        to: settlement.to,
+        amount: amount,
+        currency: normalizeCurrencyCode(settlement.currency),
+        date: toDateKey(date)
+    };
+    const id = await runRequest('settlements', 'readwrite', store => store.add(record), 'Failed to record settlement');
+    return { ...record, id };
+};
+
+/**
+ * Gets the settlements of a date range, oldest first
+ * @param {Object} [range] - Inclusive 'YYYY-MM-DD' from and to; omit either end to leave it open
+ * @returns {Promise<Array>} Promise that resolves to the settlement records
+ */
+export const getSettlements = function(range = {}) {
+    let keyRange = null;
+    if (range.from && range.to) {
+        keyRange = IDBKeyRange.bound(range.from, range.to);
+    } else if (range.from) {
+        keyRange = IDBKeyRange.lowerBound(range.from);
+    } else if (range.to) {
+        keyRange = IDBKeyRange.upperBound(range.to);
+    }
+    return runRequest('settlements', 'readonly', store => store.index('date').getAll(keyRange), 'Failed to get settlements')
+        .then(settlements => settlements || []);
+};
+
+/**
+ * Deletes a settlement
+ * @param {number} id - Settlement id
+ * @returns {Promise} Promise that resolves once it is deleted
+ */
+export const deleteSettlement = function(id) {
+    return runRequest('settlements', 'readwrite', store => store.delete(id), 'Failed to delete settlement');
+};
+
+/**
+ * Suggests the payments that clear a set of balances
+ * The largest debt is always paid to the largest creditor, which needs at most one transfer
+ * fewer than there are members with a balance.
+ * @param {Array<{name: string, balance: number}>} balances - Balances in one currency
+ * @param {string} currency - Currency of the balances, for rounding to its minor unit
+ * @returns {Array<{from: string, to: string, amount: number}>} Transfers, largest first
+ */
+export const settleUp = function(balances, currency) {
+    // Work in whole minor units so rounding dust does not produce tiny transfers
+    const factor = Math.pow(10, getCurrencyInfo(currency).decimals);
+    const toUnits = entries => entries
+        .map(entry => ({ name: entry.name, units: Math.round(Math.abs(entry.balance) * factor) }))
+        .filter(entry => entry.units > 0)
+        .sort((a, b) => b.units - a.units || a.name.localeCompare(b.name));
+    const debtors = toUnits(balances.filter(entry => entry.balance < 0));
+    const creditors = toUnits(balances.filter(entry => entry.balance > 0));
+
+    const transfers = [];
+    while (debtors.length > 0 && creditors.length > 0) {
+        const debtor = debtors[0];
+        const creditor = creditors[0];
+        const units = Math.min(debtor.units, creditor.units);
+        transfers.push({ from: debtor.name, to: creditor.name, amount: units / factor });
+
+        debtor.units -= units;
+        creditor.units -= units;
+        if (debtor.units === 0) debtors.shift();
+        if (creditor.units === 0) creditors.shift();
+        // Keep the largest remaining amounts first
+        debtors.sort((a, b) => b.units - a.units);
+        creditors.sort((a, b) => b.units - a.units);
+    }
+    return transfers;
+};
+
+/**
+ * Works out who owes whom for the shared costs and settlements of a date range
+ * Every amount is converted to the chosen currency at the latest known rates; costs and
+ * settlements in a currency without a rate are left out of the balances.
+ * @param {string} from - First day ('YYYY-MM-DD')
+ * @param {string} to - Last day ('YYYY-MM-DD')
+ * @param {string} currency - Currency of the balances
+ * @returns {Promise<Object>} Promise that resolves to { from, to, currency, balances, transfers,
+ *   unconverted }, where each balance is { name, paid, share, settled, balance }, transfers come
+ *   from settleUp and unconverted lists the currencies that were left out
+ */
+export const getBalances = async function(from, to, currency) {
+    const [costs, settlements, members] = await Promise.all([
+        getCosts({ from, to }),
+        getSettlements({ from, to }),
+        getMembers()
+    ]);
+    const rates = await fetchExchangeRates();
+    const convert = (amount, code) => convertAmount(amount, code, currency, rates);
+    // Leaving one side of a shared cost out would skew the balances, so a cost counts fully or not at all
+    const unconverted = new Set();
+    const convertible = code => {
+        if (hasRate(code, currency, rates)) {
+            return true;
+        }
+        unconverted.add(normalizeCurrencyCode(code));
+        return false;
+    };
+
+    const entries = {};
+    const entryFor = name => {
+        if (!entries[name]) {
+            entries[name] = { name, paid: 0, share: 0, settled: 0, balance: 0 };
+        }
+        return entries[name];
+    };
+    members.forEach(member => entryFor(member.name));
+
+    costs.filter(cost => cost.paidBy && cost.split && convertible(cost.currency)).forEach(cost => {
+        entryFor(cost.paidBy).paid += convert(cost.sum, cost.currency);
+        Object.entries(getShares(cost)).forEach(([name, amount]) => {
+            entryFor(name).share += convert(amount, cost.currency);
+        });
+    });
+
+    // Paying someone back raises the payer's balance and lowers the receiver's
+    settlements.filter(settlement => convertible(settlement.currency)).forEach(settlement => {
+        const amount = convert(settlement.amount, settlement.currency);
+        entryFor(settlement.from).settled += amount;
+        entryFor(settlement.to).settled -= amount;
+    });
+
+    const balances = Object.values(entries)
+        .map(entry => ({ ...entry, balance: entry.paid - entry.share + entry.settled }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return { from, to, currency, balances, transfers: settleUp(balances, currency), unconverted: [...unconverted] };
+};
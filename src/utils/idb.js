@@ -5,92 +5,412 @@
  */
 
 import { convertCurrency } from '../services/currencyService';
+import { normalizeCurrencyCode, isCurrencyCode } from '../services/currencyRegistry';
+import { toDateKey, fromDateKey, listPeriods, getPeriodStart, GROUPINGS } from './dates';
+import { DEFAULT_CATEGORIES, DEFAULT_INCOME_CATEGORIES, makeCategoryRecord } from './categories';
+import { normalizeTags } from './tags';
+import { normalizeSharing } from './household';
+import { normalizeAccountId } from './accounts';
+import { normalizeEntryType } from './income';
 // Currency conversion utility normalizes stored sums for display/reporting
 
+// Name of the database shared by every module
+export const DB_NAME = 'costsdb';
+
+// Current schema version; bump it together with a new entry in MIGRATIONS
+export const DB_VERSION = 11;
+
 /**
- * Opens a connection to the Cost Manager database
- * @param {string} databaseName - Name of the database
- * @param {number} databaseVersion - Version number of the database
+ * Ordered schema migrations, one per database version
+ * Each step receives the database and the upgrade transaction and runs once,
+ * when an older database is opened, in version order. A step that backfills cost
+ * records gives a 'normalizeCost' function instead of opening its own cursor; see
+ * normalizeCosts.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create the costs store and its indexes',
+        migrate: function(db) {
+            const costStore = db.createObjectStore('costs', {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+
+            // Create indexes for efficient querying
+            costStore.createIndex('year', 'year', { unique: false });
+            costStore.createIndex('month', 'month', { unique: false });
+            costStore.createIndex('yearMonth', ['year', 'month'], { unique: false });
+            costStore.createIndex('category', 'category', { unique: false });
+        }
+    },
+    {
+        version: 2,
+        description: "Daily exchange-rate snapshots keyed by 'YYYY-MM-DD'",
+        migrate: function(db) {
+            db.createObjectStore('rateHistory', { keyPath: 'date' });
+        }
+    },
+    {
+        version: 3,
+        description: 'Recurring cost definitions posted by the startup catch-up',
+        migrate: function(db) {
+            db.createObjectStore('recurring', { keyPath: 'id', autoIncrement: true });
+        }
+    },
+    {
+        version: 4,
+        description: "Monthly budgets keyed by category, '*' being the overall budget",
+        migrate: function(db) {
+            db.createObjectStore('budgets', { keyPath: 'category' });
+        }
+    },
+    {
+        version: 5,
+        description: 'User-defined categories with colour and icon',
+        migrate: function(db, transaction) {
+            const categoryStore = db.createObjectStore('categories', { keyPath: 'name' });
+            DEFAULT_CATEGORIES.forEach(category => {
+                categoryStore.put({ ...category, archived: false });
+            });
+
+            // Also register categories that existing costs already use (e.g. 'CAR' added via idb.js)
+            const defaultNames = DEFAULT_CATEGORIES.map(category => category.name);
+            const costIndex = transaction.objectStore('costs').index('category');
+            costIndex.openKeyCursor(null, 'nextunique').onsuccess = function(event) {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (!defaultNames.includes(cursor.key)) {
+                        categoryStore.put(makeCategoryRecord(cursor.key));
+                    }
+                    cursor.continue();
+                }
+            };
+        }
+    },
+    {
+        version: 6,
+        description: "Backfill a 'YYYY-MM-DD' date on every cost and index it",
+        migrate: function(db, transaction) {
+            transaction.objectStore('costs').createIndex('date', 'date', { unique: false });
+        },
+        normalizeCost: function(cost) {
+            return cost.date ? cost : { ...cost, date: toDateKey(new Date(cost.year, cost.month - 1, cost.day)) };
+        }
+    },
+    {
+        version: 7,
+        description: 'Free-form tags on costs with a multiEntry index',
+        migrate: function(db, transaction) {
+            // multiEntry indexes every tag of a record on its own, so one lookup finds a tag's costs
+            transaction.objectStore('costs').createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        },
+        normalizeCost: function(cost) {
+            return Array.isArray(cost.tags) ? cost : { ...cost, tags: [] };
+        }
+    },
+    {
+        version: 8,
+        description: 'Receipt attachments stored as Blobs and linked to their cost',
+        migrate: function(db) {
+            const attachmentStore = db.createObjectStore('attachments', { keyPath: 'id', autoIncrement: true });
+            attachmentStore.createIndex('costId', 'costId', { unique: false });
+        }
+    },
+    {
+        version: 9,
+        description: 'Household members and settlements between them',
+        migrate: function(db) {
+            // Costs without 'paidBy' are personal, so existing records need no change
+            db.createObjectStore('members', { keyPath: 'name' });
+            const settlementStore = db.createObjectStore('settlements', { keyPath: 'id', autoIncrement: true });
+            settlementStore.createIndex('date', 'date', { unique: false });
+        }
+    },
+    {
+        version: 10,
+        description: 'Payment accounts and the account each cost is paid from',
+        migrate: function(db, transaction) {
+            db.createObjectStore('accounts', { keyPath: 'id', autoIncrement: true });
+            // Costs without an account have no key here, so existing records need no change
+            transaction.objectStore('costs').createIndex('accountId', 'accountId', { unique: false });
+        }
+    },
+    {
+        version: 11,
+        description: 'Income entries next to costs, with every record and category typed',
+        migrate: function(db, transaction) {
+            const categoryStore = transaction.objectStore('categories');
+            categoryStore.openCursor().onsuccess = function(event) {
+                const cursor = event.target.result;
+                if (cursor) {
+                    if (!cursor.value.type) {
+                        cursor.update({ ...cursor.value, type: 'expense' });
+                    }
+                    cursor.continue();
+                    return;
+                }
+                // Seed the income categories once the walk is over, keeping any name already in use
+                DEFAULT_INCOME_CATEGORIES.forEach(category => {
+                    categoryStore.getKey(category.name).onsuccess = function(keyEvent) {
+                        if (keyEvent.target.result === undefined) {
+                            categoryStore.put({ ...category, type: 'income', archived: false });
+                        }
+                    };
+                });
+            };
+        },
+        // Everything stored so far is an expense
+        normalizeCost: function(cost) {
+            return cost.type ? cost : { ...cost, type: 'expense' };
+        }
+    }
+];
+
+const listeners = new Set();
+// Components subscribe to hear about upgrades blocked by, or requested from, other tabs
+
+/**
+ * Subscribes to database connection events
+ * @param {function} listener - Called with { type: 'blocked' | 'versionchange', message }
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeDatabaseEvents = function(listener) {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/** Notifies subscribers of a database connection event. */
+const notify = function(type, message) {
+    listeners.forEach(listener => listener({ type, message }));
+};
+
+/**
+ * Backfills every cost record in a single cursor pass
+ * Cursors of one upgrade transaction interleave, so a step spreading its own cursor.value
+ * would overwrite what an earlier step's cursor wrote to the same record; chaining the
+ * steps over one value avoids that.
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {Array<Object>} migrations - Migrations being run that have a normalizeCost step
+ */
+const normalizeCosts = function(transaction, migrations) {
+    transaction.objectStore('costs').openCursor().onsuccess = function(event) {
+        const cursor = event.target.result;
+        if (cursor) {
+            const cost = migrations.reduce((record, migration) => migration.normalizeCost(record), cursor.value);
+            // Steps return the record unchanged when it needs nothing
+            if (cost !== cursor.value) {
+                cursor.update(cost);
+            }
+            cursor.continue();
+        }
+    };
+};
+
+/**
+ * Runs the migrations between two versions in order
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ * @param {number} newVersion - Version being opened
+ */
+const runMigrations = function(db, transaction, oldVersion, newVersion) {
+    const pending = MIGRATIONS
+        .filter(migration => migration.version > oldVersion && migration.version <= newVersion);
+
+    pending.forEach(migration => {
+        try {
+            migration.migrate(db, transaction);
+        } catch (error) {
+            throw new Error(`Migration to version ${migration.version} failed: ${error.message}`);
+        }
+    });
+
+    // A new database has no costs to backfill
+    const backfills = pending.filter(migration => migration.normalizeCost);
+    if (oldVersion > 0 && backfills.length > 0) {
+        normalizeCosts(transaction, backfills);
+    }
+};
+
+/**
+ * Opens a connection to the Cost Manager database, migrating it to the requested version
+ * @param {string} [databaseName] - Name of the database (defaults to DB_NAME)
+ * @param {number} [databaseVersion] - Version number of the database (defaults to DB_VERSION)
  * @returns {Promise} Promise that resolves to database object
  */
-export const openCostsDB = function(databaseName, databaseVersion) {
+export const openCostsDB = function(databaseName = DB_NAME, databaseVersion = DB_VERSION) {
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(databaseName, databaseVersion);
-        
+        let upgradeError = null;
+
         request.onerror = function() {
-            reject(new Error('Failed to open database'));
+            reject(upgradeError || new Error('Failed to open database'));
         };
-        
+
+        // Another tab still holds an older connection; the open resumes once it closes
+        request.onblocked = function() {
+            notify('blocked', 'Close other tabs of the app to finish updating the database');
+        };
+
         request.onsuccess = function() {
             const db = request.result;
+
+            // Let a newer version opened in another tab upgrade instead of blocking it
+            db.onversionchange = function() {
+                db.close();
+                notify('versionchange', 'The database was updated in another tab; reload this page');
+            };
+
             resolve(db);
         };
-        
+
         request.onupgradeneeded = function(event) {
-            const db = event.target.result;
-            
-            // Create object store for costs if it doesn't exist
-            if (!db.objectStoreNames.contains('costs')) {
-                const costStore = db.createObjectStore('costs', { 
-                    keyPath: 'id', 
-                    autoIncrement: true 
-                });
-                
-                // Create indexes for efficient querying
-                costStore.createIndex('year', 'year', { unique: false });
-                costStore.createIndex('month', 'month', { unique: false });
-                costStore.createIndex('yearMonth', ['year', 'month'], { unique: false });
-                costStore.createIndex('category', 'category', { unique: false });
+            try {
+                runMigrations(request.result, request.transaction, event.oldVersion, event.newVersion);
+            } catch (error) {
+                // Aborting rolls back every step of this upgrade; onerror then rejects
+                upgradeError = error;
+                request.transaction.abort();
             }
         };
     });
 };
-// Database is created lazily and upgraded with necessary stores/indexes
+// Database is created lazily and migrated one version step at a time
+
+/**
+ * Resolves the optional date of a new cost item
+ * @param {Date|string|undefined} value - Date object, 'YYYY-MM-DD' string or ISO timestamp
+ * @returns {Date|null} Parsed date, today when no value is given, or null when invalid
+ */
+const resolveCostDate = function(value) {
+    if (value === undefined || value === null || value === '') {
+        return new Date();
+    }
+
+    // Plain calendar dates are read as local dates so they don't shift a day across time zones
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return fromDateKey(value);
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+// Rejects impossible dates such as 2025-02-30 instead of rolling them over
+
+/**
+ * Registers a category in the categories store if no record exists for it yet
+ * @param {IDBTransaction} transaction - Readwrite transaction that includes the categories store
+ * @param {string} name - Normalized category name
+ * @param {string} type - Entry type of the record that uses it, given to a new category
+ */
+export const registerCategory = function(transaction, name, type) {
+    const store = transaction.objectStore('categories');
+    store.getKey(name).onsuccess = function(event) {
+        if (event.target.result === undefined) {
+            store.put(makeCategoryRecord(name, type));
+        }
+    };
+};
+// Keeps the categories store in step with names typed straight into addCost (e.g. from idb.js)
+
+/**
+ * Checks the fields every stored cost needs
+ * @param {Object} cost - Cost with sum, currency, category and description
+ * @throws {Error} When a field is missing or invalid
+ */
+export const validateCostFields = function(cost) {
+    if (!cost.sum || !cost.currency || !cost.category || !cost.description) {
+        throw new Error('Missing required cost properties');
+    }
+    if (!Number.isFinite(Number(cost.sum)) || Number(cost.sum) <= 0) {
+        throw new Error('Sum must be a positive number');
+    }
+    if (!isCurrencyCode(cost.currency)) {
+        throw new Error('Invalid currency code');
+    }
+};
+// Shared by createCostRecord and updateCost so an edit cannot store what an insert would refuse
+
+/**
+ * Validates a cost and builds the record stored for it
+ * @param {Object} cost - Cost object with sum, currency, category, description and optional type
+ *   ('expense' by default, or 'income'), date, tags, accountId of the account it was paid from
+ *   (or into), and paidBy and split for expenses shared with the household
+ * @returns {Object} Record ready to be stored (without id)
+ * @throws {Error} When a required property is missing or invalid
+ */
+export const createCostRecord = function(cost) {
+    validateCostFields(cost);
+
+    // Use the given expense date, defaulting to today
+    const date = resolveCostDate(cost.date);
+    if (!date) {
+        throw new Error('Invalid cost date');
+    }
+
+    const type = normalizeEntryType(cost.type);
+
+    // Shared costs say who paid and how they are split; personal costs have neither
+    const sharing = normalizeSharing(cost);
+    if (type === 'income' && sharing.paidBy) {
+        throw new Error('Only expenses can be shared with the household');
+    }
+
+    // Create cost item with date
+    return {
+        type: type,
+        sum: Number(cost.sum),
+        currency: normalizeCurrencyCode(cost.currency),
+        category: String(cost.category).toUpperCase(),
+        description: String(cost.description),
+        year: date.getFullYear(),
+        month: date.getMonth() + 1, // JavaScript months are 0-based
+        day: date.getDate(),
+        date: toDateKey(date),
+        dateAdded: date.toISOString(),
+        tags: normalizeTags(cost.tags),
+        accountId: normalizeAccountId(cost.accountId),
+        paidBy: sharing.paidBy,
+        split: sharing.split
+    };
+};
+// Shared by addCost and addCosts so single and bulk inserts accept exactly the same input
 
 /**
  * Adds a new cost item to the database
- * @param {Object} cost - Cost object with sum, currency, category, description
+ * @param {Object} cost - Cost object as accepted by createCostRecord
  * @returns {Promise} Promise that resolves to the added cost item
  */
 export const addCost = function(cost) {
     return new Promise((resolve, reject) => {
-        // Validate required properties
-        if (!cost.sum || !cost.currency || !cost.category || !cost.description) {
-            reject(new Error('Missing required cost properties'));
+        let costItem;
+        try {
+            costItem = createCostRecord(cost);
+        } catch (error) {
+            reject(error);
             return;
         }
         
-        // Get current date
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = now.getMonth() + 1; // JavaScript months are 0-based
-        const day = now.getDate();
-        
-        // Create cost item with date
-        const costItem = {
-            sum: Number(cost.sum),
-            currency: String(cost.currency),
-            category: String(cost.category).toUpperCase(),
-            description: String(cost.description),
-            year: year,
-            month: month,
-            day: day,
-            dateAdded: now.toISOString()
-        };
-        
         // Open database and add cost
-        openCostsDB('costsdb', 1).then(db => {
-            const transaction = db.transaction(['costs'], 'readwrite');
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs', 'categories'], 'readwrite');
             const store = transaction.objectStore('costs');
             const request = store.add(costItem);
+            registerCategory(transaction, costItem.category, costItem.type);
             
             request.onsuccess = function() {
                 // Return the cost item with the generated ID
                 const addedCost = {
+                    id: request.result,
+                    type: costItem.type,
                     sum: costItem.sum,
                     currency: costItem.currency,
                     category: costItem.category,
                     description: costItem.description,
+                    tags: costItem.tags,
                     Date: { day: costItem.day }
                 };
                 resolve(addedCost);
@@ -104,16 +424,296 @@ export const addCost = function(cost) {
 };
 // Stored records include normalized fields and computed date breakdown
 
+/**
+ * Adds many cost items in a single transaction; either all of them are stored or none
+ * @param {Array} costs - Cost objects as accepted by addCost
+ * @returns {Promise<number>} Promise that resolves to the number of stored items
+ */
+export const addCosts = function(costs) {
+    return new Promise((resolve, reject) => {
+        let records;
+        try {
+            records = costs.map(createCostRecord);
+        } catch (error) {
+            reject(error);
+            return;
+        }
+
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs', 'categories'], 'readwrite');
+            const store = transaction.objectStore('costs');
+            records.forEach(record => store.add(record));
+            new Map(records.map(record => [record.category, record.type])).forEach((type, category) => {
+                registerCategory(transaction, category, type);
+            });
+
+            transaction.oncomplete = function() {
+                resolve(records.length);
+            };
+            transaction.onerror = function() {
+                reject(new Error('Failed to add cost items'));
+            };
+            transaction.onabort = function() {
+                reject(new Error('Failed to add cost items'));
+            };
+        }).catch(reject);
+    });
+};
+// Used by imports, which would otherwise open one connection per row
+
+
+/**
+ * Gets a single stored cost record by its id
+ * @param {number} id - Id of the cost record
+ * @returns {Promise} Promise that resolves to the raw cost record
+ */
+export const getCost = function(id) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs'], 'readonly');
+            const store = transaction.objectStore('costs');
+            const request = store.get(id);
+
+            request.onsuccess = function() {
+                if (!request.result) {
+                    reject(new Error('Cost item not found'));
+                    return;
+                }
+                resolve(request.result);
+            };
+
+            request.onerror = function() {
+                reject(new Error('Failed to get cost item'));
+            };
+        }).catch(reject);
+    });
+};
+// Returns the record as stored (original sum and currency, no conversion)
+
+/**
+ * Updates an existing cost item
+ * @param {number} id - Id of the cost record to update
+ * @param {Object} patch - Fields to change (sum, currency, category, description, tags, accountId,
+ *   paidBy, split);
+ *   pass null for both paidBy and split to make a shared cost personal again. Income cannot be shared.
+ * @returns {Promise} Promise that resolves to the updated cost item
+ */
+export const updateCost = function(id, patch) {
+    return new Promise((resolve, reject) => {
+        // Reject empty values for any field the caller is trying to change
+        const editable = ['sum', 'currency', 'category', 'description'];
+        const invalid = editable.some(field => field in patch && !patch[field]);
+        if (invalid) {
+            reject(new Error('Missing required cost properties'));
+            return;
+        }
+
+        // Tags and the account are optional, so an empty list or no account is a valid change
+        let tags;
+        let accountId;
+        try {
+            tags = 'tags' in patch ? normalizeTags(patch.tags) : undefined;
+            accountId = 'accountId' in patch ? normalizeAccountId(patch.accountId) : undefined;
+        } catch (error) {
+            reject(error);
+            return;
+        }
+
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs', 'categories'], 'readwrite');
+            const store = transaction.objectStore('costs');
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = function() {
+                const existing = getRequest.result;
+                if (!existing) {
+                    reject(new Error('Cost item not found'));
+                    return;
+                }
+
+                // Apply the patch with the same validation and normalization addCost uses
+                const costItem = { ...existing };
+                if ('sum' in patch) costItem.sum = Number(patch.sum);
+                if ('currency' in patch) costItem.currency = patch.currency;
+                if ('category' in patch) costItem.category = String(patch.category).toUpperCase();
+                if ('description' in patch) costItem.description = String(patch.description);
+                if (tags) costItem.tags = tags;
+                if (accountId !== undefined) costItem.accountId = accountId;
+                if ('paidBy' in patch) costItem.paidBy = patch.paidBy;
+                if ('split' in patch) costItem.split = patch.split;
+
+                // Exact split amounts must still match the sum, whichever of them changed
+                try {
+                    validateCostFields(costItem);
+                    costItem.currency = normalizeCurrencyCode(costItem.currency);
+                    Object.assign(costItem, normalizeSharing(costItem));
+                    if (costItem.type === 'income' && costItem.paidBy) {
+                        throw new Error('Only expenses can be shared with the household');
+                    }
+                } catch (error) {
+                    transaction.abort();
+                    reject(error);
+                    return;
+                }
+                if (costItem.category !== existing.category) {
+                    registerCategory(transaction, costItem.category, costItem.type);
+                }
+
+                const putRequest = store.put(costItem);
+
+                putRequest.onsuccess = function() {
+                    resolve({
+                        id: costItem.id,
+                        type: costItem.type,
+                        sum: costItem.sum,
+                        currency: costItem.currency,
+                        category: costItem.category,
+                        description: costItem.description,
+                        tags: costItem.tags,
+                        Date: { day: costItem.day }
+                    });
+                };
+
+                putRequest.onerror = function() {
+                    reject(new Error('Failed to update cost item'));
+                };
+            };
+
+            getRequest.onerror = function() {
+                reject(new Error('Failed to update cost item'));
+            };
+        }).catch(reject);
+    });
+};
+// Date fields and the entry type are kept as-is; only the descriptive and sharing fields can be edited
+
+/**
+ * Deletes a cost item and its attachments from the database
+ * @param {number} id - Id of the cost record to delete
+ * @returns {Promise} Promise that resolves to the deleted raw record, with the removed
+ *   attachment records under 'attachments'
+ */
+export const deleteCost = function(id) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs', 'attachments'], 'readwrite');
+            const store = transaction.objectStore('costs');
+            const getRequest = store.get(id);
+            let removed = null;
+
+            getRequest.onsuccess = function() {
+                const existing = getRequest.result;
+                if (!existing) {
+                    reject(new Error('Cost item not found'));
+                    return;
+                }
+
+                removed = { ...existing, attachments: [] };
+                store.delete(id);
+
+                const attachmentIndex = transaction.objectStore('attachments').index('costId');
+                attachmentIndex.openCursor(IDBKeyRange.only(id)).onsuccess = function(event) {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        removed.attachments.push(cursor.value);
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            };
+
+            transaction.oncomplete = function() {
+                if (removed) {
+                    resolve(removed);
+                }
+            };
+
+            transaction.onerror = function() {
+                reject(new Error('Failed to delete cost item'));
+            };
+        }).catch(reject);
+    });
+};
+// The removed record is returned so callers can offer an undo
+
+/**
+ * Puts a previously deleted record back under its original id
+ * @param {Object} record - Raw cost record as returned by deleteCost
+ * @returns {Promise} Promise that resolves to the restored record id
+ */
+export const restoreCost = function(record) {
+    return new Promise((resolve, reject) => {
+        const { attachments = [], ...cost } = record;
+
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs', 'categories', 'attachments'], 'readwrite');
+            const request = transaction.objectStore('costs').put(cost);
+            // The category may have been merged or renamed away since the delete
+            registerCategory(transaction, cost.category, cost.type);
+
+            const attachmentStore = transaction.objectStore('attachments');
+            attachments.forEach(attachment => attachmentStore.put(attachment));
+
+            transaction.oncomplete = function() {
+                resolve(request.result);
+            };
+
+            transaction.onerror = function() {
+                reject(new Error('Failed to restore cost item'));
+            };
+        }).catch(reject);
+    });
+};
+// Used by the undo action after a delete
+
+/**
+ * Gets the raw cost records of a date range, oldest first
+ * @param {Object} [range] - Inclusive range of 'YYYY-MM-DD' keys; omit either end to leave it open
+ * @param {string} [range.from] - First day to include
+ * @param {string} [range.to] - Last day to include
+ * @returns {Promise<Array>} Promise that resolves to the stored records
+ */
+export const getCosts = function(range = {}) {
+    return new Promise((resolve, reject) => {
+        let keyRange = null;
+        if (range.from && range.to) {
+            keyRange = IDBKeyRange.bound(range.from, range.to);
+        } else if (range.from) {
+            keyRange = IDBKeyRange.lowerBound(range.from);
+        } else if (range.to) {
+            keyRange = IDBKeyRange.upperBound(range.to);
+        }
+
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs'], 'readonly');
+            const index = transaction.objectStore('costs').index('date');
+            const request = index.getAll(keyRange);
+
+            request.onsuccess = function() {
+                resolve(request.result || []);
+            };
+
+            request.onerror = function() {
+                reject(new Error('Failed to get cost items'));
+            };
+        }).catch(reject);
+    });
+};
+// Walks the date index added in version 6, so records come back in date order
+
 /**
  * Gets a detailed report for a specific month and year in a specific currency
  * @param {number} year - Year to get report for
  * @param {number} month - Month to get report for (1-12)
  * @param {string} currency - Target currency for the report
+ * @param {Object} [options] - Conversion options passed to convertCurrency
+ * @param {string} [options.rateMode] - 'current' (default) or 'historical'
+ * @param {string} [options.type] - Entry type to report, 'expense' (default) or 'income'
  * @returns {Promise} Promise that resolves to report object
  */
-export const getReport = async function(year, month, currency) {
+export const getReport = async function(year, month, currency, options = {}) {
     // Open the IndexedDB database and create a read-only transaction
-    const db = await openCostsDB('costsdb', 1);
+    const db = await openCostsDB();
     const transaction = db.transaction(['costs'], 'readonly');
     const store = transaction.objectStore('costs');
     const index = store.index('yearMonth');
@@ -130,12 +730,16 @@ export const getReport = async function(year, month, currency) {
     });
 
     // Transform raw cost data into a standardized format for reporting
-    const preparedCosts = costs.map(cost => ({
+    const type = normalizeEntryType(options.type);
+    const preparedCosts = costs.filter(cost => cost.type === type).map(cost => ({
+        id: cost.id,
         sum: Number(cost.sum) || 0,
         currency: cost.currency,
         category: cost.category,
         description: cost.description,
-        Date: { day: cost.day }
+        tags: cost.tags || [],
+        Date: { day: cost.day },
+        dateAdded: cost.dateAdded
     }));
 
     // Calculate the total sum of all costs in their original currencies
@@ -153,14 +757,266 @@ export const getReport = async function(year, month, currency) {
     };
 
     // Convert all costs and totals to the target currency
-    const convertedReport = await convertCurrency(report, currency);
+    const convertedReport = await convertCurrency(report, currency, options);
     return convertedReport;
 };
 // Reports are pulled by composite index and then converted to target currency
 
+/**
+ * Gets a report for any date range, with totals per day, week or month
+ * @param {string} from - First day to include ('YYYY-MM-DD')
+ * @param {string} to - Last day to include ('YYYY-MM-DD')
+ * @param {string} currency - Target currency for the report
+ * @param {Object} [options] - Conversion options passed to convertCurrency, plus
+ * @param {string} [options.groupBy] - 'day', 'week' or 'month' (default)
+ * @param {string} [options.type] - Entry type to report, 'expense' (default) or 'income'
+ * @param {string} [options.category] - Only report costs of this category
+ * @param {number} [options.accountId] - Only report costs paid from this account
+ * @returns {Promise<Object>} Promise that resolves to { from, to, groupBy, costs, total, groups }
+ *   where groups lists every period of the range as { key, from, to, total, byCategory }
+ */
+export const getRangeReport = async function(from, to, currency, options = {}) {
+    const groupBy = options.groupBy || 'month';
+    if (!(groupBy in GROUPINGS)) {
+        throw new Error(`Unknown grouping: ${groupBy}`);
+    }
+    if (!fromDateKey(from) || !fromDateKey(to) || from > to) {
+        throw new Error('Invalid date range');
+    }
+
+    // The date index returns the range in date order
+    const type = normalizeEntryType(options.type);
+    const costs = (await getCosts({ from, to }))
+        .filter(cost => cost.type === type)
+        .filter(cost => !options.category || cost.category === options.category)
+        .filter(cost => !options.accountId || cost.accountId === options.accountId)
+        .map(cost => ({
+            id: cost.id,
+            type: cost.type,
+            sum: Number(cost.sum) || 0,
+            currency: cost.currency,
+            category: cost.category,
+            description: cost.description,
+            tags: cost.tags || [],
+            accountId: cost.accountId || null,
+            date: cost.date,
+            Date: { day: cost.day },
+            dateAdded: cost.dateAdded
+        }));
+
+    const converted = await convertCurrency({
+        from,
+        to,
+        groupBy,
+        costs,
+        total: { currency, total: 0 }
+    }, currency, options);
+
+    // Every period is listed, so charts show gaps as zero instead of skipping them
+    const groups = listPeriods(from, to, groupBy).map(period => ({ ...period, total: 0, byCategory: {} }));
+    const groupsByKey = new Map(groups.map(group => [group.key, group]));
+    converted.costs.forEach(cost => {
+        const group = groupsByKey.get(getPeriodStart(cost.date, groupBy));
+        group.total += cost.sum;
+        group.byCategory[cost.category] = (group.byCategory[cost.category] || 0) + cost.sum;
+    });
+
+    return { ...converted, groups };
+};
+// Ranges may cross month and year boundaries; each period total is in the report currency
+
+/**
+ * Gets monthly totals of several years from one ranged query over the yearMonth index
+ * @param {Array<number>} years - Years to total (need not be consecutive)
+ * @param {string} currency - Currency the totals are converted to
+ * @param {Object} [options] - Conversion options passed to convertCurrency, plus filters
+ * @param {string} [options.type] - Entry type to total, 'expense' (default) or 'income'
+ * @param {string} [options.category] - Only total costs of this category
+ * @param {number} [options.accountId] - Only total costs paid from this account
+ * @returns {Promise<Object>} Promise that resolves to { currency, totals, byCategory, unconverted }
+ *   where totals maps each year to an array of 12 monthly totals (January first), byCategory holds
+ *   the same months as objects of totals per category and unconverted lists the currencies whose
+ *   costs are left out for want of a rate
+ */
+export const getMonthlyTotals = async function(years, currency, options = {}) {
+    const totals = {};
+    const byCategory = {};
+    years.forEach(year => {
+        totals[year] = new Array(12).fill(0);
+        byCategory[year] = Array.from({ length: 12 }, () => ({}));
+    });
+    if (years.length === 0) {
+        return { currency: normalizeCurrencyCode(currency), totals, byCategory, unconverted: [] };
+    }
+
+    // One range from January of the first year to December of the last covers every selected year
+    const db = await openCostsDB();
+    const index = db.transaction(['costs'], 'readonly').objectStore('costs').index('yearMonth');
+    const range = IDBKeyRange.bound([Math.min(...years), 1], [Math.max(...years), 12]);
+    const costs = await new Promise((resolve, reject) => {
+        const request = index.getAll(range);
+        request.onsuccess = function() {
+            resolve(request.result || []);
+        };
+        request.onerror = function() {
+            reject(new Error('Failed to get monthly totals'));
+        };
+    });
+
+    const type = normalizeEntryType(options.type);
+    const selected = costs.filter(cost =>
+        cost.year in totals
+        && cost.type === type
+        && (!options.category || cost.category === options.category)
+        && (!options.accountId || cost.accountId === options.accountId)
+    );
+    const converted = await convertCurrency({ costs: selected }, currency, options);
+    converted.costs.forEach(cost => {
+        const month = cost.month - 1;
+        totals[cost.year][month] += cost.sum;
+        byCategory[cost.year][month][cost.category] = (byCategory[cost.year][month][cost.category] || 0) + cost.sum;
+    });
+
+    return { currency: converted.total.currency, totals, byCategory, unconverted: converted.unconverted };
+};
+// Replaces twelve getReport calls per year; conversion still honours options.rateMode
+
+// Fields search results can be sorted by
+export const SEARCH_SORT_FIELDS = ['date', 'sum', 'currency', 'category', 'description'];
+
+/**
+ * Counts the records of an index key range
+ * @param {IDBIndex} index - Index to count in
+ * @param {IDBKeyRange|string} range - Key or key range
+ * @returns {Promise<number>} Promise that resolves to the number of matching records
+ */
+const countIndex = function(index, range) {
+    return new Promise((resolve, reject) => {
+        const request = index.count(range);
+        request.onsuccess = function() {
+            resolve(request.result);
+        };
+        request.onerror = function() {
+            reject(new Error('Failed to search cost items'));
+        };
+    });
+};
+
+/**
+ * Searches all costs, reading as few records as the indexes allow
+ * When both a category and dates are given, the category and yearMonth ranges are counted
+ * first and the smaller one is read; every other criterion is checked on the records read.
+ * @param {Object} [criteria] - Search criteria; omitted criteria match everything
+ * @param {string} [criteria.type] - Entry type, 'expense' or 'income'
+ * @param {string} [criteria.text] - Case-insensitive text to find in the description
+ * @param {string} [criteria.category] - Exact category
+ * @param {string} [criteria.currency] - Exact currency code
+ * @param {number} [criteria.minSum] - Smallest sum, in the cost's own currency
+ * @param {number} [criteria.maxSum] - Largest sum, in the cost's own currency
+ * @param {string} [criteria.from] - First day to include ('YYYY-MM-DD')
+ * @param {string} [criteria.to] - Last day to include ('YYYY-MM-DD')
+ * @param {Object} [options] - Sorting and paging
+ * @param {string} [options.sortBy] - One of SEARCH_SORT_FIELDS (default 'date')
+ * @param {string} [options.direction] - 'asc' or 'desc' (default)
+ * @param {number} [options.page] - Zero-based page number
+ * @param {number} [options.pageSize] - Records per page (default 25)
+ * @returns {Promise<Object>} Promise that resolves to { results, count } where results are the
+ *   stored records of the requested page and count is the number of matches
+ */
+export const searchCosts = async function(criteria = {}, options = {}) {
+    const sortBy = options.sortBy || 'date';
+    if (!SEARCH_SORT_FIELDS.includes(sortBy)) {
+        throw new Error(`Cannot sort by ${sortBy}`);
+    }
+    if ((criteria.from && !fromDateKey(criteria.from)) || (criteria.to && !fromDateKey(criteria.to))) {
+        throw new Error('Invalid cost date');
+    }
+
+    const db = await openCostsDB();
+    const store = db.transaction(['costs'], 'readonly').objectStore('costs');
+
+    // Candidate sources: the whole store, one category, or the months around the dates
+    const sources = [];
+    if (criteria.category) {
+        sources.push({ index: store.index('category'), range: String(criteria.category).toUpperCase() });
+    }
+    if (criteria.from || criteria.to) {
+        const lower = criteria.from ? fromDateKey(criteria.from) : null;
+        const upper = criteria.to ? fromDateKey(criteria.to) : null;
+        const range = lower && upper
+            ? IDBKeyRange.bound([lower.getFullYear(), lower.getMonth() + 1], [upper.getFullYear(), upper.getMonth() + 1])
+            : (lower
+                ? IDBKeyRange.lowerBound([lower.getFullYear(), lower.getMonth() + 1])
+                : IDBKeyRange.upperBound([upper.getFullYear(), upper.getMonth() + 1]));
+        sources.push({ index: store.index('yearMonth'), range });
+    }
+    let source = sources.length > 0 ? sources[0] : { index: store, range: null };
+    if (sources.length > 1) {
+        const counts = await Promise.all(sources.map(item => countIndex(item.index, item.range)));
+        source = counts[1] < counts[0] ? sources[1] : sources[0];
+    }
+
+    const records = await new Promise((resolve, reject) => {
+        const request = source.index.getAll(source.range);
+        request.onsuccess = function() {
+            resolve(request.result || []);
+        };
+        request.onerror = function() {
+            reject(new Error('Failed to search cost items'));
+        };
+    });
+
+    const type = criteria.type ? normalizeEntryType(criteria.type) : null;
+    const text = String(criteria.text || '').trim().toLowerCase();
+    const category = criteria.category ? String(criteria.category).toUpperCase() : null;
+    const currency = criteria.currency ? normalizeCurrencyCode(criteria.currency) : null;
+    const hasMin = criteria.minSum !== undefined && criteria.minSum !== '';
+    const hasMax = criteria.maxSum !== undefined && criteria.maxSum !== '';
+    const matches = records.filter(cost =>
+        (!type || cost.type === type) &&
+        (!text || String(cost.description).toLowerCase().includes(text)) &&
+        (!category || cost.category === category) &&
+        (!currency || cost.currency === currency) &&
+        (!hasMin || cost.sum >= Number(criteria.minSum)) &&
+        (!hasMax || cost.sum <= Number(criteria.maxSum)) &&
+        (!criteria.from || cost.date >= criteria.from) &&
+        (!criteria.to || cost.date <= criteria.to)
+    );
+
+    // Ties keep insertion order so paging is stable
+    const sign = options.direction === 'asc' ? 1 : -1;
+    matches.sort((a, b) => {
+        const compared = sortBy === 'sum'
+            ? a.sum - b.sum
+            : String(a[sortBy]).localeCompare(String(b[sortBy]));
+        return sign * (compared || a.id - b.id);
+    });
+
+    const pageSize = options.pageSize || 25;
+    const page = options.page || 0;
+    return {
+        results: matches.slice(page * pageSize, (page + 1) * pageSize),
+        count: matches.length
+    };
+};
+// Sums are compared unconverted, so an amount range is most useful together with a currency
+
 // Default export for convenience
 export default {
+    DB_NAME,
+    DB_VERSION,
     openCostsDB,
+    subscribeDatabaseEvents,
+    createCostRecord,
     addCost,
-    getReport
+    addCosts,
+    getCost,
+    updateCost,
+    deleteCost,
+    restoreCost,
+    getCosts,
+    getReport,
+    getRangeReport,
+    getMonthlyTotals,
+    searchCosts
 };
@@ -0,0 +1,146 @@
+import 'fake-indexeddb/auto';
+import { serialize, deserialize } from 'v8';
+import { openCostsDB, subscribeDatabaseEvents, DB_VERSION } from './idb';
+import { DEFAULT_CATEGORIES, DEFAULT_INCOME_CATEGORIES } from './categories';
+
+// fake-indexeddb clones records with structuredClone, which jsdom does not provide
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = value => deserialize(serialize(value));
+}
+
+let databaseCount = 0;
+
+/** Gives every test a database of its own. */
+const nextDatabaseName = () => {
+  databaseCount += 1;
+  return `migration-test-${databaseCount}`;
+};
+
+/** Writes raw records to a store, bypassing the record helpers. */
+const putRecords = (db, storeName, records) => new Promise((resolve, reject) => {
+  const transaction = db.transaction([storeName], 'readwrite');
+  records.forEach(record => transaction.objectStore(storeName).put(record));
+  transaction.oncomplete = resolve;
+  transaction.onerror = () => reject(transaction.error);
+});
+
+/** Reads every record of a store. */
+const getAll = (db, storeName) => new Promise((resolve, reject) => {
+  const request = db.transaction([storeName]).objectStore(storeName).getAll();
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/** Creates a database at an old version holding the given costs, then closes it. */
+const seedDatabase = async (name, version, costs) => {
+  const db = await openCostsDB(name, version);
+  await putRecords(db, 'costs', costs);
+  db.close();
+};
+
+// Costs as version 1 stored them: year, month and day but no date, tags or type
+const V1_COSTS = [
+  { sum: 12.5, currency: 'USD', category: 'FOOD', description: 'lunch', year: 2024, month: 2, day: 29 },
+  { sum: 300, currency: 'EUR', category: 'CAR', description: 'repair', year: 2025, month: 12, day: 1 }
+];
+
+describe('openCostsDB migrations', () => {
+  test('creates every store on a new database', async () => {
+    const db = await openCostsDB(nextDatabaseName());
+
+    expect(db.version).toBe(DB_VERSION);
+    expect([...db.objectStoreNames].sort()).toEqual([
+      'accounts',
+      'attachments',
+      'budgets',
+      'categories',
+      'costs',
+      'members',
+      'rateHistory',
+      'recurring',
+      'settlements'
+    ]);
+    db.close();
+  });
+
+  test('migrates version 1 costs forward keeping date, tags and type', async () => {
+    const name = nextDatabaseName();
+    await seedDatabase(name, 1, V1_COSTS);
+
+    const db = await openCostsDB(name);
+    const costs = await getAll(db, 'costs');
+    db.close();
+
+    expect(costs).toEqual([
+      { ...V1_COSTS[0], id: 1, date: '2024-02-29', tags: [], type: 'expense' },
+      { ...V1_COSTS[1], id: 2, date: '2025-12-01', tags: [], type: 'expense' }
+    ]);
+  });
+
+  test('migrated costs are found through the new indexes', async () => {
+    const name = nextDatabaseName();
+    await seedDatabase(name, 1, V1_COSTS);
+
+    const db = await openCostsDB(name);
+    const index = db.transaction(['costs']).objectStore('costs').index('date');
+    const keys = await new Promise((resolve) => {
+      const request = index.getAllKeys(IDBKeyRange.bound('2025-01-01', '2025-12-31'));
+      request.onsuccess = () => resolve(request.result);
+    });
+    db.close();
+
+    expect(keys).toEqual([2]);
+  });
+
+  test('keeps date, tags and type a cost already has', async () => {
+    const name = nextDatabaseName();
+    const tagged = { ...V1_COSTS[0], date: '2024-03-01', tags: ['trip'] };
+    await seedDatabase(name, 5, [tagged]);
+
+    const db = await openCostsDB(name);
+    const [cost] = await getAll(db, 'costs');
+    db.close();
+
+    expect(cost).toEqual({ ...tagged, id: 1, type: 'expense' });
+  });
+
+  test('backfills dates when upgrading from version 5', async () => {
+    const name = nextDatabaseName();
+    await seedDatabase(name, 5, [V1_COSTS[0]]);
+
+    const db = await openCostsDB(name);
+    const [cost] = await getAll(db, 'costs');
+    db.close();
+
+    expect(cost.date).toBe('2024-02-29');
+    expect(cost.tags).toEqual([]);
+    expect(cost.type).toBe('expense');
+  });
+
+  test('registers the categories existing costs use and types every category', async () => {
+    const name = nextDatabaseName();
+    await seedDatabase(name, 1, V1_COSTS);
+
+    const db = await openCostsDB(name);
+    const categories = await getAll(db, 'categories');
+    db.close();
+
+    const types = Object.fromEntries(categories.map(category => [category.name, category.type]));
+    DEFAULT_CATEGORIES.forEach(category => expect(types[category.name]).toBe('expense'));
+    DEFAULT_INCOME_CATEGORIES.forEach(category => expect(types[category.name]).toBe('income'));
+    expect(types.CAR).toBe('expense');
+  });
+
+  test('tells an older connection that another tab upgraded the database', async () => {
+    const name = nextDatabaseName();
+    const events = [];
+    const unsubscribe = subscribeDatabaseEvents(event => events.push(event.type));
+
+    await openCostsDB(name, 1);
+    const db = await openCostsDB(name);
+    db.close();
+    unsubscribe();
+
+    expect(events).toEqual(['versionchange']);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Income - salary, freelance pay, refunds and other money coming in
+ * Income entries are stored in the costs store next to expenses; every record and every
+ * category has a 'type' ('expense' or 'income') since version 11. Net savings are income
+ * minus expenses, both converted to one currency through currencyService.
+ */
+
+import { getRangeReport, getMonthlyTotals } from './idb';
+
+// Kinds of entry, with their labels
+export const ENTRY_TYPES = {
+    expense: 'Expense',
+    income: 'Income'
+};
+
+/**
+ * Normalizes the type of an entry
+ * @param {string|undefined} type - Key of ENTRY_TYPES, or empty for an expense
+ * @returns {string} 'expense' or 'income'
+ * @throws {Error} When the type is unknown
+ */
+export const normalizeEntryType = function(type) {
+    if (type === undefined || type === null || type === '') {
+        return 'expense';
+    }
+    if (!ENTRY_TYPES[type]) {
+        throw new Error(`Unknown entry type: ${type}`);
+    }
+    return type;
+};
+// Callers that predate income never pass a type, so their entries stay expenses
+
+/**
+ * Gets the expenses and income of a date range with their net per period
+ * @param {string} from - First day ('YYYY-MM-DD')
+ * @param {string} to - Last day ('YYYY-MM-DD')
+ * @param {string} currency - Currency every amount is converted to
+ * @param {Object} [options] - getRangeReport options (rateMode, groupBy, accountId)
+ * @returns {Promise<Object>} Promise that resolves to { expenses, income, totals, groups } where
+ *   expenses and income are range reports, totals is { expense, income, net } and groups lists
+ *   every period as { key, from, to, expense, income, net }
+ */
+export const getNetReport = async function(from, to, currency, options = {}) {
+    const [expenses, income] = await Promise.all([
+        getRangeReport(from, to, currency, { ...options, type: 'expense' }),
+        getRangeReport(from, to, currency, { ...options, type: 'income' })
+    ]);
+
+    // Both reports list the same periods in the same order
+    const groups = expenses.groups.map((group, index) => {
+        const earned = income.groups[index].total;
+        return { key: group.key, from: group.from, to: group.to, expense: group.total, income: earned, net: earned - group.total };
+    });
+
+    return {
+        expenses,
+        income,
+        totals: {
+            expense: expenses.total.total,
+            income: income.total.total,
+            net: income.total.total - expenses.total.total
+        },
+        groups
+    };
+};
+
+/**
+ * Gets monthly expense, income and net totals of several years
+ * @param {Array<number>} years - Years to total
+ * @param {string} currency - Currency the totals are converted to
+ * @param {Object} [options] - getMonthlyTotals options (rateMode, accountId)
+ * @returns {Promise<Object>} Promise that resolves to { currency, expense, income, net, unconverted },
+ *   the first three mapping a year to an array of 12 monthly totals (January first) and unconverted
+ *   listing the currencies left out of either for want of a rate
+ */
+export const getMonthlyNet = async function(years, currency, options = {}) {
+    const [expenses, income] = await Promise.all([
+        getMonthlyTotals(years, currency, { ...options, type: 'expense' }),
+        getMonthlyTotals(years, currency, { ...options, type: 'income' })
+    ]);
+
+    const net = {};
+    years.forEach(year => {
+        net[year] = expenses.totals[year].map((spent, month) => income.totals[year][month] - spent);
+    });
+    const unconverted = [...new Set([...expenses.unconverted, ...income.unconverted])];
+    return { currency: expenses.currency, expense: expenses.totals, income: income.totals, net, unconverted };
+};
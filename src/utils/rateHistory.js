@@ -0,0 +1,102 @@
+/**
+ * Exchange Rate History - IndexedDB store of daily rate snapshots
+ * Lets reports convert each cost at the rate that applied on its own date
+ */
+
+import { openCostsDB } from './idb';
+import { toDateKey, fromDateKey } from './dates';
+
+/**
+ * Saves the rates fetched today, replacing any earlier snapshot of the same day
+ * @param {Object} rates - Rates per 1 USD keyed by currency code
+ * @param {Date} [date] - Date the rates apply to (defaults to now)
+ * @returns {Promise} Promise that resolves to the stored snapshot
+ */
+export const saveRateSnapshot = function(rates, date = new Date()) {
+    return new Promise((resolve, reject) => {
+        // IndexedDB is missing in some environments (e.g. server rendering, tests)
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const snapshot = {
+            date: toDateKey(date),
+            rates: { ...rates },
+            fetchedAt: date.toISOString()
+        };
+
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['rateHistory'], 'readwrite');
+            const store = transaction.objectStore('rateHistory');
+            const request = store.put(snapshot);
+
+            request.onsuccess = function() {
+                resolve(snapshot);
+            };
+
+            request.onerror = function() {
+                reject(new Error('Failed to save exchange rate snapshot'));
+            };
+        }).catch(reject);
+    });
+};
+// One snapshot per day keeps the store small while still tracking drift
+
+/**
+ * Gets all stored rate snapshots ordered by date
+ * @returns {Promise<Array>} Promise that resolves to the snapshots (oldest first)
+ */
+export const getRateSnapshots = function() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve([]);
+            return;
+        }
+
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['rateHistory'], 'readonly');
+            const store = transaction.objectStore('rateHistory');
+            const request = store.getAll();
+
+            request.onsuccess = function() {
+                resolve(request.result || []);
+            };
+
+            request.onerror = function() {
+                reject(new Error('Failed to get exchange rate history'));
+            };
+        }).catch(reject);
+    });
+};
+// Keys are ISO dates, so the store's natural order is chronological
+
+/**
+ * Picks the snapshot whose date is closest to the given date
+ * @param {Array} snapshots - Snapshots as returned by getRateSnapshots
+ * @param {Date|string} date - Date of the cost being converted
+ * @returns {Object|null} Closest snapshot, or null when there are none
+ */
+export const findClosestSnapshot = function(snapshots, date) {
+    if (!snapshots || snapshots.length === 0) {
+        return null;
+    }
+
+    const target = new Date(date).getTime();
+    if (isNaN(target)) {
+        return null;
+    }
+
+    // Compare against local noon of each snapshot day so ties favour the same calendar day
+    let closest = null;
+    let closestDistance = Infinity;
+    snapshots.forEach(snapshot => {
+        const distance = Math.abs(fromDateKey(snapshot.date).getTime() - target);
+        if (distance < closestDistance) {
+            closest = snapshot;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+};
+// Costs older than the first snapshot fall back to the earliest known rates
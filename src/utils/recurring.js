@@ -0,0 +1,257 @@
+/**
+ * Recurring Costs - IndexedDB store of repeating expenses (rent, subscriptions)
+ * Definitions live in the 'recurring' store; due instances are posted as
+ * ordinary cost items by postDueRecurringCosts.
+ */
+
+import { openCostsDB, createCostRecord, registerCategory } from './idb';
+import { toDateKey, fromDateKey, daysInMonth } from './dates';
+import { normalizeCurrencyCode } from '../services/currencyRegistry';
+
+export const RECURRING_FREQUENCIES = ['monthly', 'weekly', 'yearly'];
+
+/**
+ * Validates and normalizes a recurring cost definition
+ * @param {Object} definition - Raw definition from the UI
+ * @returns {Object} Normalized definition (without id/lastPostedDate)
+ * @throws {Error} When a required field is missing or invalid
+ */
+const normalizeDefinition = function(definition) {
+    if (!definition.sum || !definition.currency || !definition.category || !definition.description) {
+        throw new Error('Missing required cost properties');
+    }
+    if (isNaN(definition.sum) || Number(definition.sum) <= 0) {
+        throw new Error('Sum must be a positive number');
+    }
+    if (!RECURRING_FREQUENCIES.includes(definition.frequency)) {
+        throw new Error('Invalid schedule frequency');
+    }
+    if (!fromDateKey(definition.startDate)) {
+        throw new Error('Invalid start date');
+    }
+    if (definition.endDate) {
+        if (!fromDateKey(definition.endDate)) {
+            throw new Error('Invalid end date');
+        }
+        if (definition.endDate < definition.startDate) {
+            throw new Error('End date must not be before the start date');
+        }
+    }
+
+    return {
+        sum: Number(definition.sum),
+        currency: normalizeCurrencyCode(definition.currency),
+        category: String(definition.category).toUpperCase(),
+        description: String(definition.description),
+        frequency: definition.frequency,
+        startDate: definition.startDate,
+        endDate: definition.endDate || null
+    };
+};
+// Same required-field rules as addCost, plus a valid schedule
+
+/**
+ * Runs a single request against the recurring store
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {function} makeRequest - Receives the store and returns an IDBRequest
+ * @param {string} errorMessage - Message used when the request fails
+ * @returns {Promise} Promise that resolves to the request result
+ */
+const runRecurringRequest = function(mode, makeRequest, errorMessage) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['recurring'], mode);
+            const store = transaction.objectStore('recurring');
+            const request = makeRequest(store);
+
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+
+            request.onerror = function() {
+                reject(new Error(errorMessage));
+            };
+        }).catch(reject);
+    });
+};
+
+/**
+ * Gets all recurring cost definitions
+ * @returns {Promise<Array>} Promise that resolves to the definitions
+ */
+export const getRecurringCosts = function() {
+    return runRecurringRequest('readonly', store => store.getAll(), 'Failed to get recurring costs')
+        .then(result => result || []);
+};
+
+/**
+ * Adds a recurring cost definition
+ * @param {Object} definition - sum, currency, category, description, frequency, startDate, optional endDate
+ * @returns {Promise} Promise that resolves to the stored definition
+ */
+export const addRecurringCost = async function(definition) {
+    const record = { ...normalizeDefinition(definition), lastPostedDate: null };
+    const id = await runRecurringRequest('readwrite', store => store.add(record), 'Failed to add recurring cost');
+    return { ...record, id };
+};
+
+/**
+ * Updates a recurring cost definition
+ * @param {number} id - Id of the definition
+ * @param {Object} definition - Full set of definition fields
+ * @returns {Promise} Promise that resolves to the stored definition
+ */
+export const updateRecurringCost = async function(id, definition) {
+    const normalized = normalizeDefinition(definition);
+    const existing = await runRecurringRequest('readonly', store => store.get(id), 'Failed to get recurring cost');
+    if (!existing) {
+        throw new Error('Recurring cost not found');
+    }
+
+    // Keep the posting progress so editing never re-posts past instances
+    const record = { ...existing, ...normalized };
+    await runRecurringRequest('readwrite', store => store.put(record), 'Failed to update recurring cost');
+    return record;
+};
+
+/**
+ * Deletes a recurring cost definition (already posted costs are kept)
+ * @param {number} id - Id of the definition
+ * @returns {Promise} Promise that resolves when deleted
+ */
+export const deleteRecurringCost = function(id) {
+    return runRecurringRequest('readwrite', store => store.delete(id), 'Failed to delete recurring cost');
+};
+
+/**
+ * Computes the n-th occurrence of a schedule
+ * @param {Object} definition - Recurring definition (frequency, startDate)
+ * @param {number} index - Occurrence number, 0 being the start date
+ * @returns {Date} Occurrence date
+ */
+const getOccurrence = function(definition, index) {
+    const start = fromDateKey(definition.startDate);
+
+    if (definition.frequency === 'weekly') {
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + index * 7, 12);
+    }
+
+    // Monthly/yearly keep the start's day, clamped to shorter months (e.g. the 31st or Feb 29)
+    const monthOffset = definition.frequency === 'yearly' ? index * 12 : index;
+    const target = new Date(start.getFullYear(), start.getMonth() + monthOffset, 1, 12);
+    const day = Math.min(start.getDate(), daysInMonth(target.getFullYear(), target.getMonth() + 1));
+    return new Date(target.getFullYear(), target.getMonth(), day, 12);
+};
+
+/**
+ * Lists the occurrences of a definition that are due but not yet posted
+ * @param {Object} definition - Recurring definition with optional lastPostedDate
+ * @param {Date} [today] - Reference date (defaults to now)
+ * @returns {Array<string>} Due occurrence dates as 'YYYY-MM-DD' keys, oldest first
+ */
+export const getDueOccurrences = function(definition, today = new Date()) {
+    const todayKey = toDateKey(today);
+    const lastKey = definition.endDate && definition.endDate < todayKey ? definition.endDate : todayKey;
+    const due = [];
+
+    for (let index = 0; ; index++) {
+        const key = toDateKey(getOccurrence(definition, index));
+        if (key > lastKey) {
+            break;
+        }
+        if (!definition.lastPostedDate || key > definition.lastPostedDate) {
+            due.push(key);
+        }
+    }
+    return due;
+};
+// Occurrences up to and including lastPostedDate are considered already posted
+
+/**
+ * Posts the due instances of one definition and advances it in a single transaction
+ * The definition is read again inside the transaction, so instances another tab posted in the
+ * meantime are seen, and a failure rolls back the costs together with the progress.
+ * @param {number} id - Id of the definition
+ * @param {Date} today - Reference date
+ * @returns {Promise<number>} Promise that resolves to the number of costs posted
+ */
+const postDefinition = function(id, today) {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs', 'categories', 'recurring'], 'readwrite');
+            const recurringStore = transaction.objectStore('recurring');
+            let posted = 0;
+
+            recurringStore.get(id).onsuccess = function(event) {
+                // Deleted since the list was read
+                const definition = event.target.result;
+                if (!definition) {
+                    return;
+                }
+
+                const due = getDueOccurrences(definition, today);
+                let records;
+                try {
+                    records = due.map(dateKey => createCostRecord({
+                        sum: definition.sum,
+                        currency: definition.currency,
+                        category: definition.category,
+                        description: definition.description,
+                        date: dateKey
+                    }));
+                } catch (error) {
+                    transaction.abort();
+                    reject(error);
+                    return;
+                }
+                if (records.length === 0) {
+                    return;
+                }
+
+                const costStore = transaction.objectStore('costs');
+                records.forEach(record => costStore.add(record));
+                registerCategory(transaction, records[0].category, records[0].type);
+                recurringStore.put({ ...definition, lastPostedDate: due[due.length - 1] });
+                posted = records.length;
+            };
+
+            transaction.oncomplete = function() {
+                resolve(posted);
+            };
+            transaction.onerror = function() {
+                reject(new Error('Failed to post recurring cost'));
+            };
+            transaction.onabort = function() {
+                reject(new Error('Failed to post recurring cost'));
+            };
+        }).catch(reject);
+    });
+};
+
+let catchUpInProgress = null;
+// Shared promise so overlapping startup calls (e.g. StrictMode) in this tab run one catch-up
+
+/**
+ * Posts every missed instance of every recurring cost
+ * @param {Date} [today] - Reference date (defaults to now)
+ * @returns {Promise<number>} Promise that resolves to the number of costs posted
+ */
+export const postDueRecurringCosts = function(today = new Date()) {
+    if (!catchUpInProgress) {
+        catchUpInProgress = (async () => {
+            const definitions = await getRecurringCosts();
+            let posted = 0;
+
+            // Only definitions with something due need a readwrite transaction
+            for (const definition of definitions) {
+                if (getDueOccurrences(definition, today).length > 0) {
+                    posted += await postDefinition(definition.id, today);
+                }
+            }
+            return posted;
+        })().finally(() => {
+            catchUpInProgress = null;
+        });
+    }
+    return catchUpInProgress;
+};
@@ -0,0 +1,58 @@
+/**
+ * Tags - free-form labels on cost records, such as 'trip-paris' or 'reimbursable'
+ * Tags live on the records themselves; the multiEntry 'tags' index (version 7) indexes each
+ * tag of a record separately, so it can list the tags in use and find the costs carrying one.
+ */
+
+import { openCostsDB } from './idb';
+
+/**
+ * Normalizes a list of tags: trimmed, lowercase, inner spaces as dashes, no blanks or repeats
+ * @param {Array<string>|string|undefined} tags - Tags, or one comma-separated string
+ * @returns {Array<string>} Normalized tags in their original order
+ * @throws {Error} When tags is neither an array nor a string
+ */
+export const normalizeTags = function(tags) {
+    if (tags === undefined || tags === null || tags === '') {
+        return [];
+    }
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list)) {
+        throw new Error('Invalid tags');
+    }
+
+    const normalized = list
+        .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-'))
+        .filter(tag => tag !== '');
+    return Array.from(new Set(normalized));
+};
+
+/**
+ * Lists every tag used by at least one cost
+ * @returns {Promise<Array<string>>} Promise that resolves to the tags in alphabetical order
+ */
+export const getTags = function() {
+    return new Promise((resolve, reject) => {
+        openCostsDB().then(db => {
+            const transaction = db.transaction(['costs'], 'readonly');
+            const index = transaction.objectStore('costs').index('tags');
+            const tags = [];
+
+            // Each tag appears once per cost in a multiEntry index; 'nextunique' skips the repeats
+            const request = index.openKeyCursor(null, 'nextunique');
+            request.onsuccess = function(event) {
+                const cursor = event.target.result;
+                if (cursor) {
+                    tags.push(cursor.key);
+                    cursor.continue();
+                } else {
+                    resolve(tags);
+                }
+            };
+            request.onerror = function() {
+                reject(new Error('Failed to get tags'));
+            };
+        }).catch(reject);
+    });
+};
+